@@ -1,7 +1,10 @@
 <?php
 /**
  * Waitlist API Endpoint
- * Handles email submissions for the Kenz Tasks waitlist
+ * Handles email submissions for the product waitlist
+ *
+ * The product name comes from brand.json, which the build writes next to this file from
+ * the brand profile (src/config/brands/<name>.js).
  */
 
 // Set headers for CORS and JSON response
@@ -44,6 +47,8 @@ if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
 
 // Configuration
 $csvFile = '../data/waitlist.csv';
+$brand = json_decode(@file_get_contents(__DIR__ . '/brand.json') ?: 'null', true);
+$brandName = $brand['name'][$brand['defaultLanguage'] ?? 'en'] ?? 'the app';
 $maxFileSize = 10 * 1024 * 1024; // 10MB limit
 
 try {
@@ -60,7 +65,7 @@ try {
             if (isset($row[0]) && $row[0] === $email) {
                 echo json_encode([
                     'success' => true,
-                    'message' => 'You\'re already on the waitlist! We\'ll notify you when Kenz Tasks launches.',
+                    'message' => 'You\'re already on the waitlist! We\'ll notify you when ' . $brandName . ' launches.',
                     'alreadyExists' => true
                 ]);
                 exit();
@@ -125,7 +130,7 @@ try {
     // Send success response
     echo json_encode([
         'success' => true,
-        'message' => 'Welcome to the waitlist! We\'ll notify you when Kenz Tasks launches.',
+        'message' => 'Welcome to the waitlist! We\'ll notify you when ' . $brandName . ' launches.',
         'waitlistPosition' => $waitlistCount,
         'timestamp' => $timestamp
     ]);
@@ -140,9 +145,9 @@ try {
 }
 
 // Optional: Send notification email to admin
-function notifyAdmin($email) {
+function notifyAdmin($email, $brandName) {
     $adminEmail = 'admin@kenztasks.com'; // Change this to your admin email
-    $subject = 'New Waitlist Signup - Kenz Tasks';
+    $subject = 'New Waitlist Signup - ' . $brandName;
     $message = "New waitlist signup:\n\nEmail: {$email}\nTime: " . date('Y-m-d H:i:s') . "\nIP: " . ($_SERVER['REMOTE_ADDR'] ?? 'unknown');
     
     // Only send if mail function is available and admin email is set
@@ -152,5 +157,5 @@ function notifyAdmin($email) {
 }
 
 // Uncomment the line below to enable admin notifications
-// notifyAdmin($email);
+// notifyAdmin($email, $brandName);
 ?>
\ No newline at end of file
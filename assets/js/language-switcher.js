@@ -5,6 +5,17 @@ function switchLanguage() {
     const select = document.getElementById('languageSelect');
     const selectedLang = select.value;
     
+    // Navigate to the pre-rendered page for the language when the build generated one
+    const alternate = document.querySelector(`link[rel="alternate"][hreflang="${selectedLang}"]`);
+    if (alternate) {
+        localStorage.setItem('preferredLanguage', selectedLang);
+        if (selectedLang !== document.documentElement.lang) {
+            const url = new URL(alternate.getAttribute('href'), window.location.href);
+            window.location.href = url.pathname + url.search + window.location.hash;
+        }
+        return;
+    }
+    
     if (selectedLang !== currentLanguage) {
         currentLanguage = selectedLang;
         
@@ -10,6 +10,32 @@ class UserConsentFormManager {
     init() {
         this.bindEvents();
         this.loadStoredConsent();
+        this.loadLegalVersions();
+    }
+
+    loadLegalVersions() {
+        // Written by the build next to this page (SiteConfig.legal.versionsFile), with the
+        // URL of every legal page in each language the site was built in
+        this.legalVersions = null;
+        fetch('legal-versions.json')
+            .then(response => (response.ok ? response.json() : null))
+            .then(versions => {
+                this.legalVersions = versions;
+                const url = this.getPrivacyPolicyUrl();
+                if (url) {
+                    document.querySelectorAll('.privacy-policy-link').forEach(link => link.setAttribute('href', url));
+                }
+            })
+            .catch(() => {});
+    }
+
+    getPrivacyPolicyUrl() {
+        const versions = this.legalVersions;
+        const policy = versions && versions.documents && versions.documents['privacy-policy'];
+        if (!policy) return null;
+
+        // The page's current language, or the site's default when it was not built
+        return policy.urls[document.documentElement.lang] || policy.urls[versions.defaultLanguage] || null;
     }
 
     bindEvents() {
@@ -224,8 +250,9 @@ class UserConsentFormManager {
     }
 
     openPrivacyPolicy() {
-        // Open privacy policy in new window/tab
-        window.open('privacy-policy.html', '_blank');
+        // Open privacy policy in new window/tab; the site root picks a language when the
+        // versions file could not be read
+        window.open(this.getPrivacyPolicyUrl() || 'index.html', '_blank');
     }
 
     logConsentEvent(eventType, data) {
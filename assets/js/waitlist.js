@@ -3,6 +3,11 @@
  * Handles email validation, form submission, and user feedback
  */
 
+// Product name from the brand profile, which built pages expose as window.SiteConfig.brand.
+// The fallback is the default brand's name, for the legacy root index.html.
+const WaitlistBrandName = (window.SiteConfig && window.SiteConfig.brand && window.SiteConfig.brand.name) ||
+    { en: 'Kenz', ar: 'كنز' };
+
 class WaitlistManager {
     constructor() {
         this.form = null;
@@ -164,7 +169,7 @@ class WaitlistManager {
                     if (existingEmails.includes(email)) {
                         resolve({
                             success: true,
-                            message: 'You\'re already on the waitlist! We\'ll notify you when Kenz Tasks launches.',
+                            message: `You're already on the waitlist! We'll notify you when ${WaitlistBrandName.en} launches.`,
                             alreadyExists: true,
                             waitlistPosition: existingEmails.length
                         });
@@ -187,7 +192,7 @@ class WaitlistManager {
                     
                     resolve({
                         success: true,
-                        message: `🎉 Welcome to the waitlist! You're #${existingEmails.length} in line. We'll notify you when Kenz Tasks launches.`,
+                        message: `🎉 Welcome to the waitlist! You're #${existingEmails.length} in line. We'll notify you when ${WaitlistBrandName.en} launches.`,
                         waitlistPosition: existingEmails.length,
                         timestamp: new Date().toISOString(),
                         demoMode: true
@@ -294,11 +299,11 @@ class WaitlistManager {
 const WaitlistTranslations = {
     en: {
         title: 'Join the Waitlist',
-        subtitle: 'Be the first to know when Kenz Tasks launches!',
+        subtitle: 'Be the first to know when {brand} launches!',
         emailPlaceholder: 'Enter your email address',
         submitButton: 'Join Waitlist',
         submitting: 'Joining...',
-        successMessage: 'Welcome to the waitlist! We\'ll notify you when Kenz Tasks launches.',
+        successMessage: 'Welcome to the waitlist! We\'ll notify you when {brand} launches.',
         errorRequired: 'Please enter your email address',
         errorInvalid: 'Please enter a valid email address',
         errorNetwork: 'Network error. Please check your connection and try again.',
@@ -306,11 +311,11 @@ const WaitlistTranslations = {
     },
     ar: {
         title: 'انضم لقائمة الانتظار',
-        subtitle: 'كن أول من يعرف عند إطلاق كنز تاسكس!',
+        subtitle: 'كن أول من يعرف عند إطلاق {brand}!',
         emailPlaceholder: 'أدخل عنوان بريدك الإلكتروني',
         submitButton: 'انضم لقائمة الانتظار',
         submitting: 'جاري الانضمام...',
-        successMessage: 'مرحباً بك في قائمة الانتظار! سنخبرك عند إطلاق كنز تاسكس.',
+        successMessage: 'مرحباً بك في قائمة الانتظار! سنخبرك عند إطلاق {brand}.',
         errorRequired: 'يرجى إدخال عنوان بريدك الإلكتروني',
         errorInvalid: 'يرجى إدخال عنوان بريد إلكتروني صحيح',
         errorNetwork: 'خطأ في الشبكة. يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
@@ -318,6 +323,14 @@ const WaitlistTranslations = {
     }
 };
 
+// The table names the product as {brand}
+Object.keys(WaitlistTranslations).forEach(languageCode => {
+    const table = WaitlistTranslations[languageCode];
+    Object.keys(table).forEach(key => {
+        table[key] = table[key].replace(/\{brand\}/g, WaitlistBrandName[languageCode] || WaitlistBrandName.en);
+    });
+});
+
 // Initialize waitlist manager when script loads
 const waitlistManager = new WaitlistManager();
 
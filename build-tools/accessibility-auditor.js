@@ -0,0 +1,264 @@
+/**
+ * Accessibility Auditor
+ * Runs accessibility and HTML rules over every generated page
+ *
+ * Rules:
+ *   html-lang        <html> has a lang attribute
+ *   document-title   the page has a non-empty <title>
+ *   duplicate-id     no id is used twice in a page
+ *   img-alt          every <img> has an alt attribute (alt="" marks decorative images)
+ *   heading-order    headings do not skip levels on the way down (an <h2> followed by an <h4>)
+ *   input-label      form fields have a <label>, aria-label, aria-labelledby or title
+ *   link-name        links have an accessible name: text, an image's alt text, an
+ *                    aria-label, aria-labelledby or title. Icon-only links need one of the latter.
+ *   button-name      buttons have an accessible name, as links do
+ *
+ * Each rule is configured as "off", "warn" (reported) or "error" (reported, and fails the
+ * build). Content inside aria-hidden="true" elements does not count towards names.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, findClosingToken, decodeEntities, lineAt } = require('./html-parser');
+const { ConfigError } = require('./build-errors');
+const { listFiles } = require('./build-utils');
+
+const SEVERITIES = ['off', 'warn', 'error'];
+const RULES = {
+    'html-lang': 'checkHtmlLang',
+    'document-title': 'checkDocumentTitle',
+    'duplicate-id': 'checkDuplicateIds',
+    'img-alt': 'checkImageAlt',
+    'heading-order': 'checkHeadingOrder',
+    'input-label': 'checkInputLabels',
+    'link-name': 'checkLinkNames',
+    'button-name': 'checkButtonNames'
+};
+// Inputs that are labelled by their value or are not shown
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'reset', 'button', 'image']);
+const HEADING_PATTERN = /^h([1-6])$/;
+
+class AccessibilityAuditor {
+    /**
+     * @param {Object} options - Auditor options
+     * @param {string} options.distDir - Build output directory
+     * @param {Object} [options.rules={}] - Severity per rule name; rules left out are "warn"
+     * @param {Array<string>} [options.ignore=[]] - Page path prefixes (relative to dist) that are not audited
+     */
+    constructor(options) {
+        this.distDir = options.distDir;
+        this.ignore = options.ignore || [];
+        this.rules = Object.keys(RULES).reduce((rules, name) => {
+            rules[name] = 'warn';
+            return rules;
+        }, {});
+
+        Object.keys(options.rules || {}).forEach(name => {
+            const severity = options.rules[name];
+            if (!RULES[name]) {
+                throw new ConfigError(`Unknown audit rule "${name}" (expected one of ${Object.keys(RULES).join(', ')})`);
+            }
+            if (!SEVERITIES.includes(severity)) {
+                throw new ConfigError(`Audit rule "${name}" must be ${SEVERITIES.join(', ')} (got ${JSON.stringify(severity)})`);
+            }
+            this.rules[name] = severity;
+        });
+    }
+
+    /**
+     * Audit every page in dist
+     * @returns {Object} - { pages, issues } where issues are
+     *                     { rule, severity: 'error'|'warning', file, line, message }
+     */
+    run() {
+        const pages = listFiles(this.distDir)
+            .filter(file => file.endsWith('.html') && !this.ignore.some(prefix => file.startsWith(prefix)));
+        const issues = [].concat(...pages.map(file => this.auditPage(file)));
+
+        return { pages: pages.length, issues };
+    }
+
+    /**
+     * Run the enabled rules over one page
+     * @param {string} file - Page path relative to dist
+     * @returns {Array<Object>} - Issues
+     */
+    auditPage(file) {
+        const html = fs.readFileSync(path.join(this.distDir, file), 'utf8');
+        const page = { html, tokens: tokenize(html) };
+
+        return Object.keys(RULES)
+            .filter(rule => this.rules[rule] !== 'off')
+            .reduce((issues, rule) => issues.concat(this[RULES[rule]](page).map(violation => ({
+                rule,
+                severity: this.rules[rule] === 'error' ? 'error' : 'warning',
+                file,
+                line: lineAt(html, violation.token.start),
+                message: violation.message
+            }))), []);
+    }
+
+    checkHtmlLang(page) {
+        const html = page.tokens.find(token => token.type === 'open' && token.name === 'html');
+        return html && !(html.attrs.lang || '').trim()
+            ? [{ token: html, message: '<html> has no lang attribute' }]
+            : [];
+    }
+
+    checkDocumentTitle(page) {
+        const index = page.tokens.findIndex(token => token.type === 'open' && token.name === 'title');
+        if (index === -1) {
+            const html = page.tokens.find(token => token.type === 'open') || { start: 0 };
+            return [{ token: html, message: 'page has no <title>' }];
+        }
+        return this.getText(page, index) ? [] : [{ token: page.tokens[index], message: '<title> is empty' }];
+    }
+
+    checkDuplicateIds(page) {
+        const seen = new Set();
+        return this.findElements(page, () => true)
+            .filter(({ token }) => token.attrs.id !== undefined)
+            .filter(({ token }) => {
+                const duplicate = seen.has(token.attrs.id);
+                seen.add(token.attrs.id);
+                return duplicate;
+            })
+            .map(({ token }) => ({ token, message: `id "${token.attrs.id}" is used more than once` }));
+    }
+
+    checkImageAlt(page) {
+        return this.findElements(page, token => token.name === 'img')
+            .filter(({ token }) => token.attrs.alt === undefined && !this.isHidden(token) && !this.isPresentational(token))
+            .map(({ token }) => ({ token, message: `<img> has no alt attribute: ${token.attrs.src || token.attrs['data-src'] || ''}` }));
+    }
+
+    checkHeadingOrder(page) {
+        const violations = [];
+        let previous = null;
+
+        this.findElements(page, token => HEADING_PATTERN.test(token.name)).forEach(({ token }) => {
+            const level = Number(token.name.match(HEADING_PATTERN)[1]);
+            if (previous !== null && level > previous + 1) {
+                violations.push({ token, message: `<${token.name}> follows <h${previous}>, skipping heading level ${previous + 1}` });
+            }
+            previous = level;
+        });
+
+        return violations;
+    }
+
+    checkInputLabels(page) {
+        const labelledIds = new Set(this.findElements(page, token => token.name === 'label')
+            .map(({ token }) => token.attrs.for)
+            .filter(Boolean));
+        const labelRanges = this.findElements(page, token => token.name === 'label')
+            .map(({ index }) => [index, findClosingToken(page.tokens, index)]);
+
+        return this.findElements(page, token => (
+            (token.name === 'input' && !UNLABELLED_INPUT_TYPES.has((token.attrs.type || 'text').toLowerCase())) ||
+            token.name === 'select' ||
+            token.name === 'textarea'
+        ))
+            .filter(({ token, index }) => (
+                !this.hasAriaName(token) &&
+                !(token.attrs.id && labelledIds.has(token.attrs.id)) &&
+                !labelRanges.some(([start, end]) => index > start && index < end)
+            ))
+            .map(({ token }) => ({
+                token,
+                message: `<${token.name}${token.attrs.name ? ` name="${token.attrs.name}"` : ''}> has no label${token.attrs.placeholder ? ' (a placeholder is not a label)' : ''}`
+            }));
+    }
+
+    checkLinkNames(page) {
+        return this.findElements(page, token => token.name === 'a' && token.attrs.href !== undefined)
+            .filter(({ token, index }) => !this.isHidden(token) && !this.hasAriaName(token) && !this.getName(page, index))
+            .map(({ token }) => ({ token, message: `link has no accessible name: ${token.attrs.href}` }));
+    }
+
+    checkButtonNames(page) {
+        const buttons = this.findElements(page, token => token.name === 'button')
+            .filter(({ token, index }) => !this.isHidden(token) && !this.hasAriaName(token) && !this.getName(page, index));
+        const imageInputs = this.findElements(page, token => token.name === 'input' && (token.attrs.type || '').toLowerCase() === 'image')
+            .filter(({ token }) => !(token.attrs.alt || '').trim() && !this.hasAriaName(token));
+
+        return buttons.concat(imageInputs).map(({ token }) => ({ token, message: `<${token.name}> button has no accessible name` }));
+    }
+
+    /**
+     * @param {Object} page - { html, tokens }
+     * @param {Function} test - Called with each start tag token
+     * @returns {Array<Object>} - { token, index } of the matching elements outside <template>
+     */
+    findElements(page, test) {
+        const elements = [];
+        let templateEnd = -1;
+
+        page.tokens.forEach((token, index) => {
+            if (token.type !== 'open' || index < templateEnd) return;
+            if (token.name === 'template') {
+                templateEnd = findClosingToken(page.tokens, index);
+                return;
+            }
+            if (test(token)) elements.push({ token, index });
+        });
+
+        return elements;
+    }
+
+    /**
+     * Accessible name computed from an element's content: its text and the alt text of its
+     * images, skipping aria-hidden content
+     * @param {Object} page - { html, tokens }
+     * @param {number} index - Index of the element's start tag
+     * @returns {string} - Name, empty when there is none
+     */
+    getName(page, index) {
+        const end = findClosingToken(page.tokens, index);
+        const parts = [];
+
+        for (let i = index + 1; i < end; i++) {
+            const token = page.tokens[i];
+            if (token.type === 'open' && this.isHidden(token)) {
+                i = token.selfClosing ? i : Math.max(i, findClosingToken(page.tokens, i));
+            } else if (token.type === 'text') {
+                parts.push(decodeEntities(page.html.slice(token.start, token.end)));
+            } else if (token.type === 'open' && token.name === 'img') {
+                parts.push(token.attrs.alt || '');
+            } else if (token.type === 'open' && token.name === 'title' && page.tokens[index].name !== 'title') {
+                // <title> inside an inline <svg>
+                parts.push(this.getText(page, i));
+            }
+        }
+
+        return parts.join(' ').trim();
+    }
+
+    /**
+     * @param {Object} page - { html, tokens }
+     * @param {number} index - Index of an element's start tag
+     * @returns {string} - The element's trimmed text
+     */
+    getText(page, index) {
+        const end = findClosingToken(page.tokens, index);
+        return page.tokens.slice(index + 1, end === -1 ? index + 1 : end)
+            .filter(token => token.type === 'text')
+            .map(token => decodeEntities(page.html.slice(token.start, token.end)))
+            .join('')
+            .trim();
+    }
+
+    hasAriaName(token) {
+        return ['aria-label', 'aria-labelledby', 'title'].some(name => (token.attrs[name] || '').trim() !== '');
+    }
+
+    isHidden(token) {
+        return token.attrs['aria-hidden'] === 'true' || token.attrs.hidden !== undefined;
+    }
+
+    isPresentational(token) {
+        return token.attrs.role === 'presentation' || token.attrs.role === 'none';
+    }
+}
+
+module.exports = AccessibilityAuditor;
@@ -0,0 +1,188 @@
+/**
+ * Asset Fingerprinter
+ * Renames built assets to content-hashed filenames and rewrites every reference to them
+ *
+ * Runs over the finished dist directory:
+ *   1. images, fonts and other static files are hashed and renamed
+ *   2. scripts are hashed and renamed
+ *   3. stylesheets have their url() references rewritten, then are hashed and renamed
+ *   4. HTML pages have their src/href/srcset/url() references rewritten
+ * A script or stylesheet's source map is renamed along with it (main.1a2b3c4d.js.map), with
+ * its `file` field and the sourceMappingURL comment pointing at the new names. The hash
+ * leaves that comment out, so it only changes with the code itself.
+ * The original → hashed mapping is written to manifest.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isLocalUrl, splitUrl, rewriteCssUrls, rewriteHtmlUrls } = require('./url-rewriter');
+const { listFiles } = require('./build-utils');
+
+const MANIFEST_FILE = 'manifest.json';
+const SOURCE_MAP_COMMENT_PATTERN = /([/*]# sourceMappingURL=)(\S+)/g;
+
+class AssetFingerprinter {
+    /**
+     * @param {Object} options - Fingerprinter options
+     * @param {string} options.distDir - Build output directory
+     * @param {number} [options.hashLength=8] - Number of hex characters kept from the hash
+     * @param {Array<string>} [options.exclude=[]] - Files (relative to dist) that must keep their names
+     */
+    constructor(options) {
+        this.distDir = options.distDir;
+        this.hashLength = options.hashLength || 8;
+        this.exclude = options.exclude || [];
+        this.manifest = {};
+    }
+
+    /**
+     * Fingerprint everything in the dist directory
+     * @returns {Object} - Manifest mapping original paths to hashed paths
+     */
+    run() {
+        this.manifest = {};
+
+        const allFiles = listFiles(this.distDir).filter(file => file !== MANIFEST_FILE);
+        const files = allFiles.filter(file => !this.exclude.includes(file));
+        // Pages keep their names anyway, so excluded pages still have their references rewritten
+        const pages = allFiles.filter(file => file.endsWith('.html'));
+        const stylesheets = files.filter(file => file.endsWith('.css'));
+        const scripts = files.filter(file => file.endsWith('.js'));
+        const sourceMaps = scripts.concat(stylesheets)
+            .map(file => this.findSourceMap(file, this.read(file)))
+            .filter(sourceMap => sourceMap && files.includes(sourceMap));
+        const staticFiles = files.filter(file => 
+            !pages.includes(file) && !stylesheets.includes(file) && !scripts.includes(file) && !sourceMaps.includes(file)
+        );
+
+        staticFiles.forEach(file => this.fingerprintFile(file));
+
+        scripts.forEach(file => this.fingerprintCode(file, this.read(file)));
+
+        stylesheets.forEach(file => {
+            const css = rewriteCssUrls(this.read(file), url => this.resolveReference(file, url));
+            this.fingerprintCode(file, css);
+        });
+
+        pages.forEach(file => {
+            const html = this.read(file);
+            this.write(file, rewriteHtmlUrls(html, url => this.resolveReference(file, url)));
+        });
+
+        this.write(MANIFEST_FILE, JSON.stringify(this.sortManifest(), null, 2) + '\n');
+        return this.manifest;
+    }
+
+    /**
+     * Rename a file to include its content hash
+     * @param {string} file - Path relative to dist
+     * @returns {string} - Hashed path relative to dist
+     */
+    fingerprintFile(file) {
+        const absolutePath = path.join(this.distDir, file);
+        const hash = this.hashContent(fs.readFileSync(absolutePath));
+        const ext = path.posix.extname(file);
+        const hashedFile = `${file.slice(0, file.length - ext.length)}.${hash}${ext}`;
+
+        fs.renameSync(absolutePath, path.join(this.distDir, hashedFile));
+        this.manifest[file] = hashedFile;
+        return hashedFile;
+    }
+
+    /**
+     * Rename a script or stylesheet to include its content hash, moving its source map along
+     * @param {string} file - Path relative to dist
+     * @param {string} content - File content, with its other references already rewritten
+     * @returns {string} - Hashed path relative to dist
+     */
+    fingerprintCode(file, content) {
+        const hash = this.hashContent(content.replace(SOURCE_MAP_COMMENT_PATTERN, '$1'));
+        const ext = path.posix.extname(file);
+        const hashedFile = `${file.slice(0, file.length - ext.length)}.${hash}${ext}`;
+        const sourceMap = this.findSourceMap(file, content);
+        let output = content;
+
+        if (sourceMap && fs.existsSync(path.join(this.distDir, sourceMap))) {
+            const hashedSourceMap = `${hashedFile}.map`;
+            const map = JSON.parse(this.read(sourceMap));
+
+            map.file = path.posix.basename(hashedFile);
+            this.write(hashedSourceMap, JSON.stringify(map));
+            fs.unlinkSync(path.join(this.distDir, sourceMap));
+            this.manifest[sourceMap] = hashedSourceMap;
+
+            output = content.replace(SOURCE_MAP_COMMENT_PATTERN, (match, prefix) => 
+                prefix + encodeURI(path.posix.basename(hashedSourceMap))
+            );
+        }
+
+        this.write(hashedFile, output);
+        fs.unlinkSync(path.join(this.distDir, file));
+        this.manifest[file] = hashedFile;
+        return hashedFile;
+    }
+
+    /**
+     * Find the local source map a file's `sourceMappingURL` comment points at
+     * @param {string} file - File containing the comment, relative to dist
+     * @param {string} content - File content
+     * @returns {string|null} - Source map path relative to dist
+     */
+    findSourceMap(file, content) {
+        const match = new RegExp(SOURCE_MAP_COMMENT_PATTERN.source).exec(content);
+        if (!match || !isLocalUrl(match[2])) return null;
+
+        const { pathname } = splitUrl(match[2]);
+        return path.posix.normalize(path.posix.join(path.posix.dirname(file), decodeURI(pathname)));
+    }
+
+    /**
+     * Map a reference found in a file to the hashed name of its target
+     * @param {string} fromFile - File containing the reference, relative to dist
+     * @param {string} url - Referenced URL
+     * @returns {string} - Rewritten URL, or the original if it is not a fingerprinted asset
+     */
+    resolveReference(fromFile, url) {
+        if (!isLocalUrl(url)) return url;
+
+        const { pathname, suffix } = splitUrl(url);
+        const fromDir = path.posix.dirname(fromFile);
+        const target = path.posix.normalize(path.posix.join(fromDir, decodeURI(pathname)));
+        const hashed = this.manifest[target];
+
+        if (!hashed) return url;
+
+        return encodeURI(path.posix.relative(fromDir, hashed)) + suffix;
+    }
+
+    /**
+     * Hash file content
+     * @param {Buffer|string} content - File content
+     * @returns {string} - Truncated hex digest
+     */
+    hashContent(content) {
+        return crypto.createHash('md5').update(content).digest('hex').slice(0, this.hashLength);
+    }
+
+    /**
+     * Manifest entries in a stable order so diffs between builds stay readable
+     * @returns {Object} - Sorted manifest
+     */
+    sortManifest() {
+        return Object.keys(this.manifest).sort().reduce((sorted, key) => {
+            sorted[key] = this.manifest[key];
+            return sorted;
+        }, {});
+    }
+
+    read(file) {
+        return fs.readFileSync(path.join(this.distDir, file), 'utf8');
+    }
+
+    write(file, content) {
+        fs.writeFileSync(path.join(this.distDir, file), content);
+    }
+}
+
+module.exports = AssetFingerprinter;
@@ -0,0 +1,269 @@
+/**
+ * Brand Profile
+ * Applies the white-label brand a site is built for (src/config/brands/<name>.js)
+ *
+ * A profile names the product in every supported language and holds its logos, palette,
+ * contact emails and store links:
+ *   module.exports = {
+ *       name: { en: "Kenz", ar: "كنز" },
+ *       legalName: { en: "Kenz Tasks", ar: "كنز تاسكس" },
+ *       logo: {
+ *           icon: "assets/images/kenz-favicon.svg",
+ *           appIcon: "assets/images/favicon.png",
+ *           footer: "assets/images/logo/white-logo.svg",
+ *           screenshot: "assets/images/kenz-home-screen.jpg"
+ *       },
+ *       palette: { "--primary-color": "#6C5CE7" },
+ *       emails: { support: "support@kenztasks.com", privacy: "privacy@kenztasks.com" },
+ *       stores: { appStore: "", googlePlay: "" }
+ *   };
+ * legalName is the party named in agreements. The SVG icon is the favicon and organization
+ * logo, appIcon the installable app's PNG icon, footer the logo on the footer's dark
+ * background and screenshot the app listing image. Palette keys are custom properties
+ * declared in src/styles/base/variables.css, whose values the profile replaces. Store
+ * links may stay empty until the app is published.
+ *
+ * Templates read the profile as `{{ brand.name }}`, `{{ brand.emails.support }}` and so on,
+ * with names in the page's language. Plain-text sources (SiteConfig's site title and
+ * description, @page metadata, src/data and src/legal) may use the same placeholders.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./build-errors');
+const { isPlainObject } = require('./build-utils');
+
+const LOCALIZED_FIELDS = ['name', 'legalName'];
+const LOGO_FIELDS = ['icon', 'appIcon', 'footer', 'screenshot'];
+const STORE_FIELDS = ['appStore', 'googlePlay'];
+const PLACEHOLDER_PATTERN = /\{\{\s*brand\.([\w.]+)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^--[\w-]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class BrandProfile {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.brandsDir - Directory holding one profile per brand
+     * @param {Array<string>} options.languages - Language codes every name must be given in
+     */
+    constructor(options) {
+        this.brandsDir = options.brandsDir;
+        this.languages = options.languages;
+        this.brand = null;
+        this.profile = null;
+    }
+
+    /**
+     * Load a brand and derive the branded settings of SiteConfig from it
+     * @param {Object} baseConfig - SiteConfig (not modified)
+     * @param {string} brand - Brand name
+     * @returns {Object} - Config with the profile under `brand` and the site title and
+     *                     favicon, organization, app listing and PWA name and icons taken from it
+     */
+    apply(baseConfig, brand) {
+        const profilePath = path.join(this.brandsDir, `${brand}.js`);
+
+        if (!fs.existsSync(profilePath)) {
+            const available = this.listBrands();
+            throw new ConfigError(`Unknown brand "${brand}"${available.length > 0 ? ` (expected one of ${available.join(', ')})` : ''}`);
+        }
+
+        let profile;
+        try {
+            delete require.cache[require.resolve(profilePath)];
+            profile = require(profilePath);
+        } catch (error) {
+            throw new ConfigError(`Could not load the ${brand} brand: ${error.message}`, { cause: error });
+        }
+
+        const problems = this.validate(profile);
+        if (problems.length > 0) {
+            throw new ConfigError(`Invalid ${brand} brand profile:\n  - ${problems.join('\n  - ')}`);
+        }
+
+        this.brand = brand;
+        this.profile = profile;
+
+        const { site, organization, app, pwa } = baseConfig;
+        return Object.assign({}, baseConfig, {
+            brand: profile,
+            site: Object.assign({}, site, {
+                title: this.formatData(site.title),
+                description: this.formatData(site.description),
+                favicon: profile.logo.icon
+            }),
+            organization: Object.assign({}, organization, {
+                name: profile.name,
+                logo: profile.logo.icon,
+                email: profile.emails.support
+            }),
+            app: Object.assign({}, app, {
+                name: profile.name,
+                image: profile.logo.screenshot,
+                stores: STORE_FIELDS.reduce((stores, store) => {
+                    stores[store] = Object.assign({}, app.stores[store], { url: profile.stores[store] });
+                    return stores;
+                }, {})
+            }),
+            pwa: Object.assign({}, pwa, {
+                icons: [profile.logo.appIcon, profile.logo.icon]
+            })
+        });
+    }
+
+    /**
+     * @returns {Array<string>} - Names of the brands with a profile
+     */
+    listBrands() {
+        if (!fs.existsSync(this.brandsDir)) return [];
+
+        return fs.readdirSync(this.brandsDir)
+            .filter(file => file.endsWith('.js'))
+            .map(file => path.basename(file, '.js'))
+            .sort();
+    }
+
+    /**
+     * Check a profile's fields
+     * @param {Object} profile - Brand profile
+     * @returns {Array<string>} - Problems, empty when the profile is valid
+     */
+    validate(profile) {
+        if (!isPlainObject(profile)) {
+            return ['The profile must be an object'];
+        }
+
+        const problems = [];
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+        const checkObject = (key, check) => {
+            if (!isPlainObject(profile[key])) {
+                problems.push(`${key} must be an object`);
+            } else {
+                check(profile[key]);
+            }
+        };
+
+        LOCALIZED_FIELDS.forEach(key => checkObject(key, names => {
+            this.languages.filter(languageCode => !isText(names[languageCode])).forEach(languageCode => {
+                problems.push(`${key}.${languageCode} is missing`);
+            });
+        }));
+        checkObject('logo', logo => {
+            LOGO_FIELDS.filter(key => !isText(logo[key])).forEach(key => problems.push(`logo.${key} is missing`));
+        });
+        checkObject('palette', palette => {
+            Object.keys(palette).forEach(name => {
+                if (!VARIABLE_NAME_PATTERN.test(name)) {
+                    problems.push(`palette.${name} must be named after a CSS custom property, such as --primary-color`);
+                } else if (!isText(palette[name])) {
+                    problems.push(`palette.${name} must be a CSS value`);
+                }
+            });
+        });
+        checkObject('emails', emails => {
+            if (emails.support === undefined) {
+                problems.push('emails.support is missing');
+            }
+            Object.keys(emails).filter(key => !EMAIL_PATTERN.test(emails[key])).forEach(key => {
+                problems.push(`emails.${key} must be an email address (got ${JSON.stringify(emails[key])})`);
+            });
+        });
+        checkObject('stores', stores => {
+            STORE_FIELDS.filter(key => typeof stores[key] !== 'string' || (stores[key] !== '' && !/^https?:\/\//.test(stores[key])))
+                .forEach(key => problems.push(`stores.${key} must be an http(s) URL or empty (got ${JSON.stringify(stores[key])})`));
+        });
+
+        return problems;
+    }
+
+    /**
+     * Values available to `{{ brand.* }}` placeholders
+     * @param {string} languageCode - Language the names are given in
+     * @returns {Object} - { name, legalName, logo, emails, stores }
+     */
+    getTemplateData(languageCode) {
+        const { name, legalName, logo, emails, stores } = this.profile;
+        return {
+            name: name[languageCode],
+            legalName: legalName[languageCode],
+            logo,
+            emails,
+            stores
+        };
+    }
+
+    /**
+     * Names and contact emails for the server code, which cannot read the profile itself
+     * @param {string} defaultLanguage - Language of the server's messages
+     * @returns {Object} - { brand, defaultLanguage, name, legalName, emails } with names in
+     *                     every supported language
+     */
+    getServerData(defaultLanguage) {
+        const { name, legalName, emails } = this.profile;
+        return { brand: this.brand, defaultLanguage, name, legalName, emails };
+    }
+
+    /**
+     * Replace `{{ brand.* }}` placeholders in plain text
+     * @param {string} text - Text
+     * @param {string} languageCode - Language of the text
+     * @returns {string} - Text with the brand's values
+     */
+    format(text, languageCode) {
+        const data = this.getTemplateData(languageCode);
+
+        return text.replace(PLACEHOLDER_PATTERN, (match, key) => {
+            const value = key.split('.').reduce((scope, part) => (scope == null ? undefined : scope[part]), data);
+            if (typeof value !== 'string') {
+                throw new ConfigError(`Unknown brand placeholder "${match}" (brand profiles provide name, legalName, logo.*, emails.* and stores.*)`);
+            }
+            return value;
+        });
+    }
+
+    /**
+     * Replace placeholders in every string of a value. Strings under a language code key
+     * (`{ "en": "...", "ar": "..." }`) use that language's names.
+     * @param {*} value - String, array or object
+     * @param {string} [languageCode] - Language of strings outside localized values
+     *                                  (default: the first supported language)
+     * @returns {*} - Copy with the brand's values
+     */
+    formatData(value, languageCode = this.languages[0]) {
+        if (typeof value === 'string') {
+            return this.format(value, languageCode);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.formatData(item, languageCode));
+        }
+        if (!isPlainObject(value)) {
+            return value;
+        }
+
+        return Object.keys(value).reduce((formatted, key) => {
+            formatted[key] = this.formatData(value[key], this.languages.includes(key) ? key : languageCode);
+            return formatted;
+        }, {});
+    }
+
+    /**
+     * Set the values of custom property declarations in a stylesheet
+     * @param {string} css - Stylesheet declaring the properties (src/styles/base/variables.css)
+     * @param {Object} palette - Values keyed by custom property name
+     * @param {string} [file='variables.css'] - Stylesheet name, used in errors
+     * @returns {string} - Stylesheet with the palette's values
+     */
+    static applyPalette(css, palette, file = 'variables.css') {
+        return Object.keys(palette).reduce((result, name) => {
+            const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const declaration = new RegExp(`(${escaped}\\s*:\\s*)[^;]+;`);
+
+            if (!declaration.test(result)) {
+                throw new ConfigError(`The brand palette sets ${name}, which is not declared in ${file}`);
+            }
+            return result.replace(declaration, `$1${palette[name]};`);
+        }, css);
+    }
+}
+
+module.exports = BrandProfile;
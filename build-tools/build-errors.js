@@ -0,0 +1,128 @@
+/**
+ * Build Errors
+ * Error types BuildSystem.build() rejects with
+ *
+ * Every error is a BuildError carrying the build step it happened in (`step`, null before
+ * the first step). Unexpected exceptions are wrapped in a plain BuildError with the
+ * original error as `cause`.
+ */
+
+class BuildError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details={}] - { step, cause }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.step = details.step || null;
+        if (details.cause) {
+            this.cause = details.cause;
+        }
+    }
+}
+
+/**
+ * Invalid build options or SiteConfig
+ */
+class ConfigError extends BuildError {}
+
+/**
+ * A plugin was malformed or one of its hooks threw
+ */
+class PluginError extends BuildError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { plugin, hook, step, cause }
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.plugin = details.plugin;
+        this.hook = details.hook || null;
+    }
+}
+
+/**
+ * A page, layout or include is malformed, or a placeholder has no printable value
+ */
+class TemplateError extends BuildError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { template, line, expression, step, cause } where template is
+     *                           the file relative to src and line is null when unknown
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.template = details.template;
+        this.line = details.line || null;
+        this.expression = details.expression || null;
+    }
+}
+
+/**
+ * A file in src/data does not match src/data/schema.json (or is not valid JSON)
+ */
+class DataValidationError extends BuildError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { file, problems, step, cause }
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.file = details.file;
+        this.problems = details.problems || [];
+    }
+}
+
+/**
+ * The link check found broken references while `build.linkCheck.mode` is "error"
+ */
+class LinkCheckError extends BuildError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { issues, step }
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.issues = details.issues;
+    }
+}
+
+/**
+ * Outputs are larger than the size budgets in `build.budgets` allow
+ */
+class BudgetError extends BuildError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { violations, step } where violations are the failed budgets
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.violations = details.violations;
+    }
+}
+
+/**
+ * Generated pages break accessibility rules configured as "error" in `build.audit.rules`
+ */
+class AuditError extends BuildError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { issues, step }
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.issues = details.issues;
+    }
+}
+
+module.exports = {
+    BuildError,
+    ConfigError,
+    PluginError,
+    TemplateError,
+    DataValidationError,
+    LinkCheckError,
+    BudgetError,
+    AuditError
+};
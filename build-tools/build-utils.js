@@ -0,0 +1,37 @@
+/**
+ * Build Utilities
+ * Small helpers shared by the build tools
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * List the files in a directory and its subdirectories
+ * @param {string} dir - Directory to list
+ * @returns {Array<string>} - Sorted POSIX paths relative to the directory
+ */
+function listFiles(dir) {
+    const walk = (current, base) => fs.readdirSync(current, { withFileTypes: true }).reduce((files, entry) => {
+        const relativePath = base ? `${base}/${entry.name}` : entry.name;
+        return entry.isDirectory()
+            ? files.concat(walk(path.join(current, entry.name), relativePath))
+            : files.concat(relativePath);
+    }, []);
+
+    return walk(dir, '').sort();
+}
+
+/**
+ * Check whether a value is an object literal (not null, an array or a class instance)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+module.exports = {
+    listFiles,
+    isPlainObject
+};
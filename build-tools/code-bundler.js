@@ -0,0 +1,99 @@
+/**
+ * Code Bundler
+ * Concatenates CSS or JavaScript sources, optionally minifying them and emitting a source map
+ */
+
+const path = require('path');
+const SourceMapGenerator = require('./source-map');
+const { minifyJS, minifyCSS } = require('./minifier');
+
+class CodeBundler {
+    /**
+     * @param {Object} options - Bundler options
+     * @param {boolean} options.minify - Minify each source before concatenating
+     * @param {boolean} options.sourceMaps - Emit a source map alongside the bundle
+     */
+    constructor(options = {}) {
+        this.minify = Boolean(options.minify);
+        this.sourceMaps = Boolean(options.sourceMaps);
+    }
+
+    /**
+     * Bundle sources into one file
+     * @param {Array<Object>} sources - { name, path, content, original } entries, in output order;
+     *                                  entries without a path are not mapped, and `original`
+     *                                  (the untransformed file) defaults to `content`
+     * @param {Object} target - { type: 'css'|'js', outputPath } of the bundle being written
+     * @returns {Object} - { code, map } where map is null when source maps are disabled
+     */
+    bundle(sources, target) {
+        const fileName = path.basename(target.outputPath);
+        const generator = new SourceMapGenerator(fileName);
+        const chunks = [];
+        let lineOffset = 0;
+
+        sources.forEach(source => {
+            const { code, mappings } = this.transform(source, target.type);
+            const sourceIndex = source.path
+                ? generator.addSource(this.getSourceUrl(source.path, target.outputPath), source.original || source.content)
+                : -1;
+
+            if (sourceIndex !== -1) {
+                mappings.forEach(mapping => generator.addMapping(Object.assign({}, mapping, {
+                    generatedLine: mapping.generatedLine + lineOffset,
+                    sourceIndex
+                })));
+            }
+
+            chunks.push(code);
+            lineOffset += code.split('\n').length;
+        });
+
+        let code = chunks.join('\n');
+        let map = null;
+
+        if (this.sourceMaps) {
+            map = generator.toString();
+            code += target.type === 'css'
+                ? `\n/*# sourceMappingURL=${fileName}.map */\n`
+                : `\n//# sourceMappingURL=${fileName}.map\n`;
+        }
+
+        return { code, map };
+    }
+
+    /**
+     * Minify a single source, or label it with a comment header when not minifying
+     * @param {Object} source - Source entry
+     * @param {string} type - 'css' or 'js'
+     * @returns {Object} - { code, mappings } relative to this source
+     */
+    transform(source, type) {
+        if (this.minify) {
+            return type === 'css' ? minifyCSS(source.content) : minifyJS(source.content);
+        }
+
+        const header = source.name ? `/* ${source.name} */\n` : '';
+        const headerLines = header ? 1 : 0;
+        const mappings = source.content.split('\n').map((line, index) => ({
+            generatedLine: index + headerLines,
+            generatedColumn: 0,
+            originalLine: index,
+            originalColumn: 0
+        }));
+
+        return { code: header + source.content + '\n', mappings };
+    }
+
+    /**
+     * Path of a source file as seen from the bundle
+     * @param {string} sourcePath - Absolute source path
+     * @param {string} outputPath - Absolute bundle path
+     * @returns {string} - POSIX relative path
+     */
+    getSourceUrl(sourcePath, outputPath) {
+        return path.relative(path.dirname(outputPath), sourcePath).split(path.sep).join('/');
+    }
+}
+
+module.exports = CodeBundler;
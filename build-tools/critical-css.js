@@ -0,0 +1,167 @@
+/**
+ * Critical CSS
+ * Inlines the CSS a page's first viewport needs and loads its stylesheets without
+ * blocking rendering
+ *
+ * The first viewport is described by compound selectors such as `header` or
+ * `.preloader`: every element they match, its descendants and its ancestors count as
+ * above the fold. The rules of the page's stylesheets that can match those elements
+ * (see CssPurger) are inlined in a <style> block, and each
+ * `<link rel="stylesheet">` becomes a preload that applies itself once loaded, with a
+ * <noscript> fallback. @import rules are left to the full stylesheets.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CssPurger = require('./css-purger');
+const { minifyCSS } = require('./minifier');
+const {
+    tokenize,
+    findClosingToken,
+    parseSimpleSelector,
+    matchesSimpleSelector,
+    setAttribute,
+    applyEdits
+} = require('./html-parser');
+const { isLocalUrl, rewriteCssUrls } = require('./url-rewriter');
+const { ConfigError } = require('./build-errors');
+
+class CriticalCss {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.distDir - Build output directory
+     * @param {boolean} [options.minify=false] - Minify the inlined CSS
+     */
+    constructor(options) {
+        this.distDir = options.distDir;
+        this.minify = Boolean(options.minify);
+    }
+
+    /**
+     * Inline the critical CSS of a built page
+     * @param {string} page - Page path relative to dist
+     * @param {Array<string>} selectors - Selectors of the elements in the first viewport
+     * @returns {Object|null} - { size, stylesheets } with the inlined CSS size in bytes and
+     *                          the number of deferred stylesheets, or null when no element
+     *                          matched or the page links no local stylesheets
+     */
+    inline(page, selectors) {
+        const pagePath = path.join(this.distDir, page);
+        const html = fs.readFileSync(pagePath, 'utf8');
+        const tokens = tokenize(html);
+        const names = this.collectNames(tokens, selectors.map(selector => this.parseSelector(selector)));
+        const links = tokens.filter(token => (
+            token.type === 'open' &&
+            token.name === 'link' &&
+            /\bstylesheet\b/i.test(token.attrs.rel || '') &&
+            isLocalUrl(token.attrs.href)
+        ));
+
+        if (!names || links.length === 0) return null;
+
+        const purger = new CssPurger({ distDir: this.distDir });
+        purger.markUsed(names);
+
+        const css = links
+            .map(link => this.readStylesheet(page, link.attrs.href))
+            .filter(source => source !== null)
+            .map(source => purger.purge(source).css)
+            .join('\n');
+        const critical = this.minify ? minifyCSS(css).code : css.replace(/\n\s*\n/g, '\n').trim();
+
+        const edits = links.map(link => ({
+            start: link.start,
+            end: link.end,
+            text: `${this.createPreload(link.source)}<noscript>${link.source}</noscript>`
+        }));
+        edits[0].text = `<style>${critical}</style>${edits[0].text}`;
+        fs.writeFileSync(pagePath, applyEdits(html, edits));
+
+        return { size: Buffer.byteLength(critical), stylesheets: links.length };
+    }
+
+    /**
+     * Collect the tags, classes and ids of the matched elements, their descendants and ancestors
+     * @param {Array<Object>} tokens - Page tokens
+     * @param {Array<Object>} selectors - Parsed selectors
+     * @returns {Set<string>|null} - Names, or null when no element matched
+     */
+    collectNames(tokens, selectors) {
+        const names = new Set();
+        const open = [];
+        let matched = false;
+        let regionEnd = -1;
+
+        const addNames = token => {
+            names.add(token.name);
+            (token.attrs.class || '').split(/\s+/).filter(Boolean).forEach(name => names.add(name));
+            if (token.attrs.id) names.add(token.attrs.id);
+        };
+
+        tokens.forEach((token, index) => {
+            if (token.type === 'close') {
+                const openIndex = open.map(entry => entry.name).lastIndexOf(token.name);
+                if (openIndex !== -1) open.splice(openIndex);
+                return;
+            }
+            if (token.type !== 'open') return;
+
+            if (index <= regionEnd) {
+                addNames(token);
+            } else if (selectors.some(selector => matchesSimpleSelector(token, selector))) {
+                matched = true;
+                open.forEach(addNames);
+                addNames(token);
+                regionEnd = token.selfClosing ? index : findClosingToken(tokens, index);
+                if (regionEnd === -1) regionEnd = tokens.length;
+            }
+
+            if (!token.selfClosing) open.push(token);
+        });
+
+        return matched ? names : null;
+    }
+
+    /**
+     * @param {string} selector - Compound selector such as `header.header-area`
+     * @returns {Object} - { tag, classes, ids }
+     */
+    parseSelector(selector) {
+        const parsed = parseSimpleSelector(selector);
+        if (!parsed) {
+            throw new ConfigError(`Above-the-fold selectors must be a tag, class or id (or a combination such as "header.main"): "${selector}"`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Read a linked stylesheet with its URLs made relative to the page
+     * @param {string} page - Page path relative to dist
+     * @param {string} href - Stylesheet URL as linked from the page
+     * @returns {string|null} - CSS without @import rules, or null when the file is missing
+     */
+    readStylesheet(page, href) {
+        const file = path.posix.normalize(path.posix.join(path.posix.dirname(page), href.split(/[?#]/)[0]));
+        const stylesheetPath = path.join(this.distDir, file);
+        if (!fs.existsSync(stylesheetPath)) return null;
+
+        const css = fs.readFileSync(stylesheetPath, 'utf8').replace(/@import\s[^;]*;/g, '');
+        return rewriteCssUrls(css, url => (
+            isLocalUrl(url)
+                ? path.posix.relative(path.posix.dirname(page), path.posix.join(path.posix.dirname(file), url))
+                : url
+        ));
+    }
+
+    /**
+     * Turn a stylesheet link into a preload that applies the stylesheet once it has loaded
+     * @param {string} linkSource - `<link rel="stylesheet">` source
+     * @returns {string} - Preload link source
+     */
+    createPreload(linkSource) {
+        const preload = setAttribute(setAttribute(linkSource, 'rel', 'preload'), 'as', 'style');
+        return setAttribute(preload, 'onload', "this.onload=null;this.rel='stylesheet'");
+    }
+}
+
+module.exports = CriticalCss;
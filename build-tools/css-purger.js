@@ -0,0 +1,416 @@
+/**
+ * CSS Purger
+ * Removes the rules no built page can match from the stylesheets those pages link
+ *
+ * A selector is kept when every tag, class and id it names is used somewhere: in the
+ * markup of a page in dist, in a string literal of one of our own scripts a page loads
+ * (which covers classes our modules toggle, e.g. `classList.add('active')`), or in the
+ * safelist. Vendor libraries are not scanned, since their strings would keep most of their
+ * stylesheets; classes they add at runtime belong in the safelist.
+ * Attribute selectors and pseudo-classes are ignored, so `.btn:hover` is kept whenever
+ * `btn` is used. @keyframes are dropped once no remaining rule animates with them;
+ * @font-face and other at-rules are always kept.
+ *
+ * Removed text is replaced by its line breaks, so lines of the kept rules do not move.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./html-parser');
+const { isLocalUrl } = require('./url-rewriter');
+const { listFiles } = require('./build-utils');
+
+// Group rules whose contents are rules themselves
+const CONDITIONAL_AT_RULES = ['media', 'supports', 'document', 'layer', 'container'];
+const ALWAYS_USED = ['html', 'body'];
+const STRING_PATTERN = /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\.|[^`\\])*`/g;
+const NAME_PATTERN = /-?[a-zA-Z_][\w-]*/g;
+
+class CssPurger {
+    /**
+     * @param {Object} options - Purger options
+     * @param {string} options.distDir - Build output directory
+     * @param {Array<string|RegExp>} [options.safelist=[]] - Class names and ids (or patterns) added at runtime
+     * @param {Array<string>} [options.scripts] - Our own scripts (paths in dist, or directories
+     *                                            ending in "/"); every script a page loads when omitted
+     */
+    constructor(options) {
+        this.distDir = options.distDir;
+        this.safelist = options.safelist || [];
+        this.scripts = options.scripts || null;
+        this.used = new Set(ALWAYS_USED);
+    }
+
+    /**
+     * Collect what the pages use and purge every local stylesheet they link
+     * @returns {Array<Object>} - { file, before, after, removed } per stylesheet, sizes in bytes
+     *                            and removed counting the dropped selectors
+     */
+    run() {
+        const stylesheets = new Set();
+        const scripts = new Set();
+
+        listFiles(this.distDir).filter(file => file.endsWith('.html')).forEach(page => {
+            const references = this.scanPage(fs.readFileSync(path.join(this.distDir, page), 'utf8'));
+            const resolve = url => path.posix.normalize(path.posix.join(path.posix.dirname(page), url.split(/[?#]/)[0]));
+
+            references.stylesheets.filter(isLocalUrl).forEach(url => stylesheets.add(resolve(url)));
+            references.scripts.filter(isLocalUrl).forEach(url => scripts.add(resolve(url)));
+        });
+
+        Array.from(scripts).filter(file => this.isOwnScript(file)).forEach(file => {
+            const scriptPath = path.join(this.distDir, file);
+            if (fs.existsSync(scriptPath)) {
+                this.scanScript(fs.readFileSync(scriptPath, 'utf8'));
+            }
+        });
+
+        return Array.from(stylesheets).sort()
+            .filter(file => fs.existsSync(path.join(this.distDir, file)))
+            .map(file => {
+                const stylesheetPath = path.join(this.distDir, file);
+                const source = fs.readFileSync(stylesheetPath, 'utf8');
+                const { css, removed } = this.purge(source);
+
+                fs.writeFileSync(stylesheetPath, css);
+                return { file, before: Buffer.byteLength(source), after: Buffer.byteLength(css), removed };
+            });
+    }
+
+    /**
+     * @param {string} file - Script path relative to dist
+     * @returns {boolean} - True when the script is listed in the `scripts` option
+     */
+    isOwnScript(file) {
+        if (!this.scripts) return true;
+        return this.scripts.some(entry => (entry.endsWith('/') ? file.startsWith(entry) : file === entry));
+    }
+
+    /**
+     * Record the tags, classes and ids of a page, and the inline scripts' strings
+     * @param {string} html - Page HTML
+     * @returns {Object} - { stylesheets, scripts } URLs the page links
+     */
+    scanPage(html) {
+        const stylesheets = [];
+        const scripts = [];
+        let inScript = false;
+
+        tokenize(html).forEach(token => {
+            if (token.type === 'open') {
+                const { attrs } = token;
+                this.used.add(token.name);
+                (attrs.class || '').split(/\s+/).filter(Boolean).forEach(name => this.used.add(name));
+                if (attrs.id) this.used.add(attrs.id);
+
+                if (token.name === 'link' && /\bstylesheet\b/i.test(attrs.rel || '') && attrs.href) {
+                    stylesheets.push(attrs.href);
+                } else if (token.name === 'script' && attrs.src) {
+                    scripts.push(attrs.src);
+                }
+                inScript = token.name === 'script';
+            } else if (token.type === 'text' && token.raw && inScript) {
+                this.scanScript(html.slice(token.start, token.end));
+            }
+        });
+
+        return { stylesheets, scripts };
+    }
+
+    /**
+     * Treat names as used, as if a page contained them
+     * @param {Iterable<string>} names - Tags, class names and ids
+     */
+    markUsed(names) {
+        Array.from(names).forEach(name => this.used.add(name));
+    }
+
+    /**
+     * Record every name that appears in a script's string literals
+     * @param {string} source - JavaScript source
+     */
+    scanScript(source) {
+        const code = this.stripComments(source);
+        (code.match(STRING_PATTERN) || []).forEach(literal => {
+            (literal.match(NAME_PATTERN) || []).forEach(name => this.used.add(name));
+        });
+    }
+
+    /**
+     * Remove comments so apostrophes in them are not read as strings
+     * @param {string} source - JavaScript source
+     * @returns {string} - Source without comments
+     */
+    stripComments(source) {
+        let output = '';
+        let index = 0;
+
+        while (index < source.length) {
+            const char = source[index];
+            const next = source[index + 1];
+
+            if (char === '"' || char === "'" || char === '`') {
+                let end = index + 1;
+                while (end < source.length && source[end] !== char) {
+                    end += source[end] === '\\' ? 2 : 1;
+                }
+                output += source.slice(index, end + 1);
+                index = end + 1;
+            } else if (char === '/' && next === '*') {
+                const end = source.indexOf('*/', index + 2);
+                index = end === -1 ? source.length : end + 2;
+                output += ' ';
+            } else if (char === '/' && next === '/') {
+                const end = source.indexOf('\n', index);
+                index = end === -1 ? source.length : end;
+            } else {
+                output += char;
+                index++;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Remove the rules no page can match, then the keyframes nothing animates with
+     * @param {string} css - Stylesheet source
+     * @returns {Object} - { css, removed } where removed counts dropped selectors
+     */
+    purge(css) {
+        const stats = { removed: 0 };
+        const purged = this.walk(css, node => {
+            if (node.type === 'rule') {
+                const selectors = this.splitSelectors(node.prelude);
+                const kept = selectors.filter(selector => this.isSelectorUsed(selector));
+                stats.removed += selectors.length - kept.length;
+                if (kept.length === 0) return null;
+                return kept.length === selectors.length ? node.prelude : kept.join(',');
+            }
+            return node.prelude;
+        });
+
+        const animations = this.findAnimationNames(purged);
+        const result = this.walk(purged, node => {
+            if (node.type === 'at' && /keyframes$/i.test(node.name)) {
+                const name = node.prelude.trim().split(/\s+/)[1] || '';
+                return animations.has(name.replace(/^["']|["']$/g, '')) ? node.prelude : null;
+            }
+            return node.prelude;
+        });
+
+        return { css: result, removed: stats.removed };
+    }
+
+    /**
+     * Rebuild a block of CSS, letting a callback drop rules or rewrite their selectors
+     * Rules inside conditional group at-rules (@media, @supports, ...) are visited too, and
+     * groups left without rules are dropped.
+     * @param {string} css - CSS source
+     * @param {Function} visit - Called with { type: 'rule'|'at', name, prelude } for every
+     *                           block; returns the prelude to keep, or null to drop the block
+     * @returns {string} - Rebuilt CSS
+     */
+    walk(css, visit) {
+        const lineBreaks = text => '\n'.repeat((text.match(/\n/g) || []).length);
+        let output = '';
+        let index = 0;
+
+        while (index < css.length) {
+            const start = this.skipTrivia(css, index);
+            output += css.slice(index, start);
+            if (start >= css.length) break;
+
+            const end = this.findPreludeEnd(css, start);
+            if (end >= css.length || css[end] !== '{') {
+                // Statement at-rules such as @import and @charset, or stray text
+                output += css.slice(start, end + 1);
+                index = end + 1;
+                continue;
+            }
+
+            const close = this.findBlockEnd(css, end);
+            const prelude = css.slice(start, end);
+            const body = css.slice(end + 1, close);
+            const atRule = prelude.match(/^@(-?[\w-]+)/);
+            const node = atRule
+                ? { type: 'at', name: atRule[1].toLowerCase(), prelude }
+                : { type: 'rule', name: null, prelude };
+
+            const nextPrelude = visit(node);
+            let nextBody = body;
+            if (nextPrelude !== null && node.type === 'at' && CONDITIONAL_AT_RULES.includes(node.name)) {
+                nextBody = this.walk(body, visit);
+            }
+
+            if (nextPrelude === null || (nextBody !== body && this.isEmpty(nextBody))) {
+                output += lineBreaks(css.slice(start, close + 1));
+            } else {
+                // Keep the line breaks of a shortened selector list
+                const padding = lineBreaks(prelude).slice(lineBreaks(nextPrelude).length);
+                output += `${nextPrelude}${padding}{${nextBody}}`;
+            }
+            index = close + 1;
+        }
+
+        return output;
+    }
+
+    /**
+     * @param {string} css - CSS source
+     * @param {number} index - Start offset
+     * @returns {number} - Offset of the next character that is not whitespace or a comment
+     */
+    skipTrivia(css, index) {
+        while (index < css.length) {
+            if (/\s/.test(css[index])) {
+                index++;
+            } else if (css.startsWith('/*', index)) {
+                const end = css.indexOf('*/', index + 2);
+                index = end === -1 ? css.length : end + 2;
+            } else {
+                break;
+            }
+        }
+        return index;
+    }
+
+    /**
+     * @param {string} css - CSS source
+     * @param {number} index - Start of a rule or at-rule
+     * @returns {number} - Offset of the `{` or `;` ending its prelude (css.length if neither)
+     */
+    findPreludeEnd(css, index) {
+        let depth = 0;
+        while (index < css.length) {
+            const char = css[index];
+            if (char === '"' || char === "'") {
+                index = this.skipString(css, index);
+                continue;
+            }
+            if (char === '(' || char === '[') depth++;
+            if (char === ')' || char === ']') depth--;
+            if (depth <= 0 && (char === '{' || char === ';')) return index;
+            index++;
+        }
+        return css.length;
+    }
+
+    /**
+     * @param {string} css - CSS source
+     * @param {number} open - Offset of a `{`
+     * @returns {number} - Offset of the matching `}` (css.length if unbalanced)
+     */
+    findBlockEnd(css, open) {
+        let depth = 0;
+        let index = open;
+        while (index < css.length) {
+            const char = css[index];
+            if (char === '"' || char === "'") {
+                index = this.skipString(css, index);
+                continue;
+            }
+            if (css.startsWith('/*', index)) {
+                const end = css.indexOf('*/', index + 2);
+                index = end === -1 ? css.length : end + 2;
+                continue;
+            }
+            if (char === '{') depth++;
+            if (char === '}' && --depth === 0) return index;
+            index++;
+        }
+        return css.length;
+    }
+
+    /**
+     * @param {string} css - CSS source
+     * @param {number} index - Offset of an opening quote
+     * @returns {number} - Offset just past the closing quote
+     */
+    skipString(css, index) {
+        const quote = css[index];
+        let end = index + 1;
+        while (end < css.length && css[end] !== quote) {
+            end += css[end] === '\\' ? 2 : 1;
+        }
+        return end + 1;
+    }
+
+    /**
+     * @param {string} css - CSS source
+     * @returns {boolean} - True when it holds nothing but whitespace and comments
+     */
+    isEmpty(css) {
+        return this.skipTrivia(css, 0) >= css.length;
+    }
+
+    /**
+     * Split a selector list on its top-level commas
+     * @param {string} prelude - Selector list, e.g. `.a, .b:not(.c, .d)`
+     * @returns {Array<string>} - Selectors, trimmed
+     */
+    splitSelectors(prelude) {
+        const selectors = [];
+        let depth = 0;
+        let start = 0;
+
+        for (let index = 0; index < prelude.length; index++) {
+            const char = prelude[index];
+            if (char === '(' || char === '[') depth++;
+            if (char === ')' || char === ']') depth--;
+            if (char === ',' && depth === 0) {
+                selectors.push(prelude.slice(start, index));
+                start = index + 1;
+            }
+        }
+        selectors.push(prelude.slice(start));
+
+        return selectors.map(selector => selector.trim()).filter(Boolean);
+    }
+
+    /**
+     * Check whether every tag, class and id a selector names is in use
+     * @param {string} selector - Single selector
+     * @returns {boolean}
+     */
+    isSelectorUsed(selector) {
+        let simplified = selector.replace(/\[(?:"[^"]*"|'[^']*'|[^\]])*\]/g, '');
+        // Drop functional pseudo-classes with their arguments, innermost first
+        while (/::?[\w-]+\([^()]*\)/.test(simplified)) {
+            simplified = simplified.replace(/::?[\w-]+\([^()]*\)/g, '');
+        }
+        simplified = simplified.replace(/::?[\w-]+/g, '');
+
+        const unescape = name => name.replace(/\\(.)/g, '$1');
+        const names = [];
+        simplified.replace(/[.#]((?:\\.|[\w-])+)/g, (match, name) => names.push(unescape(name)));
+        simplified.replace(/(^|[\s>+~])([a-zA-Z][\w-]*)/g, (match, prefix, tag) => names.push(tag.toLowerCase()));
+
+        return names.every(name => this.used.has(name) || this.isSafelisted(name));
+    }
+
+    /**
+     * @param {string} name - Class name or id
+     * @returns {boolean}
+     */
+    isSafelisted(name) {
+        return this.safelist.some(entry => (entry instanceof RegExp ? entry.test(name) : entry === name));
+    }
+
+    /**
+     * @param {string} css - CSS source
+     * @returns {Set<string>} - Names used by animation and animation-name declarations
+     */
+    findAnimationNames(css) {
+        const names = new Set();
+        const pattern = /(?:^|[{;\s])(?:-webkit-|-moz-|-o-)?animation(?:-name)?\s*:\s*([^;}]+)/g;
+        let match;
+
+        while ((match = pattern.exec(css)) !== null) {
+            match[1].split(/[\s,]+/).forEach(name => names.add(name.replace(/^["']|["']$/g, '')));
+        }
+        return names;
+    }
+}
+
+module.exports = CssPurger;
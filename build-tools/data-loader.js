@@ -0,0 +1,163 @@
+/**
+ * Data Loader
+ * Reads the JSON content files in src/data, validates them against src/data/schema.json
+ * and localizes their per-language fields
+ *
+ * A schema entry describes the items of one list-shaped data file:
+ *   "testimonials": { "required": ["name", "quote"], "localized": ["name", "quote"] }
+ * Required fields must be present and non-empty. Localized fields are `{ "en": "...", "ar": "..." }`
+ * objects and need a value for every supported language.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataValidationError } = require('./build-errors');
+
+const SCHEMA_FILE = 'schema.json';
+
+class DataLoader {
+    /**
+     * @param {Object} options - Loader options
+     * @param {string} options.dataDir - Directory holding the data files
+     * @param {Array<string>} options.languages - Supported language codes
+     * @param {string} options.defaultLanguage - Language used when a value has no translation
+     */
+    constructor(options) {
+        this.dataDir = options.dataDir;
+        this.languages = options.languages;
+        this.defaultLanguage = options.defaultLanguage;
+    }
+
+    /**
+     * Load and validate every data file
+     * @returns {Object} - Data keyed by camel-cased file name, e.g. `taskExamples`
+     */
+    loadAll() {
+        if (!fs.existsSync(this.dataDir)) {
+            return {};
+        }
+
+        const schema = this.readJSON(SCHEMA_FILE, {});
+
+        return fs.readdirSync(this.dataDir)
+            .filter(file => file.endsWith('.json') && file !== SCHEMA_FILE)
+            .sort()
+            .reduce((data, file) => {
+                const name = path.basename(file, '.json');
+                const content = this.readJSON(file);
+
+                if (schema[name]) {
+                    this.validate(name, content, schema[name]);
+                }
+
+                data[this.toCamelCase(name)] = content;
+                return data;
+            }, {});
+    }
+
+    /**
+     * Check every item of a data file against its schema
+     * @param {string} name - Data file name without extension
+     * @param {*} items - Parsed data
+     * @param {Object} schema - { required, localized } field lists
+     */
+    validate(name, items, schema) {
+        const file = `src/data/${name}.json`;
+        if (!Array.isArray(items)) {
+            throw new DataValidationError(`${file} must contain a list`, { file, problems: ['not a list'] });
+        }
+
+        const problems = [];
+        const isEmpty = value => value === undefined || value === null || value === '';
+
+        items.forEach((item, index) => {
+            const label = `${name}[${index}]`;
+
+            (schema.required || []).forEach(field => {
+                if (isEmpty(item[field])) problems.push(`${label} is missing "${field}"`);
+            });
+
+            (schema.localized || []).forEach(field => {
+                const value = item[field];
+                if (isEmpty(value)) return;
+                if (typeof value !== 'object') {
+                    problems.push(`${label}.${field} must be an object with one entry per language`);
+                    return;
+                }
+                this.languages.forEach(languageCode => {
+                    if (isEmpty(value[languageCode])) problems.push(`${label}.${field} has no "${languageCode}" translation`);
+                });
+            });
+        });
+
+        if (problems.length > 0) {
+            throw new DataValidationError(`Invalid data in ${file}:\n   - ${problems.join('\n   - ')}`, { file, problems });
+        }
+    }
+
+    /**
+     * Replace every per-language object in a data structure with one language's value
+     * @param {*} value - Data to localize
+     * @param {string} languageCode - Language code
+     * @returns {*} - Localized copy
+     */
+    localize(value, languageCode) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.localize(item, languageCode));
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (this.isLocalized(value)) {
+            return value[languageCode] !== undefined ? value[languageCode] : value[this.defaultLanguage];
+        }
+
+        return Object.keys(value).reduce((result, key) => {
+            result[key] = this.localize(value[key], languageCode);
+            return result;
+        }, {});
+    }
+
+    /**
+     * Check whether an object is a `{ en, ar }` translation map
+     * @param {Object} value - Object to check
+     * @returns {boolean}
+     */
+    isLocalized(value) {
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => this.languages.includes(key));
+    }
+
+    /**
+     * @param {string} file - File name inside the data directory
+     * @param {*} fallback - Returned when the file does not exist (omit to require the file)
+     * @returns {*} - Parsed JSON
+     */
+    readJSON(file, fallback) {
+        const filePath = path.join(this.dataDir, file);
+
+        if (fallback !== undefined && !fs.existsSync(filePath)) {
+            return fallback;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new DataValidationError(`Could not load src/data/${file}: ${error.message}`, {
+                file: `src/data/${file}`,
+                problems: [error.message],
+                cause: error
+            });
+        }
+    }
+
+    /**
+     * @param {string} name - Kebab-case name
+     * @returns {string} - camelCase name
+     */
+    toCamelCase(name) {
+        return name.replace(/-(\w)/g, (match, char) => char.toUpperCase());
+    }
+}
+
+module.exports = DataLoader;
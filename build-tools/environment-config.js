@@ -0,0 +1,159 @@
+/**
+ * Environment Config
+ * Merges an environment overlay (src/config/environments/<name>.js) over the base SiteConfig
+ *
+ * Overlays are CommonJS modules exporting a partial SiteConfig, so they can read values
+ * from environment variables:
+ *   module.exports = { site: { url: process.env.SITE_URL || "https://staging.kenzapp.com" } };
+ * Objects are merged key by key; arrays and other values replace the base value.
+ *
+ * Only the settings listed in environments/schema.json may be overridden. Each entry maps a
+ * dotted path to its type ("string", "number", "boolean", "array", "object" or "url") and
+ * optionally the values it allows:
+ *   "build.linkCheck.mode": { "type": "string", "enum": ["off", "warn", "error"] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./build-errors');
+const { isPlainObject } = require('./build-utils');
+
+const SCHEMA_FILE = 'schema.json';
+
+class EnvironmentConfig {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.environmentsDir - Directory holding the overlays and schema.json
+     */
+    constructor(options) {
+        this.environmentsDir = options.environmentsDir;
+    }
+
+    /**
+     * Resolve the config of an environment
+     * @param {Object} baseConfig - Base SiteConfig (not modified)
+     * @param {string} environment - Environment name
+     * @returns {Object} - Merged config
+     */
+    apply(baseConfig, environment) {
+        const overlayPath = path.join(this.environmentsDir, `${environment}.js`);
+
+        if (!fs.existsSync(overlayPath)) {
+            const available = this.listEnvironments();
+            throw new ConfigError(`Unknown environment "${environment}"${available.length > 0 ? ` (expected one of ${available.join(', ')})` : ''}`);
+        }
+
+        let overlay;
+        try {
+            delete require.cache[require.resolve(overlayPath)];
+            overlay = require(overlayPath);
+        } catch (error) {
+            throw new ConfigError(`Could not load the ${environment} environment: ${error.message}`, { cause: error });
+        }
+
+        const problems = this.validate(overlay, this.readSchema());
+        if (problems.length > 0) {
+            throw new ConfigError(`Invalid ${environment} environment config:\n  - ${problems.join('\n  - ')}`);
+        }
+
+        return this.merge(baseConfig, overlay);
+    }
+
+    /**
+     * @returns {Array<string>} - Names of the environments with an overlay
+     */
+    listEnvironments() {
+        if (!fs.existsSync(this.environmentsDir)) return [];
+
+        return fs.readdirSync(this.environmentsDir)
+            .filter(file => file.endsWith('.js'))
+            .map(file => path.basename(file, '.js'))
+            .sort();
+    }
+
+    /**
+     * @returns {Object} - Overridable settings keyed by dotted path
+     */
+    readSchema() {
+        const schemaPath = path.join(this.environmentsDir, SCHEMA_FILE);
+        try {
+            return JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+        } catch (error) {
+            throw new ConfigError(`Could not read ${SCHEMA_FILE} in ${this.environmentsDir}: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Check an overlay against the schema
+     * @param {Object} overlay - Environment overlay
+     * @param {Object} schema - Overridable settings
+     * @param {string} [prefix=''] - Dotted path of the overlay within SiteConfig
+     * @returns {Array<string>} - Problems, empty when the overlay is valid
+     */
+    validate(overlay, schema, prefix = '') {
+        if (!isPlainObject(overlay)) {
+            return [`${prefix || 'The overlay'} must be an object`];
+        }
+
+        return Object.keys(overlay).reduce((problems, key) => {
+            const settingPath = prefix ? `${prefix}.${key}` : key;
+            const value = overlay[key];
+            const rule = schema[settingPath];
+
+            if (rule) {
+                return problems.concat(this.checkValue(settingPath, value, rule));
+            }
+            // Not a setting itself, but may hold some
+            const isParent = Object.keys(schema).some(name => name.startsWith(`${settingPath}.`));
+            if (isParent && isPlainObject(value)) {
+                return problems.concat(this.validate(value, schema, settingPath));
+            }
+            return problems.concat(`${settingPath} cannot be set per environment`);
+        }, []);
+    }
+
+    /**
+     * @param {string} settingPath - Dotted path
+     * @param {*} value - Overlay value
+     * @param {Object} rule - Schema entry { type, enum }
+     * @returns {Array<string>} - Problems with the value
+     */
+    checkValue(settingPath, value, rule) {
+        const checks = {
+            string: () => typeof value === 'string',
+            number: () => typeof value === 'number' && Number.isFinite(value),
+            boolean: () => typeof value === 'boolean',
+            array: () => Array.isArray(value),
+            object: () => isPlainObject(value),
+            url: () => typeof value === 'string' && /^https?:\/\/[^\s/]+/.test(value)
+        };
+
+        if (!checks[rule.type]) {
+            return [`${settingPath} has an unknown type "${rule.type}" in ${SCHEMA_FILE}`];
+        }
+        if (!checks[rule.type]()) {
+            return [`${settingPath} must be ${rule.type === 'url' ? 'an http(s) URL' : `a ${rule.type}`} (got ${JSON.stringify(value)})`];
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            return [`${settingPath} must be one of ${rule.enum.join(', ')} (got ${JSON.stringify(value)})`];
+        }
+        return [];
+    }
+
+    /**
+     * Deep-merge an overlay over a base object without modifying either
+     * @param {Object} base - Base values
+     * @param {Object} overlay - Overriding values
+     * @returns {Object} - Merged copy
+     */
+    merge(base, overlay) {
+        return Object.keys(overlay).reduce((merged, key) => {
+            merged[key] = isPlainObject(base[key]) && isPlainObject(overlay[key])
+                ? this.merge(base[key], overlay[key])
+                : overlay[key];
+            return merged;
+        }, Object.assign({}, base));
+    }
+}
+
+module.exports = EnvironmentConfig;
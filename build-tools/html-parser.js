@@ -0,0 +1,248 @@
+/**
+ * HTML Parser
+ * Minimal, dependency-free HTML tokenizer and helpers used by the build steps
+ *
+ * This is not a spec-compliant parser. It understands exactly what our templates
+ * use: start/end tags with quoted attributes (which may themselves contain markup),
+ * comments, doctypes and raw-text elements (script, style).
+ */
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const SIMPLE_SELECTOR_PATTERN = /^([a-zA-Z][\w-]*)?((?:[.#][\w-]+)*)$/;
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/gi;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&apos;': "'",
+    '&nbsp;': ' '
+};
+
+/**
+ * Split HTML into tag, comment and text tokens
+ * @param {string} html - HTML source
+ * @returns {Array<Object>} - Tokens with type, name, attrs, start and end offsets
+ */
+function tokenize(html) {
+    const tokens = [];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(html)) !== null) {
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', start: lastIndex, end: match.index });
+        }
+
+        const token = { start: match.index, end: TAG_PATTERN.lastIndex, source: match[0] };
+
+        if (match[1]) {
+            token.type = 'close';
+            token.name = match[1].toLowerCase();
+        } else if (match[2]) {
+            token.type = 'open';
+            token.name = match[2].toLowerCase();
+            token.attrs = parseAttributes(match[3] || '');
+            token.selfClosing = match[4] === '/' || VOID_ELEMENTS.has(token.name);
+        } else {
+            token.type = match[0].startsWith('<!--') ? 'comment' : 'doctype';
+        }
+
+        tokens.push(token);
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        // Skip over the body of raw-text elements so their contents are never read as markup
+        if (token.type === 'open' && RAW_TEXT_ELEMENTS.has(token.name) && !token.selfClosing) {
+            const closeIndex = html.toLowerCase().indexOf(`</${token.name}`, lastIndex);
+            const bodyEnd = closeIndex === -1 ? html.length : closeIndex;
+            if (bodyEnd > lastIndex) {
+                tokens.push({ type: 'text', raw: true, start: lastIndex, end: bodyEnd });
+            }
+            lastIndex = bodyEnd;
+            TAG_PATTERN.lastIndex = bodyEnd;
+        }
+    }
+
+    if (lastIndex < html.length) {
+        tokens.push({ type: 'text', start: lastIndex, end: html.length });
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse the attribute portion of a start tag
+ * @param {string} source - Attribute source, e.g. ` class="a" hidden`
+ * @returns {Object} - Attribute map with decoded values (valueless attributes map to '')
+ */
+function parseAttributes(source) {
+    const attrs = {};
+    let match;
+
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attrs[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+    }
+
+    return attrs;
+}
+
+/**
+ * Find the index of the token closing the element opened at openIndex
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {number} openIndex - Index of an open token
+ * @returns {number} - Index of the matching close token, or -1
+ */
+function findClosingToken(tokens, openIndex) {
+    const name = tokens[openIndex].name;
+    let depth = 0;
+
+    for (let i = openIndex; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.name !== name) continue;
+
+        if (token.type === 'open' && !token.selfClosing) {
+            depth++;
+        } else if (token.type === 'close') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Parse a compound selector made of a tag name, classes and ids, e.g. `header.main#top`
+ * @param {string} selector - Selector source
+ * @returns {Object|null} - { tag, classes, ids }, or null for any other kind of selector
+ */
+function parseSimpleSelector(selector) {
+    const match = String(selector).trim().match(SIMPLE_SELECTOR_PATTERN);
+    if (!match || (!match[1] && !match[2])) return null;
+
+    const parts = match[2].match(/[.#][\w-]+/g) || [];
+    return {
+        tag: match[1] ? match[1].toLowerCase() : null,
+        classes: parts.filter(part => part[0] === '.').map(part => part.slice(1)),
+        ids: parts.filter(part => part[0] === '#').map(part => part.slice(1))
+    };
+}
+
+/**
+ * Check whether a start tag matches a selector from parseSimpleSelector()
+ * @param {Object} token - Open token
+ * @param {Object} selector - Parsed selector
+ * @returns {boolean}
+ */
+function matchesSimpleSelector(token, selector) {
+    const classes = (token.attrs.class || '').split(/\s+/);
+    return (!selector.tag || token.name === selector.tag) &&
+        selector.classes.every(name => classes.includes(name)) &&
+        selector.ids.every(id => token.attrs.id === id);
+}
+
+/**
+ * Decode the named and numeric entities that appear in our templates
+ * @param {string} text - Encoded text
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(?:#(\d+)|#x([\da-f]+)|[a-z]+);/gi, (entity, dec, hex) => {
+        if (dec) return String.fromCodePoint(parseInt(dec, 10));
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        return ENTITIES[entity.toLowerCase()] || entity;
+    });
+}
+
+/**
+ * Escape text for use in an HTML attribute or text node
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Set (or add) an attribute on a start tag's source
+ * @param {string} tagSource - Start tag source, e.g. `<input type="text">`
+ * @param {string} name - Attribute name
+ * @param {string} value - Unescaped attribute value
+ * @returns {string} - Updated start tag source
+ */
+function setAttribute(tagSource, name, value) {
+    const escaped = escapeHTML(value);
+    const nameEnd = tagSource.match(/^<[\w-]+/)[0].length;
+    const pattern = new RegExp(ATTRIBUTE_PATTERN.source, 'g');
+    let match;
+
+    pattern.lastIndex = nameEnd;
+    while ((match = pattern.exec(tagSource)) !== null) {
+        if (match[1].toLowerCase() === name) {
+            const before = tagSource.slice(0, match.index);
+            const after = tagSource.slice(match.index + match[0].length);
+            return `${before}${name}="${escaped}"${after}`;
+        }
+    }
+
+    return tagSource.replace(/\s*(\/?)>$/, (match, slash) => ` ${name}="${escaped}"${slash ? ' /' : ''}>`);
+}
+
+/**
+ * Apply a list of { start, end, text } edits to a string
+ * Edits must not overlap; they are applied back to front so offsets stay valid.
+ * @param {string} source - Original string
+ * @param {Array<Object>} edits - Edits to apply
+ * @returns {string} - Edited string
+ */
+function applyEdits(source, edits) {
+    return edits
+        .slice()
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), source);
+}
+
+/**
+ * Get the 1-based line number of an offset
+ * @param {string} source - Source text
+ * @param {number} offset - Character offset
+ * @returns {number} - Line number
+ */
+function lineAt(source, offset) {
+    let line = 1;
+    for (let i = 0; i < offset; i++) {
+        if (source.charCodeAt(i) === 10) line++;
+    }
+    return line;
+}
+
+module.exports = {
+    VOID_ELEMENTS,
+    tokenize,
+    parseAttributes,
+    findClosingToken,
+    parseSimpleSelector,
+    matchesSimpleSelector,
+    decodeEntities,
+    escapeHTML,
+    setAttribute,
+    applyEdits,
+    lineAt
+};
@@ -0,0 +1,156 @@
+/**
+ * Icon Sprite
+ * Replaces LineIcons font icons with inline SVG built from the glyphs of the SVG font
+ *
+ *   <i class="lni lni-cog"></i>
+ * becomes
+ *   <svg class="lni lni-cog" aria-hidden="true" focusable="false"><use href="#icon-cog"></use></svg>
+ * and every page gets a hidden sprite holding a <symbol> for each icon it uses. Icons with
+ * an aria-label or title are exposed as images instead of being hidden. Elements with
+ * content, or whose icon has no glyph in the font, are left alone so the icon font can
+ * still render them.
+ *
+ * Once every icon on a page is SVG, the page's link to the icon font stylesheet is removed
+ * unless the font is explicitly kept.
+ */
+
+const fs = require('fs');
+const { tokenize, parseAttributes, findClosingToken, escapeHTML, applyEdits } = require('./html-parser');
+
+const ICON_CLASS = 'lni';
+const ICON_PREFIX = 'lni-';
+const SYMBOL_PREFIX = 'icon-';
+const GLYPH_PATTERN = /<glyph\b([^>]*?)\/?>/g;
+
+class IconSprite {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.fontPath - Path of the SVG font
+     */
+    constructor(options) {
+        this.fontPath = options.fontPath;
+        this.glyphs = this.loadGlyphs(fs.readFileSync(this.fontPath, 'utf8'));
+    }
+
+    /**
+     * Read the glyphs of an SVG font
+     * @param {string} source - SVG font source
+     * @returns {Map<string, Object>} - Glyph name to { path, width }
+     */
+    loadGlyphs(source) {
+        const fontAttrs = parseAttributes((source.match(/<font\b([^>]*)>/) || [])[1] || '');
+        const faceAttrs = parseAttributes((source.match(/<font-face\b([^>]*)>/) || [])[1] || '');
+        const defaultWidth = parseFloat(fontAttrs['horiz-adv-x']) || 0;
+
+        this.unitsPerEm = parseFloat(faceAttrs['units-per-em']) || 1000;
+        this.ascent = faceAttrs.ascent !== undefined ? parseFloat(faceAttrs.ascent) : this.unitsPerEm;
+
+        const glyphs = new Map();
+        let match;
+
+        GLYPH_PATTERN.lastIndex = 0;
+        while ((match = GLYPH_PATTERN.exec(source)) !== null) {
+            const attrs = parseAttributes(match[1]);
+            if (attrs['glyph-name'] && attrs.d) {
+                glyphs.set(attrs['glyph-name'], {
+                    path: attrs.d,
+                    width: parseFloat(attrs['horiz-adv-x']) || defaultWidth || this.unitsPerEm
+                });
+            }
+        }
+
+        return glyphs;
+    }
+
+    /**
+     * Replace a page's font icons with SVG and add the sprite
+     * @param {string} html - Page HTML
+     * @param {Object} [options={}] - { fontStylesheet, keepFont }: the icon font stylesheet's
+     *                                URL as linked from this page, and whether to keep linking it
+     * @returns {Object} - { html, icons, unresolved, usesFont } where icons lists the sprite's
+     *                     icon names, unresolved the icon elements left for the font and
+     *                     usesFont whether the page still links the font stylesheet
+     */
+    rewritePage(html, options = {}) {
+        const tokens = tokenize(html);
+        const icons = new Set();
+        const unresolved = [];
+        const edits = [];
+        const fontLinks = [];
+        let body = null;
+
+        tokens.forEach((token, index) => {
+            if (token.type !== 'open') return;
+            if (token.name === 'body') body = token;
+            if (token.name === 'link' && token.attrs.href === options.fontStylesheet && /\bstylesheet\b/i.test(token.attrs.rel || '')) {
+                fontLinks.push(token);
+            }
+
+            const classes = (token.attrs.class || '').split(/\s+/).filter(Boolean);
+            if (token.name !== 'i' || !classes.includes(ICON_CLASS)) return;
+
+            const closeIndex = findClosingToken(tokens, index);
+            const isEmpty = closeIndex !== -1 && tokens.slice(index + 1, closeIndex)
+                .every(inner => inner.type === 'text' && html.slice(inner.start, inner.end).trim() === '');
+            const name = classes
+                .filter(className => className.startsWith(ICON_PREFIX))
+                .map(className => className.slice(ICON_PREFIX.length))
+                .find(candidate => this.glyphs.has(candidate));
+
+            if (!isEmpty || !name) {
+                unresolved.push(token.source);
+                return;
+            }
+
+            icons.add(name);
+            edits.push({ start: token.start, end: tokens[closeIndex].end, text: this.createIcon(token.attrs, name) });
+        });
+
+        if (icons.size > 0 && body) {
+            edits.push({ start: body.end, end: body.end, text: this.createSprite(Array.from(icons).sort()) });
+        }
+
+        const usesFont = fontLinks.length > 0 && (options.keepFont || unresolved.length > 0);
+        if (!usesFont) {
+            fontLinks.forEach(link => edits.push({ start: link.start, end: link.end, text: '' }));
+        }
+
+        return { html: applyEdits(html, edits), icons: Array.from(icons).sort(), unresolved, usesFont };
+    }
+
+    /**
+     * @param {Object} attrs - Attributes of the icon element
+     * @param {string} name - Icon name
+     * @returns {string} - <svg> markup referencing the icon's symbol
+     */
+    createIcon(attrs, name) {
+        const label = attrs['aria-label'] || attrs.title;
+        const svgAttrs = Object.assign({}, attrs);
+        delete svgAttrs.title;
+        Object.assign(svgAttrs, label
+            ? { role: 'img', 'aria-label': label }
+            : { 'aria-hidden': 'true', focusable: 'false' });
+
+        const attributes = Object.keys(svgAttrs)
+            .map(attr => (svgAttrs[attr] === '' ? ` ${attr}` : ` ${attr}="${escapeHTML(svgAttrs[attr])}"`))
+            .join('');
+        return `<svg${attributes}><use href="#${SYMBOL_PREFIX}${name}"></use></svg>`;
+    }
+
+    /**
+     * @param {Array<string>} names - Icon names
+     * @returns {string} - Hidden <svg> holding one <symbol> per icon
+     */
+    createSprite(names) {
+        // Font glyphs are drawn with the y axis pointing up from the baseline
+        const symbols = names.map(name => {
+            const glyph = this.glyphs.get(name);
+            return `<symbol id="${SYMBOL_PREFIX}${name}" viewBox="0 0 ${glyph.width} ${this.unitsPerEm}">` +
+                `<path transform="matrix(1 0 0 -1 0 ${this.ascent})" d="${escapeHTML(glyph.path)}"/></symbol>`;
+        }).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" style="display:none">${symbols}</svg>`;
+    }
+}
+
+module.exports = IconSprite;
@@ -0,0 +1,98 @@
+/**
+ * Image Size
+ * Reads the intrinsic dimensions of PNG, JPEG, GIF and SVG images from their headers
+ */
+
+const PNG_SIGNATURE = '89504e470d0a1a0a';
+
+/**
+ * Read an image's dimensions
+ * @param {Buffer} buffer - Image contents
+ * @returns {Object|null} - { type: 'png'|'jpeg'|'gif'|'svg', width, height }, or null when
+ *                          the format is not recognised or the size cannot be determined
+ */
+function readImageSize(buffer) {
+    if (buffer.length >= 24 && buffer.toString('hex', 0, 8) === PNG_SIGNATURE) {
+        return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        return readJpegSize(buffer);
+    }
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { type: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    const text = buffer.toString('utf8', 0, Math.min(buffer.length, 4096));
+    if (/<svg[\s>]/i.test(text)) {
+        return readSvgSize(text);
+    }
+    return null;
+}
+
+/**
+ * Find the frame header among a JPEG's markers
+ * @param {Buffer} buffer - JPEG contents
+ * @returns {Object|null} - { type, width, height }
+ */
+function readJpegSize(buffer) {
+    let offset = 2;
+
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+
+        // Fill bytes and markers without a length
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { type: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+
+    return null;
+}
+
+/**
+ * Read an SVG's size from its width/height attributes, falling back to its viewBox
+ * @param {string} text - Start of the SVG source
+ * @returns {Object|null} - { type, width, height }
+ */
+function readSvgSize(text) {
+    const tag = text.match(/<svg\b[^>]*>/i)[0];
+    const attribute = name => {
+        const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+        return match ? match[1].trim() : null;
+    };
+    const pixels = value => (value && /^\d+(?:\.\d+)?(?:px)?$/.test(value) ? parseFloat(value) : null);
+
+    let width = pixels(attribute('width'));
+    let height = pixels(attribute('height'));
+    const viewBox = (attribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+        if (width === null && height === null) {
+            width = viewBox[2];
+            height = viewBox[3];
+        } else if (height === null) {
+            height = width * viewBox[3] / viewBox[2];
+        } else if (width === null) {
+            width = height * viewBox[2] / viewBox[3];
+        }
+    }
+
+    if (!width || !height) return null;
+    return { type: 'svg', width: Math.round(width), height: Math.round(height) };
+}
+
+module.exports = {
+    readImageSize
+};
@@ -0,0 +1,164 @@
+/**
+ * Legal Documents
+ * Loads the Markdown legal documents in src/legal and renders them to HTML
+ *
+ * Each document is a directory holding one Markdown file per language:
+ *   src/legal/privacy-policy/en.md
+ *   src/legal/privacy-policy/ar.md
+ * Every file starts with front matter naming its version, effective date and language:
+ *   ---
+ *   title: Privacy Policy
+ *   version: v3.2
+ *   effective: 2025-09-24
+ *   language: en
+ *   ---
+ * All supported languages must be present, and translations must carry the same version
+ * and effective date, so a page never shows an outdated translation of a newer policy.
+ * Pages show a document by naming it in their @page metadata (`"legal": "privacy-policy"`).
+ * Titles and text may name the brand with `{{ brand.name }}` placeholders (see brand-profile.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter, renderMarkdown } = require('./markdown');
+const { DataValidationError } = require('./build-errors');
+
+const REQUIRED_ATTRIBUTES = ['title', 'version', 'effective', 'language'];
+const VERSION_PATTERN = /^v\d+(?:\.\d+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class LegalDocuments {
+    /**
+     * @param {Object} options - Loader options
+     * @param {string} options.legalDir - Directory holding one directory per document
+     * @param {Array<string>} options.languages - Supported language codes
+     * @param {Function} [options.format] - Called with each title and body and their language
+     *                                      code before rendering; returns the text to render
+     */
+    constructor(options) {
+        this.legalDir = options.legalDir;
+        this.languages = options.languages;
+        this.format = options.format || (text => text);
+    }
+
+    /**
+     * Load, validate and render every document
+     * @returns {Object} - Documents keyed by name, each mapping language codes to
+     *                     { title, description, version, effective, language, html }
+     */
+    loadAll() {
+        if (!fs.existsSync(this.legalDir)) {
+            return {};
+        }
+
+        return fs.readdirSync(this.legalDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort()
+            .reduce((documents, name) => {
+                documents[name] = this.loadDocument(name);
+                return documents;
+            }, {});
+    }
+
+    /**
+     * Load every translation of a document
+     * @param {string} name - Document directory name
+     * @returns {Object} - Translations keyed by language code
+     */
+    loadDocument(name) {
+        const dir = path.join(this.legalDir, name);
+        const translations = {};
+
+        fs.readdirSync(dir).filter(file => file.endsWith('.md')).sort().forEach(file => {
+            const translation = this.readTranslation(path.join(name, file));
+            // Languages left out of this build (--languages) are skipped
+            if (!this.languages.includes(translation.language)) return;
+
+            if (translations[translation.language]) {
+                this.fail(path.join(name, file), [`language "${translation.language}" is also used by another file of ${name}`]);
+            }
+            translations[translation.language] = translation;
+        });
+
+        const problems = [];
+        const [first] = Object.values(translations);
+        this.languages.filter(languageCode => !translations[languageCode]).forEach(languageCode => {
+            problems.push(`no ${languageCode} translation`);
+        });
+        Object.values(translations).forEach(translation => {
+            ['version', 'effective'].forEach(key => {
+                if (translation[key] !== first[key]) {
+                    problems.push(`the ${translation.language} translation has ${key} ${translation[key]}, but the ${first.language} one has ${first[key]}`);
+                }
+            });
+        });
+        if (problems.length > 0) {
+            this.fail(name, problems);
+        }
+
+        return translations;
+    }
+
+    /**
+     * Read and render one Markdown file
+     * @param {string} file - Path relative to the legal directory
+     * @returns {Object} - { title, description, version, effective, language, html }
+     */
+    readTranslation(file) {
+        let parsed;
+        try {
+            parsed = parseFrontMatter(fs.readFileSync(path.join(this.legalDir, file), 'utf8'));
+        } catch (error) {
+            this.fail(file, [error.message], error);
+        }
+
+        const { attributes, body } = parsed;
+        const problems = REQUIRED_ATTRIBUTES
+            .filter(key => !attributes[key])
+            .map(key => `front matter is missing "${key}"`);
+
+        if (attributes.version && !VERSION_PATTERN.test(attributes.version)) {
+            problems.push(`version must look like v3.2 (got "${attributes.version}")`);
+        }
+        if (attributes.effective && !this.isValidDate(attributes.effective)) {
+            problems.push(`effective must be a date such as 2025-09-24 (got "${attributes.effective}")`);
+        }
+        if (problems.length > 0) {
+            this.fail(file, problems);
+        }
+
+        return {
+            title: this.format(attributes.title, attributes.language),
+            description: this.format(attributes.description || '', attributes.language),
+            version: attributes.version,
+            effective: attributes.effective,
+            language: attributes.language,
+            html: renderMarkdown(this.format(body, attributes.language))
+        };
+    }
+
+    /**
+     * @param {string} value - Date in YYYY-MM-DD form
+     * @returns {boolean} - Whether the value is a real calendar date
+     */
+    isValidDate(value) {
+        const date = new Date(`${value}T00:00:00Z`);
+        return DATE_PATTERN.test(value) && !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+    }
+
+    /**
+     * @param {string} file - Document or file the problems were found in
+     * @param {Array<string>} problems - Problem descriptions
+     * @param {Error} [cause] - Underlying error
+     */
+    fail(file, problems, cause) {
+        throw new DataValidationError(`Invalid legal document ${file}: ${problems.join('; ')}`, {
+            file: path.join(path.basename(this.legalDir), file),
+            problems,
+            cause
+        });
+    }
+}
+
+module.exports = LegalDocuments;
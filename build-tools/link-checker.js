@@ -0,0 +1,208 @@
+/**
+ * Link Checker
+ * Verifies that every reference in the built site resolves to something in dist
+ *
+ * Checks, in every generated HTML page:
+ *   - src/href/action/poster/data-src and srcset attributes
+ *   - url() in style attributes and inline <style> blocks
+ *   - og:image / twitter:image meta tags
+ *   - #fragments, against the ids of the page they point at
+ * and url() references in every CSS file.
+ *
+ * Relative URLs, root-relative URLs and absolute URLs on the site's own domain are
+ * resolved against dist. Missing files and fragments are errors; placeholder links
+ * (`javascript:` URLs, bare `#`) are warnings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, lineAt } = require('./html-parser');
+const { URL_ATTRIBUTES, SRCSET_ATTRIBUTES, splitUrl, findCssUrls } = require('./url-rewriter');
+const { listFiles } = require('./build-utils');
+
+const IMAGE_META_PROPERTIES = new Set(['og:image', 'twitter:image']);
+const EXTERNAL_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+
+class LinkChecker {
+    /**
+     * @param {Object} options - Checker options
+     * @param {string} options.distDir - Build output directory
+     * @param {string} options.siteUrl - Absolute site URL; links under it are checked against dist
+     * @param {Array<string>} [options.ignore=[]] - URL prefixes that are never reported
+     */
+    constructor(options) {
+        this.distDir = options.distDir;
+        this.siteUrl = options.siteUrl.replace(/\/$/, '');
+        this.ignore = options.ignore || [];
+        this.pageIds = new Map();
+    }
+
+    /**
+     * Check every page and stylesheet in dist
+     * @returns {Object} - { checked, issues } where issues are
+     *                     { severity: 'error'|'warning', file, line, url, message }
+     */
+    run() {
+        this.pageIds.clear();
+
+        const files = listFiles(this.distDir);
+        const references = []
+            .concat(...files.filter(file => file.endsWith('.html')).map(file => this.collectHtmlReferences(file)))
+            .concat(...files.filter(file => file.endsWith('.css')).map(file => this.collectCssReferences(file)));
+
+        const issues = references
+            .filter(reference => !this.ignore.some(prefix => reference.url.startsWith(prefix)))
+            .map(reference => this.checkReference(reference))
+            .filter(Boolean);
+
+        return { checked: references.length, issues };
+    }
+
+    /**
+     * Collect the URLs referenced by a page
+     * @param {string} file - Page path relative to dist
+     * @returns {Array<Object>} - { file, line, url, context } entries
+     */
+    collectHtmlReferences(file) {
+        const html = this.read(file);
+        const references = [];
+        const add = (url, offset, context) => references.push({ file, line: lineAt(html, offset), url, context });
+
+        tokenize(html).forEach((token, index, tokens) => {
+            if (token.type === 'text' && token.raw && tokens[index - 1].name === 'style') {
+                const css = html.slice(token.start, token.end);
+                findCssUrls(css).forEach(({ url, index }) => add(url, token.start + index, '<style> url()'));
+                return;
+            }
+
+            if (token.type !== 'open') return;
+
+            URL_ATTRIBUTES.forEach(name => {
+                if (token.attrs[name] !== undefined) add(token.attrs[name], token.start, `<${token.name} ${name}>`);
+            });
+
+            SRCSET_ATTRIBUTES.forEach(name => {
+                if (token.attrs[name] === undefined) return;
+                token.attrs[name].split(',').forEach(candidate => {
+                    const url = candidate.trim().split(/\s+/)[0];
+                    if (url) add(url, token.start, `<${token.name} ${name}>`);
+                });
+            });
+
+            if (token.attrs.style && token.attrs.style.includes('url(')) {
+                findCssUrls(token.attrs.style).forEach(({ url }) => add(url, token.start, `<${token.name} style>`));
+            }
+
+            if (token.name === 'meta' && IMAGE_META_PROPERTIES.has(token.attrs.property) && token.attrs.content) {
+                add(token.attrs.content, token.start, `<meta property="${token.attrs.property}">`);
+            }
+        });
+
+        return references;
+    }
+
+    /**
+     * Collect the URLs referenced by a stylesheet
+     * @param {string} file - Stylesheet path relative to dist
+     * @returns {Array<Object>} - { file, line, url, context } entries
+     */
+    collectCssReferences(file) {
+        const css = this.read(file);
+        return findCssUrls(css).map(({ url, index }) => ({ file, line: lineAt(css, index), url, context: 'url()' }));
+    }
+
+    /**
+     * Check one reference
+     * @param {Object} reference - Collected reference
+     * @returns {Object|null} - Issue, or null when the reference resolves
+     */
+    checkReference(reference) {
+        const url = reference.url.trim();
+        const issue = (severity, message) => Object.assign({ severity, message }, reference);
+
+        if (/^javascript:/i.test(url) || url === '#' || url === '') {
+            return issue('warning', `placeholder link in ${reference.context}`);
+        }
+
+        const target = this.resolveTarget(reference.file, url);
+        if (target === null) return null;
+
+        const { pathname, suffix } = splitUrl(target);
+        const file = this.resolveFile(pathname);
+        if (!file) {
+            return issue('error', `missing file ${pathname || '/'} (${reference.context})`);
+        }
+
+        const fragment = decodeURIComponent(suffix.slice(suffix.indexOf('#') + 1));
+        if (suffix.includes('#') && fragment && file.endsWith('.html') && !this.getPageIds(file).has(fragment)) {
+            return issue('error', `missing anchor #${fragment} in ${file} (${reference.context})`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Turn a URL into a dist-relative path (plus ?query/#fragment)
+     * @param {string} fromFile - File containing the reference, relative to dist
+     * @param {string} url - Referenced URL
+     * @returns {string|null} - Dist-relative target, or null for URLs outside the site
+     */
+    resolveTarget(fromFile, url) {
+        if (url.startsWith('#')) {
+            return fromFile + url;
+        }
+        if (url === this.siteUrl || url.startsWith(`${this.siteUrl}/`)) {
+            return url.slice(this.siteUrl.length).replace(/^\//, '');
+        }
+        if (EXTERNAL_PATTERN.test(url) || url.startsWith('{')) {
+            return null;
+        }
+        if (url.startsWith('/')) {
+            return url.slice(1);
+        }
+
+        const { pathname, suffix } = splitUrl(url);
+        const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), pathname));
+        return (resolved === '.' ? '' : resolved) + (pathname.endsWith('/') ? '/' : '') + suffix;
+    }
+
+    /**
+     * Find the dist file a path refers to, following directory index pages
+     * @param {string} pathname - Dist-relative path
+     * @returns {string|null} - Dist-relative file, or null if nothing is there
+     */
+    resolveFile(pathname) {
+        const decoded = decodeURI(pathname).replace(/\/$/, '');
+        const absolutePath = path.join(this.distDir, decoded);
+
+        if (!fs.existsSync(absolutePath)) return null;
+        if (fs.statSync(absolutePath).isFile()) return decoded;
+
+        const index = decoded ? `${decoded}/index.html` : 'index.html';
+        return fs.existsSync(path.join(this.distDir, index)) ? index : null;
+    }
+
+    /**
+     * Get the ids (and legacy `<a name>` anchors) defined in a page
+     * @param {string} file - Page path relative to dist
+     * @returns {Set<string>} - Anchor names
+     */
+    getPageIds(file) {
+        if (!this.pageIds.has(file)) {
+            const ids = new Set();
+            tokenize(this.read(file)).forEach(token => {
+                if (token.type !== 'open') return;
+                if (token.attrs.id) ids.add(token.attrs.id);
+                if (token.name === 'a' && token.attrs.name) ids.add(token.attrs.name);
+            });
+            this.pageIds.set(file, ids);
+        }
+        return this.pageIds.get(file);
+    }
+
+    read(file) {
+        return fs.readFileSync(path.join(this.distDir, file), 'utf8');
+    }
+}
+
+module.exports = LinkChecker;
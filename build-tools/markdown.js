@@ -0,0 +1,190 @@
+/**
+ * Markdown
+ * Front-matter parsing and a Markdown renderer covering what our documents use
+ *
+ * Front matter is a block of `key: value` lines between `---` fences at the top of the file.
+ * Values are strings; surrounding quotes are removed.
+ *
+ * Supported blocks: ATX headings (`## Title`), paragraphs, `-`/`*` and `1.` lists (one
+ * level), `>` blockquotes, pipe tables with a `| --- |` separator row and `---` rules.
+ * Supported inline syntax: `**strong**`, `*emphasis*`, `` `code` ``, `[text](url)` and a
+ * trailing backslash for a line break. Everything else is escaped and shown as text.
+ */
+
+const { escapeHTML } = require('./html-parser');
+
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.*?)[ \t]*#*[ \t]*$/;
+const RULE_PATTERN = /^(?:-[ \t]*){3,}$|^(?:\*[ \t]*){3,}$/;
+const UNORDERED_ITEM_PATTERN = /^[-*][ \t]+(.*)$/;
+const ORDERED_ITEM_PATTERN = /^\d+[.)][ \t]+(.*)$/;
+const QUOTE_PATTERN = /^>[ \t]?(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+/**
+ * Split a document into its front matter and body
+ * @param {string} source - Document source
+ * @returns {Object} - { attributes, body } where attributes maps front-matter keys to strings
+ */
+function parseFrontMatter(source) {
+    const match = source.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+        return { attributes: {}, body: source };
+    }
+
+    const attributes = {};
+    match[1].split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            throw new Error(`Invalid front matter on line ${index + 2}: "${line.trim()}" (expected "key: value")`);
+        }
+        const value = line.slice(separator + 1).trim();
+        attributes[line.slice(0, separator).trim()] = /^(["']).*\1$/.test(value) ? value.slice(1, -1) : value;
+    });
+
+    return { attributes, body: source.slice(match[0].length) };
+}
+
+/**
+ * Render Markdown to HTML
+ * @param {string} source - Markdown without front matter
+ * @returns {string} - HTML, one block per line
+ */
+function renderMarkdown(source) {
+    const lines = source.replace(/\t/g, '    ').split(/\r?\n/);
+    const blocks = [];
+    let index = 0;
+
+    // Collect the following lines that belong to the current block
+    const takeWhile = test => {
+        const taken = [];
+        while (index < lines.length && test(lines[index])) {
+            taken.push(lines[index]);
+            index++;
+        }
+        return taken;
+    };
+
+    while (index < lines.length) {
+        const line = lines[index];
+        const trimmed = line.trim();
+        let match;
+
+        if (!trimmed) {
+            index++;
+        } else if ((match = trimmed.match(HEADING_PATTERN))) {
+            const level = match[1].length;
+            blocks.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+            index++;
+        } else if (RULE_PATTERN.test(trimmed)) {
+            blocks.push('<hr>');
+            index++;
+        } else if (QUOTE_PATTERN.test(trimmed)) {
+            const quoted = takeWhile(next => QUOTE_PATTERN.test(next.trim()))
+                .map(next => next.trim().match(QUOTE_PATTERN)[1]);
+            blocks.push(`<blockquote>\n${renderMarkdown(quoted.join('\n'))}\n</blockquote>`);
+        } else if (UNORDERED_ITEM_PATTERN.test(trimmed) || ORDERED_ITEM_PATTERN.test(trimmed)) {
+            const isItem = next => UNORDERED_ITEM_PATTERN.test(next.trim()) || ORDERED_ITEM_PATTERN.test(next.trim());
+            blocks.push(renderList(takeWhile(next => next.trim() !== '' && (isItem(next) || !startsBlock(next.trim())))));
+        } else if (trimmed.startsWith('|') && TABLE_SEPARATOR_PATTERN.test((lines[index + 1] || '').trim())) {
+            blocks.push(renderTable(takeWhile(next => next.trim().startsWith('|'))));
+        } else {
+            const paragraph = takeWhile(next => next.trim() !== '' && !startsBlock(next.trim()));
+            blocks.push(`<p>${renderInline(paragraph.map(next => next.trim()).join('\n'))}</p>`);
+        }
+    }
+
+    return blocks.join('\n');
+}
+
+/**
+ * @param {string} line - Trimmed line
+ * @returns {boolean} - Whether the line interrupts a paragraph
+ */
+function startsBlock(line) {
+    return HEADING_PATTERN.test(line) ||
+        RULE_PATTERN.test(line) ||
+        QUOTE_PATTERN.test(line) ||
+        UNORDERED_ITEM_PATTERN.test(line) ||
+        ORDERED_ITEM_PATTERN.test(line);
+}
+
+/**
+ * @param {Array<string>} lines - List lines; lines that do not start an item continue the previous one
+ * @returns {string} - <ul> or <ol> element, depending on the first item
+ */
+function renderList(lines) {
+    const tag = ORDERED_ITEM_PATTERN.test(lines[0].trim()) ? 'ol' : 'ul';
+    const items = [];
+
+    lines.forEach(line => {
+        const trimmed = line.trim();
+        const match = trimmed.match(UNORDERED_ITEM_PATTERN) || trimmed.match(ORDERED_ITEM_PATTERN);
+        if (match) {
+            items.push(match[1]);
+        } else {
+            items[items.length - 1] += `\n${trimmed}`;
+        }
+    });
+
+    return `<${tag}>\n${items.map(item => `<li>${renderInline(item)}</li>`).join('\n')}\n</${tag}>`;
+}
+
+/**
+ * @param {Array<string>} lines - Header row, separator row and body rows
+ * @returns {string} - <table> element
+ */
+function renderTable(lines) {
+    const cells = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    const alignments = cells(lines[1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : null;
+    });
+    const renderRow = (line, tag) => {
+        const row = cells(line).map((cell, column) => {
+            const align = alignments[column] ? ` style="text-align: ${alignments[column]}"` : '';
+            return `<${tag}${align}>${renderInline(cell)}</${tag}>`;
+        });
+        return `<tr>${row.join('')}</tr>`;
+    };
+
+    const body = lines.slice(2).map(line => renderRow(line, 'td'));
+    return [
+        '<table>',
+        `<thead>${renderRow(lines[0], 'th')}</thead>`,
+        body.length > 0 ? `<tbody>\n${body.join('\n')}\n</tbody>` : '',
+        '</table>'
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Render inline syntax in a block's text
+ * @param {string} text - Raw text, possibly spanning several lines
+ * @returns {string} - HTML
+ */
+function renderInline(text) {
+    // Code spans are rendered first and kept out of the other replacements
+    const codeSpans = [];
+    let html = escapeHTML(text).replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => `<a href="${href}">${label}</a>`)
+        .replace(/\*\*(\S(?:[\s\S]*?\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(\S(?:[\s\S]*?\S)?)\*/g, '<em>$1</em>')
+        .replace(/\\\n/g, '<br>\n')
+        .replace(/\\$/, '');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, number) => codeSpans[number]);
+}
+
+module.exports = {
+    parseFrontMatter,
+    renderMarkdown,
+    renderInline
+};
@@ -0,0 +1,338 @@
+/**
+ * Minifier
+ * Dependency-free, conservative minification for our own CSS, JavaScript and HTML
+ *
+ * The JavaScript minifier strips comments and redundant whitespace but keeps line
+ * breaks, so automatic semicolon insertion behaves exactly as in the source. The CSS
+ * minifier collapses each file onto one line. Both return mappings back to the
+ * original positions so callers can produce source maps.
+ */
+
+const { tokenize } = require('./html-parser');
+
+const REGEX_PRECEDING_CHARS = '(,=:[!&|?{};+-*%<>~^';
+const REGEX_PRECEDING_WORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete',
+    'void', 'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+const CSS_TIGHT_CHARS = '{};,>';
+const HTML_PRESERVE_ELEMENTS = new Set(['pre', 'textarea']);
+
+/**
+ * Check whether a character can be part of an identifier or number
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+function isWordChar(char) {
+    return /[\w$\\]/.test(char) || char.charCodeAt(0) > 127;
+}
+
+/**
+ * Collects minified output and records where each output line started in the source
+ */
+class OutputWriter {
+    constructor() {
+        this.code = '';
+        this.mappings = [];
+        this.line = 0;
+        this.column = 0;
+        this.pendingSpace = false;
+        this.pendingNewline = false;
+    }
+
+    /**
+     * Append a token
+     * @param {string} text - Token text
+     * @param {Object} origin - Original { line, column } of the token
+     * @param {Function} needsSpace - Decides whether a pending space must be kept
+     * @param {boolean} mapToken - Record a mapping even when not at the start of a line
+     */
+    write(text, origin, needsSpace, mapToken = false) {
+        const previous = this.code[this.code.length - 1];
+
+        if (this.pendingNewline && this.code !== '') {
+            this.code += '\n';
+            this.line++;
+            this.column = 0;
+        } else if (this.pendingSpace && previous !== undefined && needsSpace(previous, text[0])) {
+            this.code += ' ';
+            this.column++;
+        }
+        this.pendingSpace = false;
+        this.pendingNewline = false;
+
+        if (this.column === 0 || mapToken) {
+            this.mappings.push({
+                generatedLine: this.line,
+                generatedColumn: this.column,
+                originalLine: origin.line,
+                originalColumn: origin.column
+            });
+        }
+
+        this.code += text;
+        const lastBreak = text.lastIndexOf('\n');
+        if (lastBreak === -1) {
+            this.column += text.length;
+        } else {
+            this.line += text.split('\n').length - 1;
+            this.column = text.length - lastBreak - 1;
+        }
+    }
+}
+
+/**
+ * Tracks line and column while walking through source text
+ */
+class SourceCursor {
+    constructor(source) {
+        this.source = source;
+        this.index = 0;
+        this.line = 0;
+        this.column = 0;
+    }
+
+    get position() {
+        return { line: this.line, column: this.column };
+    }
+
+    peek(offset = 0) {
+        return this.source[this.index + offset];
+    }
+
+    startsWith(text) {
+        return this.source.startsWith(text, this.index);
+    }
+
+    /**
+     * Consume characters
+     * @param {number} count - Number of characters to consume
+     * @returns {string} - Consumed text
+     */
+    advance(count = 1) {
+        const text = this.source.slice(this.index, this.index + count);
+        for (const char of text) {
+            if (char === '\n') {
+                this.line++;
+                this.column = 0;
+            } else {
+                this.column++;
+            }
+        }
+        this.index += text.length;
+        return text;
+    }
+
+    /**
+     * Consume a quoted string, honouring backslash escapes
+     * @returns {string} - The string including its quotes
+     */
+    readString() {
+        const quote = this.peek();
+        let end = this.index + 1;
+        while (end < this.source.length && this.source[end] !== quote) {
+            end += this.source[end] === '\\' ? 2 : 1;
+        }
+        return this.advance(end + 1 - this.index);
+    }
+}
+
+/**
+ * Minify JavaScript, keeping line breaks
+ * @param {string} source - JavaScript source
+ * @returns {Object} - { code, mappings }
+ */
+function minifyJS(source) {
+    const cursor = new SourceCursor(source);
+    const output = new OutputWriter();
+    const needsSpace = (a, b) => (isWordChar(a) && isWordChar(b)) || ((a === '+' || a === '-') && a === b);
+    let lastChar = '';
+    let lastWord = '';
+
+    const emit = (text, origin) => {
+        output.write(text, origin, needsSpace);
+        lastChar = text[text.length - 1];
+        lastWord = isWordChar(text[0]) ? text : '';
+    };
+
+    while (cursor.index < source.length) {
+        const char = cursor.peek();
+        const origin = cursor.position;
+
+        if (char === '\n') {
+            cursor.advance();
+            output.pendingNewline = true;
+        } else if (/\s/.test(char)) {
+            cursor.advance();
+            output.pendingSpace = true;
+        } else if (cursor.startsWith('//')) {
+            const end = source.indexOf('\n', cursor.index);
+            cursor.advance((end === -1 ? source.length : end) - cursor.index);
+        } else if (cursor.startsWith('/*')) {
+            const end = source.indexOf('*/', cursor.index + 2);
+            const comment = cursor.advance((end === -1 ? source.length : end + 2) - cursor.index);
+            if (comment.includes('\n')) {
+                output.pendingNewline = true;
+            } else {
+                output.pendingSpace = true;
+            }
+        } else if (char === '"' || char === "'") {
+            emit(cursor.readString(), origin);
+        } else if (char === '`') {
+            emit(readTemplateLiteral(cursor), origin);
+        } else if (char === '/' && (lastChar === '' || REGEX_PRECEDING_CHARS.includes(lastChar) || REGEX_PRECEDING_WORDS.has(lastWord))) {
+            emit(readRegexLiteral(cursor), origin);
+        } else if (isWordChar(char)) {
+            let end = cursor.index;
+            while (end < source.length && isWordChar(source[end])) end++;
+            emit(cursor.advance(end - cursor.index), origin);
+        } else {
+            emit(cursor.advance(), origin);
+        }
+    }
+
+    return { code: output.code, mappings: output.mappings };
+}
+
+/**
+ * Consume a template literal, including any nested `${}` expressions
+ * @param {SourceCursor} cursor - Cursor positioned at the opening backtick
+ * @returns {string} - Template literal source
+ */
+function readTemplateLiteral(cursor) {
+    const source = cursor.source;
+    let end = cursor.index + 1;
+    let depth = 0;
+
+    while (end < source.length) {
+        const char = source[end];
+        if (char === '\\') {
+            end += 2;
+            continue;
+        }
+        if (depth === 0 && char === '`') break;
+        if (char === '$' && source[end + 1] === '{') {
+            depth++;
+            end++;
+        } else if (char === '}' && depth > 0) {
+            depth--;
+        }
+        end++;
+    }
+
+    return cursor.advance(end + 1 - cursor.index);
+}
+
+/**
+ * Consume a regular expression literal and its flags
+ * @param {SourceCursor} cursor - Cursor positioned at the opening slash
+ * @returns {string} - Regex literal source
+ */
+function readRegexLiteral(cursor) {
+    const source = cursor.source;
+    let end = cursor.index + 1;
+    let inClass = false;
+
+    while (end < source.length && source[end] !== '\n') {
+        const char = source[end];
+        if (char === '\\') {
+            end += 2;
+            continue;
+        }
+        if (char === '[') inClass = true;
+        else if (char === ']') inClass = false;
+        else if (char === '/' && !inClass) break;
+        end++;
+    }
+
+    end++;
+    while (end < source.length && /[a-z]/i.test(source[end])) end++;
+    return cursor.advance(end - cursor.index);
+}
+
+/**
+ * Minify CSS onto a single line
+ * @param {string} source - CSS source
+ * @returns {Object} - { code, mappings }
+ */
+function minifyCSS(source) {
+    const cursor = new SourceCursor(source);
+    const output = new OutputWriter();
+    const needsSpace = (a, b) => !CSS_TIGHT_CHARS.includes(a) && !CSS_TIGHT_CHARS.includes(b) && a !== ':';
+    let mapNext = true;
+
+    const emit = text => {
+        output.write(text, cursor.position, needsSpace, mapNext);
+        mapNext = false;
+    };
+
+    while (cursor.index < source.length) {
+        const char = cursor.peek();
+
+        if (/\s/.test(char)) {
+            cursor.advance();
+            output.pendingSpace = true;
+        } else if (cursor.startsWith('/*')) {
+            const end = source.indexOf('*/', cursor.index + 2);
+            cursor.advance((end === -1 ? source.length : end + 2) - cursor.index);
+            output.pendingSpace = true;
+        } else if (char === '"' || char === "'") {
+            const origin = cursor.position;
+            output.write(cursor.readString(), origin, needsSpace, mapNext);
+            mapNext = false;
+        } else {
+            if (char === '}' && output.code.endsWith(';')) {
+                // The last declaration in a block needs no semicolon
+                output.code = output.code.slice(0, -1);
+                output.column--;
+            }
+            emit(char);
+            cursor.advance();
+            // Map the start of every rule and declaration
+            mapNext = char === '{' || char === '}' || char === ';';
+        }
+    }
+
+    return { code: output.code, mappings: output.mappings };
+}
+
+/**
+ * Minify HTML by dropping comments and collapsing insignificant whitespace
+ * Script and style bodies, <pre> and <textarea> are left untouched. Whitespace that spans
+ * lines collapses to a single line break rather than a space, which costs nothing and keeps
+ * the line numbers that the link checker and the audit report in the built pages useful.
+ * @param {string} html - HTML source
+ * @returns {string} - Minified HTML
+ */
+function minifyHTML(html) {
+    let preserveDepth = 0;
+    const collapse = whitespace => (whitespace.includes('\n') ? '\n' : ' ');
+
+    return tokenize(html).map(token => {
+        const text = html.slice(token.start, token.end);
+
+        switch (token.type) {
+            case 'comment':
+                // Keep conditional comments, drop everything else
+                return text.startsWith('<!--[if') ? text : '';
+            case 'open':
+                if (HTML_PRESERVE_ELEMENTS.has(token.name)) preserveDepth++;
+                return text
+                    .replace(/("[^"]*"|'[^']*')|\s+/g, (match, quoted) => quoted || collapse(match))
+                    .replace(/\s+(\/?>)$/, '$1');
+            case 'close':
+                if (HTML_PRESERVE_ELEMENTS.has(token.name)) preserveDepth--;
+                return text;
+            case 'text':
+                return token.raw || preserveDepth > 0 ? text : text.replace(/\s+/g, collapse);
+            default:
+                return text;
+        }
+    }).join('').trim() + '\n';
+}
+
+module.exports = {
+    minifyJS,
+    minifyCSS,
+    minifyHTML
+};
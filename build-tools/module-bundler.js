@@ -0,0 +1,239 @@
+/**
+ * Module Bundler
+ * Resolves ES module import/export statements between our browser scripts and emits
+ * the modules in dependency order, each in its own function scope
+ *
+ * Supported syntax (statements must start at the beginning of a line):
+ *   import Default from './x.js';      import { a, b as c } from './x.js';
+ *   import * as ns from './x.js';      import './x.js';
+ *   export default class X {}          export default <expression>;
+ *   export class|function|const X      export { a, b as c };
+ *
+ * The rewritten module keeps every line where it was, so the bundle's source map can
+ * point straight back at the original files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IMPORT_PATTERN = /^import\s+(?:([\w$]+)\s*,?\s*)?(?:\{([^}]*)\}\s*|\*\s*as\s+([\w$]+)\s*)?(?:from\s*)?(['"])([^'"\n]+)\4\s*;?/gm;
+const EXPORT_DEFAULT_DECLARATION_PATTERN = /^export\s+default\s+((?:async\s+)?function\*?|class)\s+([\w$]+)/gm;
+const EXPORT_DEFAULT_EXPRESSION_PATTERN = /^export\s+default\s+/gm;
+const EXPORT_DECLARATION_PATTERN = /^export\s+((?:async\s+)?function\*?|class|const|let|var)\s+([\w$]+)/gm;
+const EXPORT_LIST_PATTERN = /^export\s*\{([^}]*)\}\s*(from\s*['"][^'"]+['"])?\s*;?/gm;
+const DEFAULT_EXPORT_BINDING = '__defaultExport';
+const REGISTRY = '__modules';
+
+class ModuleBundler {
+    /**
+     * @param {Object} options - Bundler options
+     * @param {string} options.rootDir - Directory module ids are relative to
+     */
+    constructor(options) {
+        this.rootDir = options.rootDir;
+    }
+
+    /**
+     * Create the ordered list of bundle sources for an entry module
+     * @param {string} entryPath - Absolute path of the entry module
+     * @returns {Array<Object>} - { name, path, content, original } entries for CodeBundler
+     */
+    createSources(entryPath) {
+        const modules = this.collect(entryPath);
+        const sources = [this.createChunk(`(function () {\n'use strict';\nconst ${REGISTRY} = {};`)];
+
+        modules.forEach(module => {
+            const { code, exports } = this.transform(module);
+            const exported = Object.keys(exports)
+                .map(name => `${JSON.stringify(name)}: ${exports[name]}`)
+                .join(', ');
+
+            sources.push(this.createChunk(`${REGISTRY}[${JSON.stringify(module.id)}] = (function () {`));
+            sources.push({ name: module.id, path: module.path, content: code, original: module.source });
+            sources.push(this.createChunk(`return { ${exported} };\n})();`));
+        });
+
+        sources.push(this.createChunk('})();'));
+        return sources;
+    }
+
+    /**
+     * Walk the import graph depth-first
+     * @param {string} entryPath - Absolute path of the entry module
+     * @returns {Array<Object>} - Modules, dependencies before dependents
+     */
+    collect(entryPath) {
+        const ordered = [];
+        const visited = new Set();
+
+        const visit = (modulePath, stack) => {
+            if (stack.includes(modulePath)) {
+                const chain = stack.slice(stack.indexOf(modulePath)).concat(modulePath).map(file => this.getModuleId(file));
+                throw new Error(`Circular import: ${chain.join(' -> ')}`);
+            }
+            if (visited.has(modulePath)) return;
+
+            const module = this.parse(modulePath);
+            module.imports.forEach(entry => visit(entry.resolved, stack.concat(modulePath)));
+
+            visited.add(modulePath);
+            ordered.push(module);
+        };
+
+        visit(this.resolve(`./${path.basename(entryPath)}`, path.dirname(entryPath), entryPath), []);
+        return ordered;
+    }
+
+    /**
+     * Read a module and find its import statements
+     * @param {string} modulePath - Absolute module path
+     * @returns {Object} - { id, path, source, imports }
+     */
+    parse(modulePath) {
+        const source = fs.readFileSync(modulePath, 'utf8');
+        const imports = [];
+        let match;
+
+        IMPORT_PATTERN.lastIndex = 0;
+        while ((match = IMPORT_PATTERN.exec(source)) !== null) {
+            imports.push({
+                statement: match[0],
+                defaultBinding: match[1],
+                namedBindings: match[2],
+                namespaceBinding: match[3],
+                resolved: this.resolve(match[5], path.dirname(modulePath), modulePath)
+            });
+        }
+
+        return { id: this.getModuleId(modulePath), path: modulePath, source, imports };
+    }
+
+    /**
+     * Resolve an import specifier to a file
+     * @param {string} specifier - Import specifier, e.g. `./modules/navigation.js`
+     * @param {string} fromDir - Directory of the importing module
+     * @param {string} importer - Importing module, for error messages
+     * @returns {string} - Absolute path of the imported module
+     */
+    resolve(specifier, fromDir, importer) {
+        const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+        const candidates = isRelative
+            ? [path.resolve(fromDir, specifier), path.resolve(fromDir, `${specifier}.js`)]
+            : [];
+        const resolved = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+
+        if (!resolved) {
+            throw new Error(`Unresolved import "${specifier}" in ${this.getModuleId(importer)}`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Rewrite a module's import/export statements into registry lookups
+     * @param {Object} module - Parsed module
+     * @returns {Object} - { code, exports } where exports maps exported names to local bindings
+     */
+    transform(module) {
+        const exports = {};
+        let code = module.source;
+
+        module.imports.forEach(entry => {
+            code = code.replace(entry.statement, () =>
+                this.preserveLines(entry.statement, this.createImportBindings(entry))
+            );
+        });
+
+        code = code.replace(EXPORT_LIST_PATTERN, (statement, list, reexport) => {
+            if (reexport) {
+                throw new Error(`Re-exports are not supported (${module.id}): ${statement.trim()}`);
+            }
+            this.parseBindingList(list).forEach(({ imported, local }) => {
+                exports[local] = imported;
+            });
+            return this.preserveLines(statement, '');
+        });
+
+        code = code.replace(EXPORT_DEFAULT_DECLARATION_PATTERN, (statement, keyword, name) => {
+            exports.default = name;
+            return `${keyword} ${name}`;
+        });
+
+        code = code.replace(EXPORT_DEFAULT_EXPRESSION_PATTERN, () => {
+            exports.default = DEFAULT_EXPORT_BINDING;
+            return `const ${DEFAULT_EXPORT_BINDING} = `;
+        });
+
+        code = code.replace(EXPORT_DECLARATION_PATTERN, (statement, keyword, name) => {
+            exports[name] = name;
+            return `${keyword} ${name}`;
+        });
+
+        return { code, exports };
+    }
+
+    /**
+     * Build the local bindings for one import statement
+     * @param {Object} entry - Parsed import
+     * @returns {string} - Declarations reading from the module registry
+     */
+    createImportBindings(entry) {
+        const target = `${REGISTRY}[${JSON.stringify(this.getModuleId(entry.resolved))}]`;
+        const declarations = [];
+
+        if (entry.defaultBinding) {
+            declarations.push(`const ${entry.defaultBinding} = ${target}.default;`);
+        }
+        if (entry.namespaceBinding) {
+            declarations.push(`const ${entry.namespaceBinding} = ${target};`);
+        }
+        if (entry.namedBindings && entry.namedBindings.trim()) {
+            const bindings = this.parseBindingList(entry.namedBindings)
+                .map(({ imported, local }) => (imported === local ? local : `${imported}: ${local}`));
+            declarations.push(`const { ${bindings.join(', ')} } = ${target};`);
+        }
+
+        return declarations.join(' ');
+    }
+
+    /**
+     * Parse `a, b as c` binding lists
+     * @param {string} list - Binding list without braces
+     * @returns {Array<Object>} - { imported, local } pairs
+     */
+    parseBindingList(list) {
+        return list.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+            const [imported, local] = item.split(/\s+as\s+/);
+            return { imported, local: local || imported };
+        });
+    }
+
+    /**
+     * Pad a replacement so it spans as many lines as the statement it replaces
+     * @param {string} statement - Original statement
+     * @param {string} replacement - Replacement code
+     * @returns {string} - Replacement followed by the same number of line breaks
+     */
+    preserveLines(statement, replacement) {
+        return replacement + '\n'.repeat((statement.match(/\n/g) || []).length);
+    }
+
+    /**
+     * Create a wrapper chunk that has no original source
+     * @param {string} content - Generated code
+     * @returns {Object} - Bundle source entry
+     */
+    createChunk(content) {
+        return { name: null, path: null, content };
+    }
+
+    /**
+     * @param {string} modulePath - Absolute module path
+     * @returns {string} - Module id, e.g. `modules/navigation.js`
+     */
+    getModuleId(modulePath) {
+        return path.relative(this.rootDir, modulePath).split(path.sep).join('/');
+    }
+}
+
+module.exports = ModuleBundler;
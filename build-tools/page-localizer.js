@@ -0,0 +1,75 @@
+/**
+ * Page Localizer
+ * Bakes one language into a page using the bilingual data-* attributes in our components
+ *
+ * Elements carry their copy in every language, e.g.
+ *   <h3 data-en="<span>Kenz</span> Platform" data-ar="<span>كنز</span> منصة">...</h3>
+ *   <input data-en-placeholder="Email" data-ar-placeholder="البريد الإلكتروني">
+ * The runtime switcher used to swap these after load; the build now writes the
+ * requested language straight into the markup.
+ */
+
+const { tokenize, findClosingToken, setAttribute, applyEdits } = require('./html-parser');
+
+const LOCALIZED_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label', 'content'];
+
+class PageLocalizer {
+    /**
+     * @param {Object} [options={}] - Localizer options
+     * @param {Function} [options.warn] - (message) => void, called for markup that cannot be localized
+     */
+    constructor(options = {}) {
+        this.warn = options.warn || (() => {});
+    }
+
+    /**
+     * Localize an HTML document
+     * @param {string} html - Assembled HTML containing data-{lang} attributes
+     * @param {string} languageCode - Language to bake in
+     * @param {string} [file='page'] - Page path, for warnings
+     * @returns {string} - HTML with the language's copy as element content
+     */
+    localize(html, languageCode, file = 'page') {
+        const tokens = tokenize(html);
+        const contentAttribute = `data-${languageCode}`;
+        const edits = [];
+        let coveredUntil = -1;
+
+        tokens.forEach((token, index) => {
+            if (token.type !== 'open') return;
+
+            let tag = token.source;
+            LOCALIZED_ATTRIBUTES.forEach(name => {
+                const value = token.attrs[`${contentAttribute}-${name}`];
+                if (value !== undefined) {
+                    tag = setAttribute(tag, name, value);
+                }
+            });
+
+            const content = token.attrs[contentAttribute];
+            const replacesContent = content !== undefined && !token.selfClosing && token.start > coveredUntil;
+
+            if (replacesContent) {
+                const closeIndex = findClosingToken(tokens, index);
+                if (closeIndex === -1) {
+                    this.warn(`${file}: unclosed <${token.name}> with ${contentAttribute}, left untranslated`);
+                    return;
+                }
+
+                const closeToken = tokens[closeIndex];
+                edits.push({ start: token.start, end: closeToken.start, text: tag + content });
+                // Nested translatable elements are replaced along with their parent
+                coveredUntil = closeToken.start;
+            } else if (tag !== token.source && token.start > coveredUntil) {
+                edits.push({ start: token.start, end: token.end, text: tag });
+            }
+        });
+
+        return applyEdits(html, edits);
+    }
+}
+
+// Shared with the translation extractor, which reads the same attributes
+PageLocalizer.LOCALIZED_ATTRIBUTES = LOCALIZED_ATTRIBUTES;
+
+module.exports = PageLocalizer;
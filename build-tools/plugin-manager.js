@@ -0,0 +1,151 @@
+/**
+ * Plugin Manager
+ * Registers build plugins and runs their hooks
+ *
+ * A plugin is an object with a `name` and any of these optional members:
+ *   step: 'CSS', run(context)        implement (part of) a build step; plugins sharing a
+ *                                    step run in registration order
+ *   buildStart(context)              before the first step
+ *   beforeStep(step, context)        before every step
+ *   afterStep(step, context)         after every step
+ *   transform(file, context)         called for every file written through context.emitFile();
+ *                                    receives { path, contents } and may return new contents.
+ *                                    Runs synchronously.
+ *   generate(context)                emit extra files with context.emitFile() (Generate step,
+ *                                    so they are fingerprinted and link-checked like the rest)
+ *   buildEnd(context, error)         after the last step, or after a failed step with its error
+ *
+ * Steps run in BUILD_STEPS order. Hooks may be async and are awaited one plugin at a time.
+ * The context (BuildSystem.createContext) carries the config and paths plus logger, warn(),
+ * emitFile() and emitBundle(); warnings passed to warn() end up in the build result.
+ */
+
+const { PluginError } = require('./build-errors');
+
+const BUILD_STEPS = ['HTML', 'Sitemap', 'CSS', 'JavaScript', 'Assets', 'Generate', 'Icons', 'Images', 'Purge', 'Critical', 'Fingerprint', 'PWA', 'Links', 'Audit', 'Size'];
+const HOOKS = ['run', 'buildStart', 'beforeStep', 'afterStep', 'transform', 'generate', 'buildEnd'];
+
+class PluginManager {
+    constructor() {
+        this.plugins = [];
+    }
+
+    /**
+     * Add a plugin after the ones already registered
+     * @param {Object} plugin - Plugin object
+     */
+    register(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || plugin.name === '') {
+            throw new PluginError('Build plugins must have a name', { plugin: null });
+        }
+
+        const invalid = message => new PluginError(`Plugin "${plugin.name}": ${message}`, { plugin: plugin.name });
+
+        HOOKS.forEach(hook => {
+            if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+                throw invalid(`${hook} must be a function`);
+            }
+        });
+
+        if (plugin.step !== undefined) {
+            if (!BUILD_STEPS.includes(plugin.step)) {
+                throw invalid(`unknown step "${plugin.step}" (expected one of ${BUILD_STEPS.join(', ')})`);
+            }
+            if (!plugin.run) {
+                throw invalid(`implements the ${plugin.step} step but has no run()`);
+            }
+        }
+
+        this.plugins.push(plugin);
+    }
+
+    /**
+     * Remove every registered plugin
+     */
+    clear() {
+        this.plugins = [];
+    }
+
+    /**
+     * Run the plugins that implement a step
+     * @param {string} step - Step name
+     * @param {Object} context - Build context
+     */
+    async runStep(step, context) {
+        for (const plugin of this.plugins.filter(candidate => candidate.step === step)) {
+            await this.invoke(plugin, 'run', [context]);
+        }
+    }
+
+    /**
+     * Call a lifecycle hook on every plugin that has it
+     * @param {string} hook - Hook name
+     * @param {...*} args - Hook arguments
+     */
+    async callHook(hook, ...args) {
+        for (const plugin of this.plugins.filter(candidate => candidate[hook])) {
+            await this.invoke(plugin, hook, args);
+        }
+    }
+
+    /**
+     * Check whether any plugin has a hook
+     * @param {string} hook - Hook name
+     * @returns {boolean}
+     */
+    hasHook(hook) {
+        return this.plugins.some(plugin => plugin[hook]);
+    }
+
+    /**
+     * Pass a file's contents through every transform hook
+     * @param {string} file - Path relative to dist
+     * @param {string|Buffer} contents - File contents
+     * @param {Object} context - Build context
+     * @returns {string|Buffer} - Transformed contents
+     */
+    transform(file, contents, context) {
+        return this.plugins.filter(plugin => plugin.transform).reduce((current, plugin) => {
+            let result;
+            try {
+                result = plugin.transform({ path: file, contents: current }, context);
+            } catch (error) {
+                throw new PluginError(`Plugin "${plugin.name}" failed to transform ${file}: ${error.message}`, {
+                    plugin: plugin.name,
+                    hook: 'transform',
+                    cause: error
+                });
+            }
+            if (result && typeof result.then === 'function') {
+                throw new PluginError(`Plugin "${plugin.name}": transform must return contents synchronously`, {
+                    plugin: plugin.name,
+                    hook: 'transform'
+                });
+            }
+            return result === undefined || result === null ? current : result;
+        }, contents);
+    }
+
+    /**
+     * Call one plugin hook, naming the plugin in any error it throws
+     * @param {Object} plugin - Plugin
+     * @param {string} hook - Hook name
+     * @param {Array} args - Hook arguments
+     */
+    async invoke(plugin, hook, args) {
+        try {
+            await plugin[hook](...args);
+        } catch (error) {
+            if (error instanceof PluginError) throw error;
+            throw new PluginError(`Plugin "${plugin.name}" failed in ${hook}: ${error.message}`, {
+                plugin: plugin.name,
+                hook,
+                cause: error
+            });
+        }
+    }
+}
+
+PluginManager.BUILD_STEPS = BUILD_STEPS;
+
+module.exports = PluginManager;
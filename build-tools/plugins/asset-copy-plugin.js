@@ -0,0 +1,100 @@
+/**
+ * Asset Copy Plugin
+ * Implements the Assets step: copies the assets directory into dist/assets, and the root
+ * files listed in `build.copy` (demo pages and sample downloads) into dist unchanged
+ *
+ * On a watch-mode rebuild only the changed files (context.changes) are copied or removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_DIR = 'assets';
+
+class AssetCopyPlugin {
+    constructor() {
+        this.name = 'asset-copy';
+        this.step = 'Assets';
+    }
+
+    /**
+     * @param {Object} context - Build context
+     */
+    run(context) {
+        const isAsset = file => !path.relative(context.assetsDir, file).startsWith('..');
+
+        if (context.changes) {
+            context.changes.filter(isAsset).forEach(file => this.copyAsset(context, file));
+            return;
+        }
+
+        context.logger.log('📁 Copying assets...');
+
+        if (fs.existsSync(context.assetsDir)) {
+            this.copyRecursive(context, context.assetsDir);
+        }
+        (context.config.build.copy || []).forEach(file => this.copyRootFile(context, file));
+
+        context.logger.log('✅ Assets copied successfully');
+    }
+
+    /**
+     * Copy (or remove) a single changed asset
+     * @param {Object} context - Build context
+     * @param {string} filePath - Absolute path inside the assets directory
+     */
+    copyAsset(context, filePath) {
+        if (!fs.existsSync(filePath)) {
+            fs.rmSync(path.join(context.distDir, this.getOutputPath(context, filePath)), { recursive: true, force: true });
+        } else if (fs.statSync(filePath).isDirectory()) {
+            this.copyRecursive(context, filePath);
+        } else {
+            context.emitFile(this.getOutputPath(context, filePath), fs.readFileSync(filePath));
+        }
+    }
+
+    /**
+     * Copy a file listed in `build.copy`
+     * @param {Object} context - Build context
+     * @param {string} file - Path relative to the repository root, kept in dist
+     */
+    copyRootFile(context, file) {
+        const filePath = path.join(context.rootDir, file);
+
+        if (!fs.existsSync(filePath)) {
+            context.warn(`build.copy lists ${file}, which does not exist`);
+            return;
+        }
+        context.emitFile(file, fs.readFileSync(filePath));
+    }
+
+    /**
+     * Copy a directory recursively
+     * @param {Object} context - Build context
+     * @param {string} dir - Absolute path inside the assets directory
+     */
+    copyRecursive(context, dir) {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            // Skip OS metadata such as .DS_Store
+            if (entry.name.startsWith('.')) return;
+
+            const srcPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                this.copyRecursive(context, srcPath);
+            } else {
+                context.emitFile(this.getOutputPath(context, srcPath), fs.readFileSync(srcPath));
+            }
+        });
+    }
+
+    /**
+     * @param {Object} context - Build context
+     * @param {string} filePath - Absolute path inside the assets directory
+     * @returns {string} - Output path relative to dist
+     */
+    getOutputPath(context, filePath) {
+        return path.posix.join(OUTPUT_DIR, path.relative(context.assetsDir, filePath).split(path.sep).join('/'));
+    }
+}
+
+module.exports = AssetCopyPlugin;
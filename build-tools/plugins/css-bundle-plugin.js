@@ -0,0 +1,101 @@
+/**
+ * CSS Bundle Plugin
+ * Implements the CSS step: concatenates the stylesheets in src/styles into css/main.css
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BrandProfile = require('../brand-profile');
+
+const OUTPUT_FILE = 'css/main.css';
+const FONTS_IMPORT = '@import url("https://fonts.googleapis.com/css?family=Open+Sans:300,400,600,700|Poppins:300,400,500,600,700&display=swap");\n';
+
+class CssBundlePlugin {
+    constructor() {
+        this.name = 'css-bundle';
+        this.step = 'CSS';
+    }
+
+    /**
+     * @param {Object} context - Build context
+     */
+    run(context) {
+        context.logger.log('🎨 Building CSS...');
+
+        // Always concatenate CSS files instead of using @import
+        context.emitBundle(this.collectSources(context.stylesDir, context.config.brand.palette), 'css', OUTPUT_FILE);
+
+        context.logger.log('✅ CSS built successfully');
+    }
+
+    /**
+     * Collect all CSS sources in concatenation order
+     * @param {string} stylesDir - Stylesheet source directory
+     * @param {Object} [palette={}] - Brand values for the custom properties in variables.css
+     * @returns {Array<Object>} - { name, path, content } entries
+     */
+    collectSources(stylesDir, palette = {}) {
+        const sources = [];
+
+        // Add Google Fonts import
+        sources.push({ name: null, path: null, content: FONTS_IMPORT });
+
+        // Base styles
+        const baseDir = path.join(stylesDir, 'base');
+        if (fs.existsSync(baseDir)) {
+            const baseFiles = ['variables.css', 'reset.css'];
+            baseFiles.forEach(file => {
+                const filePath = path.join(baseDir, file);
+                if (fs.existsSync(filePath)) {
+                    const source = this.readSource(filePath, file);
+                    if (file === 'variables.css') {
+                        source.content = BrandProfile.applyPalette(source.content, palette);
+                    }
+                    sources.push(source);
+                }
+            });
+        }
+
+        // Component styles
+        const componentsDir = path.join(stylesDir, 'components');
+        if (fs.existsSync(componentsDir)) {
+            const componentFiles = fs.readdirSync(componentsDir);
+            componentFiles.forEach(file => {
+                if (file.endsWith('.css')) {
+                    sources.push(this.readSource(path.join(componentsDir, file), file));
+                }
+            });
+        }
+
+        // Add utility classes from main.css
+        const mainCSSPath = path.join(stylesDir, 'main.css');
+        if (fs.existsSync(mainCSSPath)) {
+            const mainCSS = fs.readFileSync(mainCSSPath, 'utf8');
+            // Extract utility classes (everything after the imports)
+            const utilityStart = mainCSS.indexOf('/* Utility Classes */');
+            if (utilityStart !== -1) {
+                // Pad with the skipped lines so source map line numbers still match main.css
+                const skippedLines = mainCSS.substring(0, utilityStart).split('\n').length - 1;
+                sources.push({
+                    name: 'Utility Classes from main.css',
+                    path: mainCSSPath,
+                    content: '\n'.repeat(skippedLines) + mainCSS.substring(utilityStart)
+                });
+            }
+        }
+
+        return sources;
+    }
+
+    /**
+     * Read a source file for bundling
+     * @param {string} filePath - Absolute path
+     * @param {string} name - Label used in the unminified bundle
+     * @returns {Object} - { name, path, content }
+     */
+    readSource(filePath, name) {
+        return { name, path: filePath, content: fs.readFileSync(filePath, 'utf8') };
+    }
+}
+
+module.exports = CssBundlePlugin;
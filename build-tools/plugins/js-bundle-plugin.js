@@ -0,0 +1,34 @@
+/**
+ * JavaScript Bundle Plugin
+ * Implements the JavaScript step: bundles src/scripts/main.js and the modules it imports
+ * into js/main.js
+ */
+
+const path = require('path');
+const ModuleBundler = require('../module-bundler');
+
+const ENTRY_FILE = 'main.js';
+const OUTPUT_FILE = 'js/main.js';
+
+class JsBundlePlugin {
+    constructor() {
+        this.name = 'js-bundle';
+        this.step = 'JavaScript';
+    }
+
+    /**
+     * @param {Object} context - Build context
+     */
+    run(context) {
+        context.logger.log('⚡ Building JavaScript...');
+
+        // Modules are emitted in dependency order; unresolved or circular imports fail the build
+        const moduleBundler = new ModuleBundler({ rootDir: context.scriptsDir });
+        const sources = moduleBundler.createSources(path.join(context.scriptsDir, ENTRY_FILE));
+        context.emitBundle(sources, 'js', OUTPUT_FILE);
+
+        context.logger.log('✅ JavaScript built successfully');
+    }
+}
+
+module.exports = JsBundlePlugin;
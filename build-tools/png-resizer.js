@@ -0,0 +1,291 @@
+/**
+ * PNG Resizer
+ * Decodes, downscales and re-encodes PNG images using nothing but zlib
+ *
+ * Supports the PNGs we ship: 8-bit, non-interlaced, in any color type (palette images,
+ * with or without tRNS transparency, are expanded to RGBA). Other PNGs are reported as
+ * unsupported rather than resized badly. Pixels are averaged with alpha premultiplied, so
+ * transparent edges do not darken.
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+/**
+ * Downscale a PNG to a width, keeping its aspect ratio
+ * @param {Buffer} buffer - PNG contents
+ * @param {number} width - Target width in pixels (smaller than the image's)
+ * @returns {Buffer|null} - Resized PNG, or null when the PNG's format is not supported
+ */
+function resizePNG(buffer, width) {
+    const image = decodePNG(buffer);
+    if (!image) return null;
+
+    const height = Math.max(1, Math.round(image.height * width / image.width));
+    return encodePNG(resample(image, width, height));
+}
+
+/**
+ * Decode a PNG to RGBA pixels
+ * @param {Buffer} buffer - PNG contents
+ * @returns {Object|null} - { width, height, data } with 4 bytes per pixel, or null when unsupported
+ */
+function decodePNG(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+
+    const chunks = [];
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    let offset = 8;
+
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            chunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !CHANNELS[header.colorType]) return null;
+    if (header.colorType === 3 && !palette) return null;
+
+    const channels = CHANNELS[header.colorType];
+    const pixels = unfilter(zlib.inflateSync(Buffer.concat(chunks)), header.width, header.height, channels);
+    const data = new Uint8Array(header.width * header.height * 4);
+
+    for (let index = 0; index < header.width * header.height; index++) {
+        const source = index * channels;
+        const target = index * 4;
+
+        if (header.colorType === 3) {
+            const entry = pixels[source];
+            data[target] = palette[entry * 3];
+            data[target + 1] = palette[entry * 3 + 1];
+            data[target + 2] = palette[entry * 3 + 2];
+            data[target + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+        } else if (channels <= 2) {
+            data[target] = data[target + 1] = data[target + 2] = pixels[source];
+            data[target + 3] = channels === 2 ? pixels[source + 1] : 255;
+        } else {
+            data[target] = pixels[source];
+            data[target + 1] = pixels[source + 1];
+            data[target + 2] = pixels[source + 2];
+            data[target + 3] = channels === 4 ? pixels[source + 3] : 255;
+        }
+    }
+
+    return { width: header.width, height: header.height, data };
+}
+
+/**
+ * Reverse the per-row filters of decompressed image data
+ * @param {Buffer} raw - Inflated IDAT data
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} channels - Bytes per pixel
+ * @returns {Uint8Array} - Unfiltered rows, without filter bytes
+ */
+function unfilter(raw, width, height, channels) {
+    const stride = width * channels;
+    const pixels = new Uint8Array(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const input = y * (stride + 1) + 1;
+        const row = y * stride;
+        const previous = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? pixels[row + x - channels] : 0;
+            const up = y > 0 ? pixels[previous + x] : 0;
+            const upLeft = y > 0 && x >= channels ? pixels[previous + x - channels] : 0;
+            let value = raw[input + x];
+
+            if (filter === 1) value += left;
+            else if (filter === 2) value += up;
+            else if (filter === 3) value += (left + up) >> 1;
+            else if (filter === 4) value += paeth(left, up, upLeft);
+
+            pixels[row + x] = value & 0xff;
+        }
+    }
+
+    return pixels;
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+    return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+/**
+ * Downscale RGBA pixels by averaging the source area each target pixel covers
+ * @param {Object} image - { width, height, data }
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Object} - Resized { width, height, data }
+ */
+function resample(image, width, height) {
+    // Horizontal pass into premultiplied floats, then vertical pass
+    const horizontal = new Float32Array(width * image.height * 4);
+    const scaleX = image.width / width;
+
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < width; x++) {
+            const start = x * scaleX;
+            const end = start + scaleX;
+            const sum = [0, 0, 0, 0];
+
+            for (let source = Math.floor(start); source < Math.min(Math.ceil(end), image.width); source++) {
+                const weight = Math.min(source + 1, end) - Math.max(source, start);
+                const pixel = (y * image.width + source) * 4;
+                const alpha = image.data[pixel + 3] / 255;
+                sum[0] += image.data[pixel] * alpha * weight;
+                sum[1] += image.data[pixel + 1] * alpha * weight;
+                sum[2] += image.data[pixel + 2] * alpha * weight;
+                sum[3] += image.data[pixel + 3] * weight;
+            }
+
+            horizontal.set(sum.map(value => value / scaleX), (y * width + x) * 4);
+        }
+    }
+
+    const data = new Uint8Array(width * height * 4);
+    const scaleY = image.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const start = y * scaleY;
+        const end = start + scaleY;
+
+        for (let x = 0; x < width; x++) {
+            const sum = [0, 0, 0, 0];
+
+            for (let source = Math.floor(start); source < Math.min(Math.ceil(end), image.height); source++) {
+                const weight = Math.min(source + 1, end) - Math.max(source, start);
+                const pixel = (source * width + x) * 4;
+                for (let channel = 0; channel < 4; channel++) {
+                    sum[channel] += horizontal[pixel + channel] * weight;
+                }
+            }
+
+            const target = (y * width + x) * 4;
+            const alpha = sum[3] / scaleY;
+            const unpremultiply = alpha > 0 ? 255 / alpha : 0;
+            for (let channel = 0; channel < 3; channel++) {
+                data[target + channel] = Math.min(255, Math.round(sum[channel] / scaleY * unpremultiply));
+            }
+            data[target + 3] = Math.round(alpha);
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Encode RGBA pixels as a PNG, choosing each row's filter by the usual minimum-sum heuristic
+ * @param {Object} image - { width, height, data }
+ * @returns {Buffer} - PNG contents
+ */
+function encodePNG(image) {
+    const stride = image.width * 4;
+    const raw = Buffer.alloc((stride + 1) * image.height);
+    const candidate = Buffer.alloc(stride);
+
+    for (let y = 0; y < image.height; y++) {
+        const row = y * stride;
+        let best = null;
+        let bestScore = Infinity;
+
+        for (let filter = 0; filter <= 4; filter++) {
+            let score = 0;
+            for (let x = 0; x < stride; x++) {
+                const left = x >= 4 ? image.data[row + x - 4] : 0;
+                const up = y > 0 ? image.data[row - stride + x] : 0;
+                const upLeft = y > 0 && x >= 4 ? image.data[row - stride + x - 4] : 0;
+                const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+                const value = (image.data[row + x] - predictor) & 0xff;
+
+                candidate[x] = value;
+                score += value < 128 ? value : 256 - value;
+            }
+            if (score < bestScore) {
+                bestScore = score;
+                best = { filter, bytes: Buffer.from(candidate) };
+            }
+        }
+
+        raw[y * (stride + 1)] = best.filter;
+        best.bytes.copy(raw, y * (stride + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        createChunk('IHDR', header),
+        createChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        createChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * @param {string} type - Chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} - Length, type, data and CRC
+ */
+function createChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'ascii');
+    data.copy(chunk, 8);
+
+    let crc = 0xffffffff;
+    for (let index = 4; index < 8 + data.length; index++) {
+        crc = CRC_TABLE[(crc ^ chunk[index]) & 0xff] ^ (crc >>> 8);
+    }
+    chunk.writeUInt32BE((crc ^ 0xffffffff) >>> 0, 8 + data.length);
+    return chunk;
+}
+
+module.exports = {
+    resizePNG,
+    decodePNG,
+    encodePNG
+};
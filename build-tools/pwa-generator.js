@@ -0,0 +1,217 @@
+/**
+ * PWA Generator
+ * Creates the web app manifest and the service worker for the built site
+ *
+ * The manifest is built from SiteConfig (`site`, `app` and `pwa`). The service worker is
+ * src/pwa/service-worker.js with a SW_CONFIG object prepended: the list of files to
+ * precache, the offline page for each language and the endpoints whose POSTs are queued
+ * while offline. Precached files are resolved through the fingerprint manifest, so the
+ * worker always caches the hashed names the pages actually reference.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { tokenize } = require('./html-parser');
+const { URL_ATTRIBUTES, isLocalUrl, splitUrl } = require('./url-rewriter');
+const { readImageSize } = require('./image-size');
+
+const ICON_TYPES = {
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp'
+};
+
+class PwaGenerator {
+    /**
+     * @param {Object} options - Generator options
+     * @param {string} options.distDir - Build output directory
+     * @param {Object} options.config - SiteConfig
+     * @param {Function} options.localize - (value, languageCode) => localized value
+     * @param {Object} [options.assetManifest={}] - Fingerprint manifest mapping original to hashed paths
+     */
+    constructor(options) {
+        this.distDir = options.distDir;
+        this.config = options.config;
+        this.localize = options.localize;
+        this.assetManifest = options.assetManifest || {};
+    }
+
+    /**
+     * Create the web app manifest
+     * @param {string} themeColor - Theme color for the browser UI
+     * @returns {Object} - Manifest contents, in the default language
+     */
+    createManifest(themeColor) {
+        const { site, app, languages, pwa } = this.config;
+        const languageCode = languages.default;
+
+        return {
+            name: this.localize(site.title, languageCode),
+            short_name: this.localize(pwa.shortName || app.name, languageCode),
+            description: this.localize(site.description, languageCode),
+            lang: languageCode,
+            dir: languages.rtl.includes(languageCode) ? 'rtl' : 'ltr',
+            // The site root sends visitors on to their preferred language
+            start_url: './',
+            scope: './',
+            display: pwa.display,
+            background_color: pwa.backgroundColor,
+            theme_color: themeColor,
+            icons: (pwa.icons || []).map(icon => this.createIcon(icon))
+        };
+    }
+
+    /**
+     * Describe one manifest icon
+     * @param {string} icon - Icon path relative to the site root
+     * @returns {Object} - { src, sizes, type }
+     */
+    createIcon(icon) {
+        const src = this.resolve(icon);
+        const filePath = path.join(this.distDir, src);
+        const extension = path.extname(icon).toLowerCase();
+
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`PWA icon not found: ${icon}`);
+        }
+
+        return {
+            src,
+            sizes: extension === '.svg' ? 'any' : this.readImageSize(filePath),
+            type: ICON_TYPES[extension] || 'image/png'
+        };
+    }
+
+    /**
+     * Read a PNG's dimensions from its header
+     * @param {string} filePath - Absolute path of the image
+     * @returns {string} - Size such as `192x192`
+     */
+    readImageSize(filePath) {
+        const size = readImageSize(fs.readFileSync(filePath));
+
+        if (!size || size.type !== 'png') {
+            throw new Error(`PWA icons must be PNG or SVG files: ${path.relative(this.distDir, filePath)}`);
+        }
+        return `${size.width}x${size.height}`;
+    }
+
+    /**
+     * Create the service worker script
+     * @param {string} source - Source of src/pwa/service-worker.js
+     * @param {Array<string>} offlinePages - Offline page of each language, relative to dist, in language order
+     * @returns {string} - Service worker script
+     */
+    createServiceWorker(source, offlinePages) {
+        const { languages, pwa } = this.config;
+        const queue = pwa.offlineQueue || {};
+        const precache = this.collectPrecache(offlinePages);
+        const swConfig = {
+            version: this.createVersion(precache, source),
+            precache,
+            offlinePages: languages.supported.reduce((pages, languageCode, index) => {
+                pages[languageCode] = offlinePages[index];
+                return pages;
+            }, {}),
+            defaultLanguage: languages.default,
+            queue: {
+                endpoints: queue.endpoints || [],
+                messages: languages.supported.reduce((messages, languageCode) => {
+                    messages[languageCode] = this.localize(queue.message, languageCode);
+                    return messages;
+                }, {})
+            }
+        };
+
+        return `const SW_CONFIG = ${JSON.stringify(swConfig, null, 4)};\n\n${source}`;
+    }
+
+    /**
+     * List the files cached when the service worker installs
+     * These are the fingerprinted outputs in the `pwa.precache` directories, the site root,
+     * and the offline pages with every local file they reference.
+     * @param {Array<string>} offlinePages - Offline pages, relative to dist
+     * @returns {Array<string>} - Sorted paths relative to dist
+     */
+    collectPrecache(offlinePages) {
+        const files = new Set(['index.html']);
+        const directories = this.config.pwa.precache || [];
+
+        Object.keys(this.assetManifest)
+            .filter(file => directories.some(directory => file.startsWith(directory)))
+            .forEach(file => files.add(this.assetManifest[file]));
+
+        offlinePages.forEach(page => {
+            files.add(page);
+            this.findPageReferences(page).forEach(file => files.add(file));
+        });
+
+        return Array.from(files)
+            .filter(file => fs.existsSync(path.join(this.distDir, file)))
+            .sort();
+    }
+
+    /**
+     * Find the local files a built page references
+     * @param {string} page - Page path relative to dist
+     * @returns {Array<string>} - Paths relative to dist
+     */
+    findPageReferences(page) {
+        const html = fs.readFileSync(path.join(this.distDir, page), 'utf8');
+        const references = [];
+
+        tokenize(html).forEach(token => {
+            if (token.type !== 'open') return;
+
+            URL_ATTRIBUTES.forEach(name => {
+                const url = token.attrs[name];
+                // Linked pages are cached when visited; only the page's own resources are precached
+                if (!url || !isLocalUrl(url) || /\.html$/.test(splitUrl(url).pathname)) return;
+
+                const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(page), splitUrl(url).pathname));
+                if (!resolved.startsWith('..')) references.push(resolved);
+            });
+        });
+
+        return references;
+    }
+
+    /**
+     * Derive the cache version from everything the worker caches
+     * @param {Array<string>} precache - Precached files, relative to dist
+     * @param {string} source - Service worker source
+     * @returns {string} - Short content hash
+     */
+    createVersion(precache, source) {
+        const hash = crypto.createHash('md5').update(source);
+        precache.forEach(file => {
+            hash.update(file);
+            hash.update(fs.readFileSync(path.join(this.distDir, file)));
+        });
+        return hash.digest('hex').slice(0, 8);
+    }
+
+    /**
+     * @param {string} file - Path relative to the site root
+     * @returns {string} - Fingerprinted path, or the path itself when it was not fingerprinted
+     */
+    resolve(file) {
+        return this.assetManifest[file] || file;
+    }
+
+    /**
+     * Read a CSS custom property's value
+     * @param {string} css - Stylesheet source
+     * @param {string} name - Property name, e.g. `--primary-color`
+     * @returns {string|null} - Declared value, or null when the property is not declared
+     */
+    static readCssVariable(css, name) {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = css.match(new RegExp(`${escaped}\\s*:\\s*([^;]+);`));
+        return match ? match[1].trim() : null;
+    }
+}
+
+module.exports = PwaGenerator;
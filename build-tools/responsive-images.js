@@ -0,0 +1,172 @@
+/**
+ * Responsive Images
+ * Gives every <img> in a built page its intrinsic size, lazy loading below the fold and a
+ * srcset of downscaled variants
+ *
+ * For each image (`src`, or `data-src` for images KenzApp.initializeLazyLoading() loads):
+ *   - width/height are set from the file's header when the tag has neither, so the browser
+ *     reserves the space before the image arrives
+ *   - images outside the first viewport get loading="lazy" and decoding="async"
+ *   - PNGs wider than a configured width get a downscaled copy per width
+ *     (`about-app-480w.png`), offered through srcset (data-srcset for data-src images) with
+ *     a default sizes attribute. JPEGs and SVGs only get their dimensions; variants are
+ *     skipped when they would not be smaller than the original.
+ * Variants are PNG only, since the build has no JPEG encoder: a JPEG wider than a configured
+ * width is reported as a warning so it can be exported as PNG or given a srcset by hand.
+ * Attributes already present in the markup are never overwritten.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readImageSize } = require('./image-size');
+const { resizePNG } = require('./png-resizer');
+const { tokenize, findClosingToken, matchesSimpleSelector, setAttribute, applyEdits } = require('./html-parser');
+const { isLocalUrl, splitUrl } = require('./url-rewriter');
+
+class ResponsiveImages {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.distDir - Build output directory
+     * @param {Array<number>} [options.widths=[]] - Widths of the downscaled variants
+     * @param {string} [options.sizes='100vw'] - sizes attribute for images given a srcset
+     * @param {Function} [options.warn] - Receives a message for each JPEG left without variants
+     */
+    constructor(options) {
+        this.distDir = options.distDir;
+        this.widths = (options.widths || []).slice().sort((a, b) => a - b);
+        this.sizes = options.sizes || '100vw';
+        this.warn = options.warn || (() => {});
+        // Image path -> { size, variants } shared by every page that shows it
+        this.images = new Map();
+    }
+
+    /**
+     * Update the images of a built page
+     * @param {string} page - Page path relative to dist
+     * @param {Array<Object>} aboveTheFold - Selectors (from parseSimpleSelector) of the first viewport
+     * @returns {Object} - { images, lazy } counts of updated and lazy-loaded images
+     */
+    processPage(page, aboveTheFold) {
+        const pagePath = path.join(this.distDir, page);
+        const html = fs.readFileSync(pagePath, 'utf8');
+        const tokens = tokenize(html);
+        const edits = [];
+        const stats = { images: 0, lazy: 0 };
+        let regionEnd = -1;
+
+        tokens.forEach((token, index) => {
+            if (token.type !== 'open') return;
+
+            if (index > regionEnd && aboveTheFold.some(selector => matchesSimpleSelector(token, selector))) {
+                regionEnd = token.selfClosing ? index : findClosingToken(tokens, index);
+                if (regionEnd === -1) regionEnd = tokens.length;
+            }
+            if (token.name !== 'img') return;
+
+            const source = this.updateImage(page, token, index <= regionEnd);
+            if (source !== token.source) {
+                edits.push({ start: token.start, end: token.end, text: source });
+                stats.images++;
+                if (/\sloading="lazy"/.test(source) && !token.attrs.loading) stats.lazy++;
+            }
+        });
+
+        if (edits.length > 0) {
+            fs.writeFileSync(pagePath, applyEdits(html, edits));
+        }
+        return stats;
+    }
+
+    /**
+     * @param {string} page - Page path relative to dist
+     * @param {Object} token - <img> token
+     * @param {boolean} isAboveTheFold - Whether the image is in the first viewport
+     * @returns {string} - Updated tag source
+     */
+    updateImage(page, token, isAboveTheFold) {
+        const { attrs } = token;
+        const isDeferred = attrs['data-src'] !== undefined;
+        const url = isDeferred ? attrs['data-src'] : attrs.src;
+        let source = token.source;
+
+        if (!isLocalUrl(url)) return source;
+
+        const file = path.posix.normalize(path.posix.join(path.posix.dirname(page), splitUrl(url).pathname));
+        const image = this.loadImage(file);
+        if (!image) return source;
+
+        if (attrs.width === undefined && attrs.height === undefined) {
+            source = setAttribute(source, 'width', String(image.size.width));
+            source = setAttribute(source, 'height', String(image.size.height));
+        }
+
+        // data-src images are already loaded on demand by script
+        if (!isAboveTheFold && !isDeferred) {
+            if (attrs.loading === undefined) source = setAttribute(source, 'loading', 'lazy');
+            if (attrs.decoding === undefined) source = setAttribute(source, 'decoding', 'async');
+        }
+
+        const srcsetAttribute = isDeferred ? 'data-srcset' : 'srcset';
+        if (image.variants.length > 0 && attrs.srcset === undefined && attrs['data-srcset'] === undefined) {
+            const { pathname, suffix } = splitUrl(url);
+            const candidates = image.variants
+                .map(width => `${this.getVariantPath(pathname, width)}${suffix} ${width}w`)
+                .concat(`${url} ${image.size.width}w`);
+            source = setAttribute(source, srcsetAttribute, candidates.join(', '));
+            if (attrs.sizes === undefined && attrs['data-sizes'] === undefined) {
+                source = setAttribute(source, isDeferred ? 'data-sizes' : 'sizes', this.sizes);
+            }
+        }
+
+        return source;
+    }
+
+    /**
+     * Measure an image and write its variants, once per build
+     * @param {string} file - Image path relative to dist
+     * @returns {Object|null} - { size, variants } with the widths written, or null when the
+     *                          file is missing or not an image
+     */
+    loadImage(file) {
+        if (this.images.has(file)) return this.images.get(file);
+
+        const imagePath = path.join(this.distDir, file);
+        const contents = fs.existsSync(imagePath) ? fs.readFileSync(imagePath) : null;
+        const size = contents ? readImageSize(contents) : null;
+        const image = size ? { size, variants: [] } : null;
+
+        if (image && size.type === 'png') {
+            this.widths.filter(width => width < size.width).forEach(width => {
+                const variant = resizePNG(contents, width);
+                if (variant && variant.length < contents.length) {
+                    fs.writeFileSync(path.join(this.distDir, this.getVariantPath(file, width)), variant);
+                    image.variants.push(width);
+                }
+            });
+        } else if (image && size.type === 'jpeg' && this.widths.some(width => width < size.width)) {
+            this.warn(`${file}: ${size.width}px wide JPEG has no srcset, variants are only generated for PNGs`);
+        }
+
+        this.images.set(file, image);
+        return image;
+    }
+
+    /**
+     * @param {string} file - Image path or URL path
+     * @param {number} width - Variant width
+     * @returns {string} - e.g. `assets/images/about-app-480w.png`
+     */
+    getVariantPath(file, width) {
+        const extension = path.posix.extname(file);
+        return `${file.slice(0, file.length - extension.length)}-${width}w${extension}`;
+    }
+
+    /**
+     * @returns {number} - Number of variant files written
+     */
+    countVariants() {
+        return Array.from(this.images.values()).reduce((total, image) => total + (image ? image.variants.length : 0), 0);
+    }
+}
+
+module.exports = ResponsiveImages;
@@ -0,0 +1,73 @@
+/**
+ * Sitemap Generator
+ * Creates sitemap.xml (with hreflang alternates for every language version) and robots.txt
+ */
+
+const { escapeHTML } = require('./html-parser');
+
+class SitemapGenerator {
+    /**
+     * @param {Object} options - Generator options
+     * @param {string} options.siteUrl - Absolute site URL, e.g. `https://kenzapp.com`
+     */
+    constructor(options) {
+        this.siteUrl = options.siteUrl.replace(/\/$/, '');
+    }
+
+    /**
+     * Create sitemap.xml
+     * @param {Array<Object>} pages - One entry per page: { versions: [{ languageCode, url }],
+     *                                defaultUrl, lastmod: Date, changefreq, priority }
+     * @returns {string} - XML document
+     */
+    createSitemap(pages) {
+        const entries = [];
+
+        pages.forEach(page => {
+            const alternates = page.versions.map(version =>
+                `        <xhtml:link rel="alternate" hreflang="${version.languageCode}" href="${escapeHTML(version.url)}" />`
+            );
+            if (page.defaultUrl) {
+                alternates.push(`        <xhtml:link rel="alternate" hreflang="x-default" href="${escapeHTML(page.defaultUrl)}" />`);
+            }
+
+            // Every language version is listed in its own <url> with links to all the others
+            page.versions.forEach(version => {
+                const lines = [
+                    '    <url>',
+                    `        <loc>${escapeHTML(version.url)}</loc>`,
+                    `        <lastmod>${page.lastmod.toISOString().slice(0, 10)}</lastmod>`
+                ];
+                if (page.changefreq) lines.push(`        <changefreq>${page.changefreq}</changefreq>`);
+                if (page.priority !== undefined) lines.push(`        <priority>${Number(page.priority).toFixed(1)}</priority>`);
+                entries.push(lines.concat(alternates, '    </url>').join('\n'));
+            });
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+            ...entries,
+            '</urlset>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Create robots.txt
+     * @param {Object} rules - { allow: Array<string>, disallow: Array<string> } for all user agents
+     * @param {string} sitemapFile - Sitemap path relative to the site root
+     * @returns {string} - robots.txt content
+     */
+    createRobots(rules = {}, sitemapFile = 'sitemap.xml') {
+        const lines = ['User-agent: *'];
+
+        (rules.allow || ['/']).forEach(rule => lines.push(`Allow: ${rule}`));
+        (rules.disallow || []).forEach(rule => lines.push(`Disallow: ${rule}`));
+
+        lines.push('', `Sitemap: ${this.siteUrl}/${sitemapFile}`, '');
+        return lines.join('\n');
+    }
+}
+
+module.exports = SitemapGenerator;
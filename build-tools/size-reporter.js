@@ -0,0 +1,194 @@
+/**
+ * Size Reporter
+ * Measures every file in dist (raw and gzip), checks the totals against size budgets and
+ * compares them with the previous build's report
+ *
+ * Files are reported under their source names (e.g. `js/main.js` rather than
+ * `js/main.8e5356e3.js`) so reports from different builds line up, and budgets are
+ * written against those names.
+ *
+ * A budget caps the total size of the files its glob matches, or the size of every
+ * matching file when `each` is true:
+ *   { "files": "js/*.js", "gzip": "10 KB" }
+ *   { "files": "en/*.html", "each": true, "raw": 40000 }
+ * `*` matches within one directory and `**` across directories. Sizes are byte counts or
+ * strings such as "25 KB" and "1.5 MB" (1 KB = 1024 bytes).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { ConfigError } = require('./build-errors');
+const { listFiles } = require('./build-utils');
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024 };
+const MEASURES = ['raw', 'gzip'];
+
+class SizeReporter {
+    /**
+     * @param {Object} options - Reporter options
+     * @param {string} options.distDir - Build output directory
+     * @param {Array<Object>} [options.budgets=[]] - Size budgets
+     * @param {Object} [options.assetManifest={}] - Fingerprint manifest mapping source names to output names
+     * @param {Array<string>} [options.exclude=[]] - Files (source names) left out of the report
+     */
+    constructor(options) {
+        this.distDir = options.distDir;
+        this.budgets = (options.budgets || []).map(budget => this.normalizeBudget(budget));
+        this.exclude = options.exclude || [];
+        this.sourceNames = Object.keys(options.assetManifest || {}).reduce((names, source) => {
+            names[options.assetManifest[source]] = source;
+            return names;
+        }, {});
+    }
+
+    /**
+     * Measure dist and check the budgets
+     * @param {Object|null} previous - Report from the previous build, if there is one
+     * @returns {Object} - { files, totals, budgets, diff } where files maps source name to
+     *                     { output, raw, gzip }, budgets lists every budget with its actual size
+     *                     and `passed`, and diff is null when there is no previous report
+     */
+    run(previous) {
+        const files = {};
+
+        listFiles(this.distDir)
+            .map(output => ({ output, source: this.sourceNames[output] || output }))
+            .filter(({ source }) => !this.exclude.includes(source))
+            .sort((a, b) => a.source.localeCompare(b.source))
+            .forEach(({ output, source }) => {
+                const contents = fs.readFileSync(path.join(this.distDir, output));
+                files[source] = { output, raw: contents.length, gzip: zlib.gzipSync(contents).length };
+            });
+
+        const report = { files, totals: this.sum(Object.values(files)) };
+        report.budgets = this.checkBudgets(files);
+        report.diff = previous && previous.files ? this.diff(previous, report) : null;
+        return report;
+    }
+
+    /**
+     * Measure every budget against the files it covers
+     * @param {Object} files - Report files
+     * @returns {Array<Object>} - { files, each, limits, results, passed } where results lists
+     *                            { file, raw, gzip, exceeded } per measured total
+     */
+    checkBudgets(files) {
+        return this.budgets.map(budget => {
+            const pattern = this.globToRegExp(budget.files);
+            const matches = Object.keys(files).filter(file => pattern.test(file));
+            const totals = budget.each
+                ? matches.map(file => Object.assign({ file }, this.sum([files[file]])))
+                : [Object.assign({ file: budget.files }, this.sum(matches.map(file => files[file])))];
+
+            const results = totals.map(total => Object.assign(total, {
+                exceeded: MEASURES.filter(measure => budget.limits[measure] !== undefined && total[measure] > budget.limits[measure])
+            }));
+
+            return {
+                files: budget.files,
+                each: budget.each,
+                limits: budget.limits,
+                matched: matches.length,
+                results,
+                passed: results.every(result => result.exceeded.length === 0)
+            };
+        });
+    }
+
+    /**
+     * Compare two reports
+     * @param {Object} previous - Previous report
+     * @param {Object} current - Current report
+     * @returns {Object} - { totals, files } where totals holds raw/gzip deltas and files lists
+     *                     { file, status: 'added'|'removed'|'changed', raw, gzip } with deltas
+     */
+    diff(previous, current) {
+        const names = Array.from(new Set(Object.keys(previous.files).concat(Object.keys(current.files)))).sort();
+        const zero = { raw: 0, gzip: 0 };
+        const files = names.map(file => {
+            const before = previous.files[file];
+            const after = current.files[file];
+            const status = !before ? 'added' : !after ? 'removed' : 'changed';
+            const delta = this.subtract(after || zero, before || zero);
+            return Object.assign({ file, status }, delta);
+        }).filter(entry => entry.status !== 'changed' || entry.raw !== 0 || entry.gzip !== 0);
+
+        return { totals: this.subtract(current.totals, previous.totals || zero), files };
+    }
+
+    /**
+     * @param {Object} budget - Budget from SiteConfig
+     * @returns {Object} - { files, each, limits: { raw, gzip } } with limits in bytes
+     */
+    normalizeBudget(budget) {
+        if (!budget || typeof budget.files !== 'string') {
+            throw new ConfigError(`Size budgets need a "files" glob: ${JSON.stringify(budget)}`);
+        }
+
+        const limits = {};
+        MEASURES.forEach(measure => {
+            if (budget[measure] !== undefined) limits[measure] = this.parseSize(budget[measure]);
+        });
+        if (Object.keys(limits).length === 0) {
+            throw new ConfigError(`Size budget for "${budget.files}" sets neither "raw" nor "gzip"`);
+        }
+
+        return { files: budget.files, each: Boolean(budget.each), limits };
+    }
+
+    /**
+     * @param {number|string} size - Byte count, or a string such as "25 KB"
+     * @returns {number} - Bytes
+     */
+    parseSize(size) {
+        if (typeof size === 'number') return size;
+
+        const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB)$/i);
+        if (!match) {
+            throw new ConfigError(`Invalid size "${size}" (expected bytes or a value such as "25 KB")`);
+        }
+        return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2].toUpperCase()]);
+    }
+
+    /**
+     * @param {string} glob - Pattern using `*`, `**` and `?`
+     * @returns {RegExp} - Matcher for POSIX paths
+     */
+    globToRegExp(glob) {
+        const source = glob
+            .split(/(\*\*\/|\*\*|\*|\?)/)
+            .map(part => {
+                if (part === '**/') return '(?:.*/)?';
+                if (part === '**') return '.*';
+                if (part === '*') return '[^/]*';
+                if (part === '?') return '[^/]';
+                return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+        return new RegExp(`^${source}$`);
+    }
+
+    sum(entries) {
+        return entries.reduce((total, entry) => ({ raw: total.raw + entry.raw, gzip: total.gzip + entry.gzip }), { raw: 0, gzip: 0 });
+    }
+
+    subtract(a, b) {
+        return { raw: a.raw - b.raw, gzip: a.gzip - b.gzip };
+    }
+
+    /**
+     * Format a byte count for the console
+     * @param {number} bytes - Size in bytes (may be negative for deltas)
+     * @returns {string} - e.g. `4.7 KB`
+     */
+    static formatSize(bytes) {
+        const absolute = Math.abs(bytes);
+        const sign = bytes < 0 ? '-' : '';
+        if (absolute < SIZE_UNITS.KB) return `${sign}${absolute} B`;
+        if (absolute < SIZE_UNITS.MB) return `${sign}${(absolute / SIZE_UNITS.KB).toFixed(1)} KB`;
+        return `${sign}${(absolute / SIZE_UNITS.MB).toFixed(2)} MB`;
+    }
+}
+
+module.exports = SizeReporter;
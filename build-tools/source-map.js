@@ -0,0 +1,116 @@
+/**
+ * Source Map Generator
+ * Builds version 3 source maps (https://sourcemaps.info/spec.html) without dependencies
+ */
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode a number as a Base64 VLQ
+ * @param {number} value - Signed integer
+ * @returns {string} - VLQ digits
+ */
+function encodeVLQ(value) {
+    let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+    let encoded = '';
+
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) digit |= 32;
+        encoded += BASE64_DIGITS[digit];
+    } while (vlq > 0);
+
+    return encoded;
+}
+
+class SourceMapGenerator {
+    /**
+     * @param {string} file - Name of the generated file the map describes
+     */
+    constructor(file) {
+        this.file = file;
+        this.sources = [];
+        this.sourcesContent = [];
+        this.mappings = [];
+    }
+
+    /**
+     * Register a source file
+     * @param {string} source - Source path as it should appear in the map
+     * @param {string} content - Original source content
+     * @returns {number} - Index of the source
+     */
+    addSource(source, content) {
+        let index = this.sources.indexOf(source);
+        if (index === -1) {
+            index = this.sources.push(source) - 1;
+            this.sourcesContent[index] = content;
+        }
+        return index;
+    }
+
+    /**
+     * Add a mapping (all lines and columns are 0-based)
+     * @param {Object} mapping - { generatedLine, generatedColumn, sourceIndex, originalLine, originalColumn }
+     */
+    addMapping(mapping) {
+        this.mappings.push(mapping);
+    }
+
+    /**
+     * Serialize the mappings into the VLQ "mappings" string
+     * @returns {string} - Encoded mappings
+     */
+    encodeMappings() {
+        const sorted = this.mappings.slice().sort((a, b) =>
+            a.generatedLine - b.generatedLine || a.generatedColumn - b.generatedColumn
+        );
+        const lines = [];
+        const previous = { sourceIndex: 0, originalLine: 0, originalColumn: 0 };
+
+        sorted.forEach(mapping => {
+            while (lines.length <= mapping.generatedLine) {
+                lines.push({ segments: [], previousColumn: 0 });
+            }
+
+            const line = lines[mapping.generatedLine];
+            line.segments.push(
+                encodeVLQ(mapping.generatedColumn - line.previousColumn) +
+                encodeVLQ(mapping.sourceIndex - previous.sourceIndex) +
+                encodeVLQ(mapping.originalLine - previous.originalLine) +
+                encodeVLQ(mapping.originalColumn - previous.originalColumn)
+            );
+
+            line.previousColumn = mapping.generatedColumn;
+            previous.sourceIndex = mapping.sourceIndex;
+            previous.originalLine = mapping.originalLine;
+            previous.originalColumn = mapping.originalColumn;
+        });
+
+        return lines.map(line => line.segments.join(',')).join(';');
+    }
+
+    /**
+     * @returns {Object} - Source map object
+     */
+    toJSON() {
+        return {
+            version: 3,
+            file: this.file,
+            sources: this.sources,
+            sourcesContent: this.sourcesContent,
+            names: [],
+            mappings: this.encodeMappings()
+        };
+    }
+
+    /**
+     * @returns {string} - Serialized source map
+     */
+    toString() {
+        return JSON.stringify(this.toJSON());
+    }
+}
+
+module.exports = SourceMapGenerator;
@@ -0,0 +1,194 @@
+/**
+ * Structured Data
+ * Builds localized schema.org JSON-LD (Organization, MobileApplication, FAQPage) from
+ * SiteConfig and validates it against the properties each type requires
+ */
+
+const REQUIRED_PROPERTIES = {
+    Organization: ['name', 'url'],
+    MobileApplication: ['name', 'operatingSystem', 'applicationCategory', 'offers'],
+    Offer: ['price', 'priceCurrency'],
+    FAQPage: ['mainEntity'],
+    Question: ['name', 'acceptedAnswer'],
+    Answer: ['text'],
+    ContactPoint: ['contactType']
+};
+
+class StructuredData {
+    /**
+     * @param {Object} options - Builder options
+     * @param {Object} options.config - SiteConfig
+     * @param {Array<Object>} options.faq - `{ question, answer }` entries, each a per-language object
+     * @param {Function} options.localize - (value, languageCode) => localized value
+     */
+    constructor(options) {
+        this.config = options.config;
+        this.faq = options.faq || [];
+        this.localize = options.localize;
+        this.siteUrl = this.config.site.url.replace(/\/$/, '');
+    }
+
+    /**
+     * Create the JSON-LD documents for a page
+     * @param {Array<string>} types - Schema types to include, e.g. ['Organization', 'FAQPage']
+     * @param {string} languageCode - Language code
+     * @param {string} pageUrl - Absolute URL of the page
+     * @returns {Array<Object>} - Validated JSON-LD objects
+     */
+    create(types, languageCode, pageUrl) {
+        return types.map(type => {
+            const factory = this[`create${type}`];
+            if (typeof factory !== 'function') {
+                throw new Error(`Unsupported structured data type "${type}"`);
+            }
+
+            const node = Object.assign({ '@context': 'https://schema.org' }, factory.call(this, languageCode, pageUrl));
+            this.validate(node);
+            return node;
+        });
+    }
+
+    /**
+     * @param {string} languageCode - Language code
+     * @returns {Object} - Organization
+     */
+    createOrganization(languageCode) {
+        const { organization } = this.config;
+        const node = {
+            '@type': 'Organization',
+            name: this.localize(organization.name, languageCode),
+            url: `${this.siteUrl}/`,
+            logo: this.toAbsoluteUrl(organization.logo)
+        };
+
+        if (organization.email) {
+            node.email = organization.email;
+            node.contactPoint = {
+                '@type': 'ContactPoint',
+                contactType: 'customer support',
+                email: organization.email,
+                availableLanguage: this.config.languages.supported.map(code => this.config.languages.names[code] || code)
+            };
+        }
+        if (organization.sameAs && organization.sameAs.length > 0) {
+            node.sameAs = organization.sameAs;
+        }
+
+        return node;
+    }
+
+    /**
+     * @param {string} languageCode - Language code
+     * @param {string} pageUrl - Absolute URL of the page
+     * @returns {Object} - MobileApplication
+     */
+    createMobileApplication(languageCode, pageUrl) {
+        const { app } = this.config;
+        const downloadUrls = Object.keys(app.stores || {})
+            .map(store => app.stores[store].url)
+            .filter(Boolean);
+        const node = {
+            '@type': 'MobileApplication',
+            name: this.localize(app.name, languageCode),
+            description: this.localize(this.config.site.description, languageCode),
+            url: pageUrl,
+            inLanguage: languageCode,
+            operatingSystem: app.operatingSystem,
+            applicationCategory: app.category,
+            offers: {
+                '@type': 'Offer',
+                price: app.price,
+                priceCurrency: app.priceCurrency
+            },
+            publisher: {
+                '@type': 'Organization',
+                name: this.localize(this.config.organization.name, languageCode),
+                url: `${this.siteUrl}/`
+            }
+        };
+
+        if (app.image) node.image = this.toAbsoluteUrl(app.image);
+        if (downloadUrls.length > 0) node.downloadUrl = downloadUrls;
+
+        return node;
+    }
+
+    /**
+     * @param {string} languageCode - Language code
+     * @returns {Object} - FAQPage
+     */
+    createFAQPage(languageCode) {
+        return {
+            '@type': 'FAQPage',
+            inLanguage: languageCode,
+            mainEntity: this.faq.map(entry => ({
+                '@type': 'Question',
+                name: this.localize(entry.question, languageCode),
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: this.localize(entry.answer, languageCode)
+                }
+            }))
+        };
+    }
+
+    /**
+     * Check a node (and every typed node nested in it) for missing required properties
+     * @param {Object} node - JSON-LD object
+     * @param {string} trail - Property path, for error messages
+     */
+    validate(node, trail = node['@type']) {
+        const required = REQUIRED_PROPERTIES[node['@type']] || [];
+        const missing = required.filter(property => {
+            const value = node[property];
+            return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+        });
+
+        if (missing.length > 0) {
+            throw new Error(`${trail} is missing required schema.org propert${missing.length > 1 ? 'ies' : 'y'}: ${missing.join(', ')}`);
+        }
+
+        Object.keys(node).forEach(property => {
+            [].concat(node[property]).forEach((value, index) => {
+                if (value && typeof value === 'object' && value['@type']) {
+                    const suffix = Array.isArray(node[property]) ? `[${index}]` : '';
+                    this.validate(value, `${trail}.${property}${suffix}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Render JSON-LD objects as script tags, on one line when `build.minify` is set
+     * @param {Array<Object>} nodes - JSON-LD objects
+     * @returns {string} - `<script type="application/ld+json">` tags
+     */
+    toScripts(nodes) {
+        const indent = this.config.build.minify ? undefined : 2;
+
+        return nodes.map(node => {
+            // `<` is escaped so the JSON can never close the script element early
+            const json = JSON.stringify(node, null, indent).replace(/</g, '\\u003c');
+            return `<script type="application/ld+json">\n${json}\n</script>`;
+        }).join('\n    ');
+    }
+
+    /**
+     * Asset paths the JSON-LD links to by absolute URL
+     * These must keep their names, since fingerprinting cannot rewrite them.
+     * @returns {Array<string>} - Paths relative to the site root
+     */
+    getReferencedAssets() {
+        return [this.config.organization.logo, this.config.app.image].filter(Boolean);
+    }
+
+    /**
+     * @param {string} assetPath - Path relative to the site root
+     * @returns {string} - Absolute URL
+     */
+    toAbsoluteUrl(assetPath) {
+        return assetPath ? `${this.siteUrl}/${assetPath.replace(/^\//, '')}` : assetPath;
+    }
+}
+
+module.exports = StructuredData;
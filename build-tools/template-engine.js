@@ -0,0 +1,279 @@
+/**
+ * Template Engine
+ * Resolves layout and include directives so pages can be assembled from partials
+ *
+ * Directives are plain HTML comments so source files stay valid HTML:
+ *   <!-- @layout default -->                  wrap the page in src/layouts/default.html
+ *   <!-- @include components/header.html -->  inline a file, relative to the src directory
+ *   <!-- @content -->                         placeholder for the page body inside a layout
+ *   <!-- @block head --> ... <!-- @endblock --> page markup for a named layout slot
+ *   <!-- @slot head -->                       where a layout places the page's named block
+ *   <!-- @page { "title": { "en": "..." } } --> page metadata as JSON (see readPageMeta)
+ *   <!-- @each item in data.items --> ... <!-- @endeach -->
+ *                                             repeat markup for every entry of a list (or
+ *                                             N times for a number); the body also sees
+ *                                             `loop.index`, `loop.number`, `loop.first`, `loop.last`
+ *
+ * Once includes are resolved, `{{ path.to.value }}` is replaced with the HTML-escaped
+ * value from the render data and `{{{ path.to.value }}}` with the raw value. Values must be
+ * strings, numbers or booleans.
+ *
+ * Problems are reported as a TemplateError naming the file and line they come from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHTML, lineAt } = require('./html-parser');
+const { TemplateError } = require('./build-errors');
+
+const LAYOUT_PATTERN = /<!--\s*@layout\s+([\w\-./]+)\s*-->\s*/;
+const INCLUDE_PATTERN = /<!--\s*@include\s+([\w\-./]+)\s*-->/g;
+const CONTENT_PATTERN = /<!--\s*@content\s*-->/;
+const BLOCK_PATTERN = /<!--\s*@block\s+([\w-]+)\s*-->([\s\S]*?)<!--\s*@endblock\s*-->\s*/g;
+const SLOT_PATTERN = /<!--\s*@slot\s+([\w-]+)\s*-->/g;
+const PAGE_META_PATTERN = /<!--\s*@page\s+([\s\S]*?)-->\s*/;
+// Directive lines are consumed whole so loops do not leave blank lines behind
+const EACH_PATTERN = /[ \t]*(?:<!--\s*@each\s+([\w$]+)\s+in\s+([\w.]+)\s*-->|<!--\s*@endeach\s*-->)[ \t]*\n?/g;
+const VARIABLE_PATTERN = /\{\{(\{)?\s*([\w.]+)\s*\}?\}\}/g;
+
+class TemplateEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {string} options.rootDir - Directory include paths are resolved against
+     * @param {string} options.layoutsDir - Directory holding layout files
+     */
+    constructor(options) {
+        this.rootDir = options.rootDir;
+        this.layoutsDir = options.layoutsDir;
+    }
+
+    /**
+     * Render a page file into a complete HTML document
+     * @param {string} pagePath - Absolute path to the page source
+     * @param {Object} data - Values available to `{{ }}` placeholders
+     * @returns {string} - Assembled HTML
+     */
+    renderFile(pagePath, data = {}) {
+        return this.render(fs.readFileSync(pagePath, 'utf8'), pagePath, data);
+    }
+
+    /**
+     * Read a page's `<!-- @page {...} -->` metadata without rendering it
+     * @param {string} pagePath - Absolute path to the page source
+     * @returns {Object} - Parsed metadata, or an empty object
+     */
+    readPageMeta(pagePath) {
+        const source = fs.readFileSync(pagePath, 'utf8');
+        const match = source.match(PAGE_META_PATTERN);
+        if (!match) return {};
+
+        try {
+            return JSON.parse(match[1]);
+        } catch (error) {
+            const location = this.locate(new Map([[pagePath, source]]), match[0].trim());
+            throw this.createError(`Invalid @page metadata: ${error.message}`, location);
+        }
+    }
+
+    /**
+     * Render page source, applying its layout (if any) and resolving includes
+     * @param {string} source - Page source
+     * @param {string} sourcePath - Path of the source, used for error messages
+     * @param {Object} data - Values available to `{{ }}` placeholders
+     * @returns {string} - Assembled HTML
+     */
+    render(source, sourcePath, data = {}) {
+        // Every file the page is assembled from, for locating errors
+        const sources = new Map([[sourcePath, source]]);
+        let content = source.replace(PAGE_META_PATTERN, '');
+        const layoutMatch = content.match(LAYOUT_PATTERN);
+        const blocks = {};
+
+        content = content.replace(BLOCK_PATTERN, (match, name, blockContent) => {
+            blocks[name] = blockContent.trim();
+            return '';
+        });
+
+        if (layoutMatch) {
+            content = content.replace(LAYOUT_PATTERN, '');
+            content = this.applyLayout(layoutMatch[1], content, sources);
+        }
+
+        content = content.replace(SLOT_PATTERN, (match, name) => blocks[name] || '');
+
+        content = this.resolveIncludes(content, [sourcePath], sources);
+        content = this.renderLoops(content, data, sources);
+        return this.interpolate(content, data, sources);
+    }
+
+    /**
+     * Wrap content in a layout
+     * @param {string} layoutName - Layout name (file name without extension)
+     * @param {string} content - Page body
+     * @param {Map<string, string>} sources - Files the page is assembled from; the layout is added
+     * @returns {string} - Layout with the page body in its content slot
+     */
+    applyLayout(layoutName, content, sources) {
+        const fileName = layoutName.endsWith('.html') ? layoutName : `${layoutName}.html`;
+        const layoutPath = path.join(this.layoutsDir, fileName);
+
+        if (!fs.existsSync(layoutPath)) {
+            throw this.createError(`Layout not found: ${layoutName}`, this.locate(sources, '@layout'), layoutName);
+        }
+
+        const layout = fs.readFileSync(layoutPath, 'utf8');
+        sources.set(layoutPath, layout);
+        if (!CONTENT_PATTERN.test(layout)) {
+            throw this.createError(`Layout "${layoutName}" has no <!-- @content --> slot`, this.locate(new Map([[layoutPath, layout]])));
+        }
+
+        return layout.replace(CONTENT_PATTERN, () => content.trim());
+    }
+
+    /**
+     * Replace include directives with file contents, recursively
+     * @param {string} content - Content containing include directives
+     * @param {Array<string>} stack - Files currently being included, for cycle detection
+     * @param {Map<string, string>} sources - Files the page is assembled from; includes are added
+     * @returns {string} - Content with includes resolved
+     */
+    resolveIncludes(content, stack, sources) {
+        return content.replace(INCLUDE_PATTERN, (match, includePath) => {
+            const filePath = path.join(this.rootDir, includePath);
+
+            if (stack.includes(filePath)) {
+                const chain = stack.concat(filePath).map(file => path.relative(this.rootDir, file));
+                throw this.createError(`Circular include: ${chain.join(' -> ')}`, this.locate(sources, match), includePath);
+            }
+
+            if (!fs.existsSync(filePath)) {
+                throw this.createError(`Include not found: ${includePath}`, this.locate(sources, match), includePath);
+            }
+
+            const included = fs.readFileSync(filePath, 'utf8');
+            sources.set(filePath, included);
+            return this.resolveIncludes(included.trim(), stack.concat(filePath), sources);
+        });
+    }
+
+    /**
+     * Expand `@each` loops, innermost scopes first, interpolating each iteration
+     * @param {string} content - Content containing loop directives
+     * @param {Object} data - Render data
+     * @param {Map<string, string>} sources - Files the page is assembled from, for error locations
+     * @returns {string} - Content with loops expanded
+     */
+    renderLoops(content, data, sources) {
+        const pattern = new RegExp(EACH_PATTERN.source, 'g');
+        let output = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(content)) !== null) {
+            if (!match[1]) {
+                throw this.createError('Unexpected <!-- @endeach -->', this.locate(sources, match[0].trim()));
+            }
+
+            // Find the matching @endeach, skipping over nested loops
+            const bodyStart = pattern.lastIndex;
+            let depth = 1;
+            let end;
+            while (depth > 0 && (end = pattern.exec(content)) !== null) {
+                depth += end[1] ? 1 : -1;
+            }
+            if (depth > 0) {
+                throw this.createError(`Unclosed <!-- @each ${match[1]} in ${match[2]} -->`, this.locate(sources, match[0].trim()), match[2]);
+            }
+
+            const [, name, key] = match;
+            const body = content.slice(bodyStart, end.index);
+            const value = this.lookup(key, data);
+            let items;
+
+            if (Array.isArray(value)) {
+                items = value;
+            } else if (Number.isInteger(value) && value >= 0) {
+                items = Array.from({ length: value }, (item, index) => index + 1);
+            } else {
+                const type = value === undefined ? 'undefined' : typeof value;
+                throw this.createError(`@each needs a list or a count, but "${key}" is ${type}`, this.locate(sources, match[0].trim()), key);
+            }
+
+            output += content.slice(lastIndex, match.index);
+            output += items.map((item, index) => {
+                const scope = Object.assign({}, data, {
+                    [name]: item,
+                    loop: { index, number: index + 1, first: index === 0, last: index === items.length - 1 }
+                });
+                return this.interpolate(this.renderLoops(body, scope, sources), scope, sources);
+            }).join('');
+            lastIndex = pattern.lastIndex;
+        }
+
+        return output + content.slice(lastIndex);
+    }
+
+    /**
+     * Look up a dotted path in the render data
+     * @param {string} key - Path such as `site.title`
+     * @param {Object} data - Render data
+     * @returns {*} - Value, or undefined when any part of the path is missing
+     */
+    lookup(key, data) {
+        return key.split('.').reduce((scope, part) => (scope == null ? undefined : scope[part]), data);
+    }
+
+    /**
+     * Replace `{{ }}` placeholders with values from the render data
+     * @param {string} content - Content containing placeholders
+     * @param {Object} data - Render data
+     * @param {Map<string, string>} sources - Files the page is assembled from, for error locations
+     * @returns {string} - Interpolated content
+     */
+    interpolate(content, data, sources) {
+        return content.replace(VARIABLE_PATTERN, (match, raw, key) => {
+            const value = this.lookup(key, data);
+
+            if (value === undefined || value === null) {
+                throw this.createError(`Unknown template variable "${key}"`, this.locate(sources, match), key);
+            }
+            // Objects would print as "[object Object]", e.g. a { en, ar } value that was not localized
+            if (typeof value === 'object' || typeof value === 'function') {
+                const type = Array.isArray(value) ? 'a list' : `an ${typeof value}`;
+                throw this.createError(`Template variable "${key}" is ${type}, not a string, number or boolean`, this.locate(sources, match), key);
+            }
+
+            return raw ? String(value) : escapeHTML(value);
+        });
+    }
+
+    /**
+     * Find the file and line a piece of template source comes from
+     * @param {Map<string, string>} sources - Source of every file the page is assembled from, page first
+     * @param {string} text - Source text to look for, such as a placeholder or directive
+     * @returns {Object} - { template, line } of the first file containing the text; the
+     *                     first file without a line when none does
+     */
+    locate(sources, text) {
+        for (const [filePath, source] of sources) {
+            const index = source.indexOf(text);
+            if (index !== -1) {
+                return { template: path.relative(this.rootDir, filePath), line: lineAt(source, index) };
+            }
+        }
+        return { template: path.relative(this.rootDir, sources.keys().next().value), line: null };
+    }
+
+    /**
+     * @param {string} message - Problem description
+     * @param {Object} location - { template, line } from locate()
+     * @param {string} [expression=null] - Placeholder, include path or layout involved
+     * @returns {TemplateError} - Error naming the location
+     */
+    createError(message, location, expression = null) {
+        const where = location.line ? `${location.template}, line ${location.line}` : location.template;
+        return new TemplateError(`${message} (${where})`, Object.assign({ expression }, location));
+    }
+}
+
+module.exports = TemplateEngine;
@@ -0,0 +1,302 @@
+/**
+ * Translation Extractor
+ * Collects every translatable string into one catalog per language and reports coverage
+ *
+ * Strings come from three places:
+ *   - `data-en` / `data-ar` (and `data-en-placeholder` etc.) attributes in HTML sources,
+ *     keyed `html.<slug of the default-language text>`
+ *   - the `this.translations.<lang> = {...}` tables in LanguageSwitcher.loadTranslations()
+ *     (scripts/modules/language-switcher.js in the src directory), keyed `switcher.<key>` and
+ *     used through `data-translate="<key>"` attributes
+ *   - `WaitlistTranslations` in js/waitlist.js in the assets directory, keyed `waitlist.<key>`
+ *     and used through `WaitlistTranslations[lang].<key>` in scripts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+const { tokenize, lineAt } = require('./html-parser');
+const { LOCALIZED_ATTRIBUTES } = require('./page-localizer');
+
+const SWITCHER_SOURCE = 'scripts/modules/language-switcher.js';
+const WAITLIST_SOURCE = 'js/waitlist.js';
+const MAX_SLUG_LENGTH = 48;
+
+class TranslationExtractor {
+    /**
+     * @param {Object} options - Extractor options
+     * @param {string} options.rootDir - Repository root; reported locations are relative to it
+     * @param {string} options.srcDir - Source directory
+     * @param {string} options.assetsDir - Assets directory
+     * @param {Array<string>} options.languages - Supported language codes
+     * @param {string} options.defaultLanguage - Language keys are derived from
+     * @param {Array<string>} options.htmlSources - HTML files or directories to scan, relative to srcDir
+     */
+    constructor(options) {
+        const fromRoot = file => path.relative(options.rootDir, file).split(path.sep).join('/');
+
+        this.rootDir = options.rootDir;
+        this.languages = options.languages;
+        this.defaultLanguage = options.defaultLanguage;
+        this.htmlSources = options.htmlSources.map(source => fromRoot(path.join(options.srcDir, source)));
+        this.switcherSource = fromRoot(path.join(options.srcDir, SWITCHER_SOURCE));
+        this.waitlistSource = fromRoot(path.join(options.assetsDir, WAITLIST_SOURCE));
+        this.scriptDirs = [fromRoot(path.join(options.srcDir, 'scripts')), fromRoot(path.join(options.assetsDir, 'js'))];
+        this.entries = new Map();
+        this.references = [];
+        this.conflicts = [];
+    }
+
+    /**
+     * Extract all strings and work out coverage
+     * @returns {Object} - { catalogs, languages } where catalogs maps language → { key: text } and
+     *                     languages maps language → { total, translated, coverage, missing, untranslated };
+     *                     plus `unused` and `conflicts` lists shared by all languages
+     */
+    run() {
+        this.entries.clear();
+        this.references = [];
+        this.conflicts = [];
+
+        this.listHtmlFiles().forEach(file => this.extractHtml(file));
+        this.extractScriptTable(this.switcherSource, 'switcher', /this\.translations\.(\w+)\s*=\s*\{/g);
+        this.extractScriptTable(this.waitlistSource, 'waitlist', /const\s+WaitlistTranslations\s*=\s*\{/g);
+        this.findWaitlistReferences();
+
+        const keys = Array.from(this.entries.keys()).sort();
+        const catalogs = {};
+        const languages = {};
+
+        this.languages.forEach(languageCode => {
+            catalogs[languageCode] = {};
+            const missing = [];
+            const untranslated = [];
+
+            keys.forEach(key => {
+                const entry = this.entries.get(key);
+                const value = entry.values[languageCode];
+                const defaultValue = entry.values[this.defaultLanguage];
+
+                if (value === undefined || value.trim() === '') {
+                    missing.push({ key, location: entry.locations[0] });
+                    return;
+                }
+
+                catalogs[languageCode][key] = value;
+                if (languageCode !== this.defaultLanguage && value === defaultValue && /\p{L}/u.test(value)) {
+                    untranslated.push({ key, location: entry.locations[0] });
+                }
+            });
+
+            // Keys used in markup but defined nowhere
+            this.references
+                .filter(reference => !this.entries.has(reference.key))
+                .forEach(reference => missing.push({ key: reference.key, location: reference.location }));
+
+            const total = keys.length + this.references.filter(reference => !this.entries.has(reference.key)).length;
+            const translated = total - missing.length - untranslated.length;
+            languages[languageCode] = {
+                total,
+                translated,
+                coverage: total === 0 ? 1 : translated / total,
+                missing,
+                untranslated
+            };
+        });
+
+        const usedKeys = new Set(this.references.map(reference => reference.key));
+        const unused = keys
+            .filter(key => this.entries.get(key).requiresReference && !usedKeys.has(key))
+            .map(key => ({ key, location: this.entries.get(key).locations[0] }));
+
+        return { catalogs, languages, unused, conflicts: this.conflicts };
+    }
+
+    /**
+     * Extract `data-<lang>` strings from one HTML file
+     * @param {string} file - Path relative to rootDir
+     */
+    extractHtml(file) {
+        const html = fs.readFileSync(path.join(this.rootDir, file), 'utf8');
+
+        tokenize(html).forEach(token => {
+            if (token.type !== 'open') return;
+
+            const location = `${file}:${lineAt(html, token.start)}`;
+
+            if (token.attrs['data-translate']) {
+                this.references.push({ key: `switcher.${token.attrs['data-translate']}`, location });
+            }
+
+            [''].concat(LOCALIZED_ATTRIBUTES.map(name => `-${name}`)).forEach(suffix => {
+                const values = {};
+                this.languages.forEach(languageCode => {
+                    const value = token.attrs[`data-${languageCode}${suffix}`];
+                    if (value !== undefined) values[languageCode] = value;
+                });
+
+                const source = values[this.defaultLanguage] !== undefined
+                    ? values[this.defaultLanguage]
+                    : values[Object.keys(values)[0]];
+                if (source === undefined) return;
+
+                this.addEntry(`html.${this.createSlug(source)}`, values, location, false);
+            });
+        });
+    }
+
+    /**
+     * Extract a `{ lang: { key: text } }` table defined as an object literal in a script
+     * @param {string} file - Path relative to rootDir
+     * @param {string} namespace - Key prefix
+     * @param {RegExp} pattern - Finds the table; a capture group names the language when the
+     *                           script assigns one language per object literal
+     */
+    extractScriptTable(file, namespace, pattern) {
+        const filePath = path.join(this.rootDir, file);
+        if (!fs.existsSync(filePath)) return;
+
+        const source = fs.readFileSync(filePath, 'utf8');
+        let match;
+
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(source)) !== null) {
+            const start = match.index + match[0].length - 1;
+            const literal = source.slice(start, this.findClosingBrace(source, start) + 1);
+            const location = `${file}:${lineAt(source, match.index)}`;
+            // The tables are plain string literals, so evaluating them in an empty context is safe
+            const table = vm.runInNewContext(`(${literal})`, {});
+            const byLanguage = match[1] ? { [match[1]]: table } : table;
+
+            Object.keys(byLanguage).forEach(languageCode => {
+                Object.keys(byLanguage[languageCode]).forEach(key => {
+                    this.addEntry(`${namespace}.${key}`, { [languageCode]: String(byLanguage[languageCode][key]) }, location, true);
+                });
+            });
+        }
+    }
+
+    /**
+     * Record which waitlist strings scripts read, e.g. `WaitlistTranslations[lang].title`
+     */
+    findWaitlistReferences() {
+        this.listFiles(this.scriptDirs, '.js').forEach(file => {
+            let source = fs.readFileSync(path.join(this.rootDir, file), 'utf8');
+
+            if (file === this.waitlistSource) {
+                // The table's own definition and export are not uses
+                const start = source.search(/const\s+WaitlistTranslations\s*=\s*\{/);
+                if (start !== -1) {
+                    const end = this.findClosingBrace(source, source.indexOf('{', start));
+                    source = source.slice(0, start) + source.slice(end + 1);
+                }
+                source = source.replace(/module\.exports\s*=\s*\{[^}]*\}/g, '');
+            }
+
+            const pattern = /WaitlistTranslations\s*\[[^\]]+\]\s*(?:\.\s*(\w+)|\[\s*['"](\w+)['"]\s*\])/g;
+            let match;
+            while ((match = pattern.exec(source)) !== null) {
+                this.references.push({ key: `waitlist.${match[1] || match[2]}`, location: `${file}:${lineAt(source, match.index)}` });
+            }
+        });
+    }
+
+    /**
+     * Merge one occurrence of a string into the entries
+     * @param {string} key - Catalog key
+     * @param {Object} values - Text per language
+     * @param {string} location - `file:line` of the occurrence
+     * @param {boolean} requiresReference - Whether the key is only used when something references it
+     */
+    addEntry(key, values, location, requiresReference) {
+        if (!this.entries.has(key)) {
+            this.entries.set(key, { values: {}, locations: [], requiresReference });
+        }
+
+        const entry = this.entries.get(key);
+        Object.keys(values).forEach(languageCode => {
+            const existing = entry.values[languageCode];
+            if (existing !== undefined && existing !== values[languageCode]) {
+                this.conflicts.push({ key, languageCode, location, first: existing, second: values[languageCode] });
+                return;
+            }
+            entry.values[languageCode] = values[languageCode];
+        });
+        if (!entry.locations.includes(location)) entry.locations.push(location);
+    }
+
+    /**
+     * Derive a readable, stable key from a string
+     * @param {string} text - Default-language text
+     * @returns {string} - Slug, with a short hash when the text had to be shortened
+     */
+    createSlug(text) {
+        const slug = text
+            .replace(/<[^>]*>/g, ' ')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '') || 'text';
+
+        if (slug.length <= MAX_SLUG_LENGTH) return slug;
+
+        const hash = crypto.createHash('md5').update(text).digest('hex').slice(0, 6);
+        return `${slug.slice(0, MAX_SLUG_LENGTH).replace(/-+$/, '')}-${hash}`;
+    }
+
+    /**
+     * Find the brace closing the object literal that opens at `start`
+     * @param {string} source - Script source
+     * @param {number} start - Offset of the opening brace
+     * @returns {number} - Offset of the closing brace
+     */
+    findClosingBrace(source, start) {
+        let depth = 0;
+        for (let i = start; i < source.length; i++) {
+            const char = source[i];
+            if (char === '\'' || char === '"' || char === '`') {
+                // Skip string literals, which may contain braces
+                for (i++; i < source.length && source[i] !== char; i++) {
+                    if (source[i] === '\\') i++;
+                }
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && --depth === 0) {
+                return i;
+            }
+        }
+        throw new Error(`Unterminated object literal at offset ${start}`);
+    }
+
+    /**
+     * @returns {Array<string>} - HTML files to scan, relative to rootDir
+     */
+    listHtmlFiles() {
+        return this.listFiles(this.htmlSources, '.html');
+    }
+
+    /**
+     * List files with an extension under a set of files and directories
+     * @param {Array<string>} sources - Files or directories relative to rootDir
+     * @param {string} extension - Extension including the dot
+     * @returns {Array<string>} - Sorted POSIX paths relative to rootDir
+     */
+    listFiles(sources, extension) {
+        const files = [];
+        const walk = relativePath => {
+            const absolutePath = path.join(this.rootDir, relativePath);
+            if (!fs.existsSync(absolutePath)) return;
+
+            if (fs.statSync(absolutePath).isDirectory()) {
+                fs.readdirSync(absolutePath).forEach(name => walk(path.posix.join(relativePath, name)));
+            } else if (relativePath.endsWith(extension)) {
+                files.push(relativePath);
+            }
+        };
+
+        sources.forEach(walk);
+        return Array.from(new Set(files)).sort();
+    }
+}
+
+module.exports = TranslationExtractor;
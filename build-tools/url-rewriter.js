@@ -0,0 +1,128 @@
+/**
+ * URL Rewriter
+ * Finds and rewrites local asset/page references in generated HTML and CSS
+ */
+
+const { tokenize, setAttribute, applyEdits } = require('./html-parser');
+
+const URL_ATTRIBUTES = ['src', 'href', 'action', 'poster', 'data-src'];
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset'];
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^'")\s]+))\s*\)/g;
+const NON_LOCAL_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/\/|#|\{)/i;
+
+/**
+ * Check whether a URL points at a file inside the site (relative, non-empty)
+ * @param {string} url - URL to check
+ * @returns {boolean} - True for relative URLs such as `assets/images/logo.png`
+ */
+function isLocalUrl(url) {
+    const trimmed = (url || '').trim();
+    return trimmed !== '' && !NON_LOCAL_PATTERN.test(trimmed) && !trimmed.startsWith('/');
+}
+
+/**
+ * Split a URL into its path and its ?query/#fragment suffix
+ * @param {string} url - URL to split
+ * @returns {Object} - { pathname, suffix }
+ */
+function splitUrl(url) {
+    const index = url.search(/[?#]/);
+    return index === -1
+        ? { pathname: url, suffix: '' }
+        : { pathname: url.slice(0, index), suffix: url.slice(index) };
+}
+
+/**
+ * Find every URL referenced by url() in a block of CSS
+ * @param {string} css - CSS source
+ * @returns {Array<Object>} - { url, index } entries, index being the offset of the url() call
+ */
+function findCssUrls(css) {
+    const urls = [];
+    const pattern = new RegExp(CSS_URL_PATTERN.source, 'g');
+    let match;
+
+    while ((match = pattern.exec(css)) !== null) {
+        const url = [match[1], match[2], match[3]].find(value => value !== undefined).trim();
+        urls.push({ url, index: match.index });
+    }
+
+    return urls;
+}
+
+/**
+ * Rewrite every URL referenced by url() in a block of CSS
+ * @param {string} css - CSS source
+ * @param {Function} rewrite - Called with each URL, returns the replacement
+ * @returns {string} - Rewritten CSS
+ */
+function rewriteCssUrls(css, rewrite) {
+    return css.replace(CSS_URL_PATTERN, (match, doubleQuoted, singleQuoted, bare) => {
+        const quote = doubleQuoted !== undefined ? '"' : singleQuoted !== undefined ? "'" : '';
+        const url = [doubleQuoted, singleQuoted, bare].find(value => value !== undefined).trim();
+        const next = rewrite(url);
+        return next === url ? match : `url(${quote}${next}${quote})`;
+    });
+}
+
+/**
+ * Rewrite every URL referenced by an HTML document's attributes and inline styles
+ * @param {string} html - HTML source
+ * @param {Function} rewrite - Called with each URL, returns the replacement
+ * @returns {string} - Rewritten HTML
+ */
+function rewriteHtmlUrls(html, rewrite) {
+    const edits = [];
+
+    tokenize(html).forEach(token => {
+        if (token.type === 'text' && token.raw && /url\(/.test(html.slice(token.start, token.end))) {
+            // Inline <style> blocks
+            const css = html.slice(token.start, token.end);
+            const next = rewriteCssUrls(css, rewrite);
+            if (next !== css) edits.push({ start: token.start, end: token.end, text: next });
+            return;
+        }
+
+        if (token.type !== 'open') return;
+
+        let tag = token.source;
+
+        URL_ATTRIBUTES.forEach(name => {
+            const value = token.attrs[name];
+            if (value === undefined) return;
+            const next = rewrite(value);
+            if (next !== value) tag = setAttribute(tag, name, next);
+        });
+
+        SRCSET_ATTRIBUTES.forEach(name => {
+            const value = token.attrs[name];
+            if (value === undefined) return;
+            const next = value.split(',').map(candidate => {
+                const [url, ...descriptors] = candidate.trim().split(/\s+/);
+                return [rewrite(url)].concat(descriptors).join(' ');
+            }).join(', ');
+            if (next !== value) tag = setAttribute(tag, name, next);
+        });
+
+        if (token.attrs.style && token.attrs.style.includes('url(')) {
+            const next = rewriteCssUrls(token.attrs.style, rewrite);
+            if (next !== token.attrs.style) tag = setAttribute(tag, 'style', next);
+        }
+
+        if (tag !== token.source) {
+            edits.push({ start: token.start, end: token.end, text: tag });
+        }
+    });
+
+    return applyEdits(html, edits);
+}
+
+module.exports = {
+    URL_ATTRIBUTES,
+    SRCSET_ATTRIBUTES,
+    isLocalUrl,
+    splitUrl,
+    findCssUrls,
+    rewriteCssUrls,
+    rewriteHtmlUrls
+};
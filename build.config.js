@@ -0,0 +1,19 @@
+/**
+ * Build Plugins
+ * Plugins registered here run after the built-in CSS, JavaScript and asset plugins.
+ * See build-tools/plugin-manager.js for the hooks a plugin can implement.
+ *
+ * Example:
+ *   plugins: [
+ *       {
+ *           name: 'build-banner',
+ *           transform(file) {
+ *               if (file.path.endsWith('.js')) return `// Kenz ${new Date().getFullYear()}\n${file.contents}`;
+ *           }
+ *       }
+ *   ]
+ */
+
+module.exports = {
+    plugins: []
+};
@@ -5,49 +5,445 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const TemplateEngine = require('./build-tools/template-engine');
+const PageLocalizer = require('./build-tools/page-localizer');
+const AssetFingerprinter = require('./build-tools/asset-fingerprinter');
+const LinkChecker = require('./build-tools/link-checker');
+const CodeBundler = require('./build-tools/code-bundler');
+const PluginManager = require('./build-tools/plugin-manager');
+const CssBundlePlugin = require('./build-tools/plugins/css-bundle-plugin');
+const JsBundlePlugin = require('./build-tools/plugins/js-bundle-plugin');
+const AssetCopyPlugin = require('./build-tools/plugins/asset-copy-plugin');
+const SitemapGenerator = require('./build-tools/sitemap-generator');
+const StructuredData = require('./build-tools/structured-data');
+const DataLoader = require('./build-tools/data-loader');
+const TranslationExtractor = require('./build-tools/translation-extractor');
+const PwaGenerator = require('./build-tools/pwa-generator');
+const SizeReporter = require('./build-tools/size-reporter');
+const CssPurger = require('./build-tools/css-purger');
+const CriticalCss = require('./build-tools/critical-css');
+const IconSprite = require('./build-tools/icon-sprite');
+const ResponsiveImages = require('./build-tools/responsive-images');
+const EnvironmentConfig = require('./build-tools/environment-config');
+const BrandProfile = require('./build-tools/brand-profile');
+const LegalDocuments = require('./build-tools/legal-documents');
+const AccessibilityAuditor = require('./build-tools/accessibility-auditor');
+const { minifyHTML } = require('./build-tools/minifier');
+const { escapeHTML, parseSimpleSelector } = require('./build-tools/html-parser');
+const { isLocalUrl, rewriteHtmlUrls } = require('./build-tools/url-rewriter');
+const { listFiles } = require('./build-tools/build-utils');
+const buildErrors = require('./build-tools/build-errors');
+
+const { BuildError, ConfigError, LinkCheckError, BudgetError, AuditError } = buildErrors;
+
+const SITEMAP_FILE = 'sitemap.xml';
+const ROBOTS_FILE = 'robots.txt';
+const WEB_MANIFEST_FILE = 'manifest.webmanifest';
+const SERVICE_WORKER_FILE = 'sw.js';
+const ASSET_MANIFEST_FILE = 'manifest.json';
+const BRAND_FILE = 'api/brand.json';
+// SiteConfig sections exposed to the browser as window.SiteConfig
+const RUNTIME_CONFIG_SECTIONS = ['brand', 'ui', 'languages', 'components'];
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
 
 class BuildSystem {
-    constructor() {
-        this.srcDir = path.join(__dirname, 'src');
-        this.distDir = path.join(__dirname, 'dist');
+    /**
+     * @param {Object} [options={}] - Build options (see configure)
+     */
+    constructor(options = {}) {
         this.assetsDir = path.join(__dirname, 'assets');
+        this.pluginConfigPath = path.join(__dirname, 'build.config.js');
+        this.localizer = new PageLocalizer({ warn: message => this.warn(message) });
+        this.plugins = new PluginManager();
+        this.context = null;
+        
+        // State of the current build, reported in its result
+        this.currentStep = null;
+        this.warnings = [];
+        this.timings = {};
+        this.sizeReport = null;
+        
+        // Watch mode state
+        this.watchMode = false;
+        this.watchDebounce = 100;
+        this.pendingChanges = new Set();
+        this.rebuildTimer = null;
+        this.isRebuilding = false;
+        
+        this.configure(options);
+    }
+
+    /**
+     * Apply build options and load the configuration they point at
+     * @param {Object} [options={}] - Build options
+     * @param {string} [options.srcDir] - Source directory (default: src)
+     * @param {string} [options.distDir] - Output directory, emptied on every build (default: dist)
+     * @param {string} [options.environment] - Build environment (default: SITE_ENV, then 'production')
+     * @param {string} [options.brand] - Brand profile in src/config/brands (default: `build.brand`)
+     * @param {Array<string>} [options.languages] - Build only these of SiteConfig's supported languages
+     * @param {Object} [options.logger=console] - { log, warn, error } used for progress output
+     * @param {boolean} [options.silent=false] - Suppress progress output
+     */
+    configure(options = {}) {
+        this.options = options;
+        this.srcDir = path.resolve(options.srcDir || path.join(__dirname, 'src'));
+        this.distDir = path.resolve(options.distDir || path.join(__dirname, 'dist'));
         this.componentsDir = path.join(this.srcDir, 'components');
         this.stylesDir = path.join(this.srcDir, 'styles');
+        this.variablesPath = path.join(this.stylesDir, 'base', 'variables.css');
         this.scriptsDir = path.join(this.srcDir, 'scripts');
+        this.pagesDir = path.join(this.srcDir, 'pages');
+        this.layoutsDir = path.join(this.srcDir, 'layouts');
+        this.dataDir = path.join(this.srcDir, 'data');
+        this.legalDir = path.join(this.srcDir, 'legal');
+        this.pwaDir = path.join(this.srcDir, 'pwa');
+        this.configPath = path.join(this.srcDir, 'config', 'site-config.js');
+        this.environmentsDir = path.join(this.srcDir, 'config', 'environments');
+        this.brandsDir = path.join(this.srcDir, 'config', 'brands');
+        this.environment = options.environment || process.env.SITE_ENV || 'production';
+        this.logger = options.silent ? SILENT_LOGGER : (options.logger || console);
+        this.templateEngine = new TemplateEngine({
+            rootDir: this.srcDir,
+            layoutsDir: this.layoutsDir
+        });
+        
+        // The output directory is deleted before every build
+        [__dirname, this.srcDir, this.assetsDir].forEach(dir => {
+            if (!path.relative(this.distDir, dir).startsWith('..')) {
+                throw new ConfigError(`distDir ${this.distDir} contains ${dir}, which cleaning it would delete`);
+            }
+        });
+        
+        this.loadConfig();
     }
 
     /**
-     * Main build process
+     * Load (or reload) SiteConfig, build.config.js and the helpers configured from them
      */
-    async build() {
-        console.log('🚀 Starting build process...');
+    loadConfig() {
+        if (!fs.existsSync(this.configPath)) {
+            throw new ConfigError(`SiteConfig not found at ${this.configPath}`);
+        }
         
         try {
-            // Clean and create dist directory
-            this.cleanDist();
-            this.createDist();
-            
-            // Build HTML
-            await this.buildHTML();
-            
-            // Build CSS
-            await this.buildCSS();
-            
-            // Build JavaScript
-            await this.buildJavaScript();
-            
-            // Copy assets
-            await this.copyAssets();
-            
-            console.log('✅ Build completed successfully!');
-            console.log(`📁 Output directory: ${this.distDir}`);
-            
+            delete require.cache[require.resolve(this.configPath)];
+            this.config = require(this.configPath);
         } catch (error) {
-            console.error('❌ Build failed:', error);
-            process.exit(1);
+            throw new ConfigError(`Could not load ${path.relative(__dirname, this.configPath)}: ${error.message}`, { cause: error });
+        }
+        
+        // Overlay the settings of the build environment
+        if (fs.existsSync(this.environmentsDir)) {
+            this.config = new EnvironmentConfig({ environmentsDir: this.environmentsDir }).apply(this.config, this.environment);
+        }
+        
+        // Names, logos, palette and contact details of the brand being built
+        this.brand = new BrandProfile({ brandsDir: this.brandsDir, languages: this.config.languages.supported });
+        this.config = this.brand.apply(this.config, this.options.brand || this.config.build.brand);
+        
+        // Content carries a translation for every supported language, even when --languages
+        // builds only some of them
+        this.siteLanguages = this.config.languages.supported;
+        this.applyLanguageOverride(this.options.languages);
+        this.bundler = new CodeBundler({
+            minify: this.config.build.minify,
+            sourceMaps: this.config.build.sourceMaps
+        });
+        this.loadPlugins();
+    }
+
+    /**
+     * Restrict the build to some of the supported languages
+     * Only the pages, sitemap entries and language links that get emitted are limited; content
+     * is still read against every supported language (see siteLanguages).
+     * @param {Array<string>} [languages] - Language codes; all supported languages when omitted
+     */
+    applyLanguageOverride(languages) {
+        if (!languages) return;
+        
+        const { supported } = this.config.languages;
+        const unknown = languages.filter(languageCode => !supported.includes(languageCode));
+        if (languages.length === 0 || unknown.length > 0) {
+            throw new ConfigError(`languages must be a non-empty subset of ${supported.join(', ')}${unknown.length > 0 ? ` (got ${unknown.join(', ')})` : ''}`);
+        }
+        
+        const defaultLanguage = languages.includes(this.config.languages.default) ? this.config.languages.default : languages[0];
+        this.config = Object.assign({}, this.config, {
+            languages: Object.assign({}, this.config.languages, { supported: languages, default: defaultLanguage })
+        });
+    }
+
+    /**
+     * Register the built-in step plugins followed by the plugins listed in build.config.js
+     */
+    loadPlugins() {
+        this.plugins.clear();
+        [new CssBundlePlugin(), new JsBundlePlugin(), new AssetCopyPlugin()].forEach(plugin => this.plugins.register(plugin));
+        
+        if (fs.existsSync(this.pluginConfigPath)) {
+            delete require.cache[require.resolve(this.pluginConfigPath)];
+            const { plugins = [] } = require(this.pluginConfigPath);
+            plugins.forEach(plugin => this.plugins.register(plugin));
+        }
+    }
+
+    /**
+     * Create the context passed to plugin hooks
+     * @param {Array<string>|null} [changes=null] - Files changed since the last build (watch mode), or null for a full build
+     * @returns {Object} - Build context
+     */
+    createContext(changes = null) {
+        return {
+            config: this.config,
+            rootDir: __dirname,
+            srcDir: this.srcDir,
+            distDir: this.distDir,
+            assetsDir: this.assetsDir,
+            stylesDir: this.stylesDir,
+            scriptsDir: this.scriptsDir,
+            environment: this.environment,
+            watchMode: this.watchMode,
+            changes,
+            logger: this.logger,
+            warn: message => this.warn(message),
+            emitFile: (file, contents) => this.emitFile(file, contents),
+            emitBundle: (sources, type, file) => this.emitBundle(sources, type, file)
+        };
+    }
+
+    /**
+     * Build the site
+     * @param {Object} [options] - Build options (see configure); omit to reuse the current ones
+     * @returns {Promise<Object>} - Resolves to { distDir, environment, languages, files, totalSize,
+     *                              warnings, timings, duration }; rejects with a BuildError
+     */
+    async build(options) {
+        const startTime = Date.now();
+        let failure = null;
+        
+        this.context = null;
+        this.currentStep = null;
+        this.warnings = [];
+        this.timings = {};
+        this.sizeReport = null;
+        
+        try {
+            if (options) this.configure(options);
+            this.logger.log(`🚀 Starting build process (${this.environment}, ${this.brand.brand} brand)...`);
+            this.context = this.createContext();
+            await this.runSteps();
+        } catch (error) {
+            failure = this.toBuildError(error);
+        }
+        
+        if (this.context) {
+            try {
+                await this.plugins.callHook('buildEnd', this.context, failure);
+            } catch (error) {
+                if (failure) {
+                    this.logger.error('❌ buildEnd hook failed:', error.message);
+                } else {
+                    failure = this.toBuildError(error);
+                }
+            }
+        }
+        this.currentStep = null;
+        
+        if (failure) {
+            throw failure;
+        }
+        
+        const result = this.createResult(Date.now() - startTime);
+        this.logger.log(`✅ Build completed successfully! (${result.duration}ms)`);
+        this.logger.log(`📁 Output directory: ${this.distDir}`);
+        return result;
+    }
+
+    /**
+     * Run every build step in order
+     */
+    async runSteps() {
+        // The previous build's size report is the baseline for this one
+        const previousSizeReport = this.readSizeReport();
+        
+        // Clean and create dist directory
+        this.cleanDist();
+        this.createDist();
+        
+        await this.plugins.callHook('buildStart', this.context);
+        
+        // Build HTML
+        await this.runStep('HTML', () => this.buildHTML());
+        
+        // Build sitemap.xml and robots.txt
+        await this.runStep('Sitemap', () => this.buildSitemap());
+        
+        // CSS, JavaScript and assets are built by plugins (see build-tools/plugins)
+        await this.runStep('CSS');
+        await this.runStep('JavaScript');
+        await this.runStep('Assets');
+        
+        // Extra files emitted by plugins
+        if (this.plugins.hasHook('generate')) {
+            await this.runStep('Generate', () => this.plugins.callHook('generate', this.context));
+        }
+        
+        // Swap icon font glyphs for an inline SVG sprite (before purging, so the icon font
+        // stylesheet is only purged if a page still links it)
+        const iconSprite = this.config.build.iconSprite || {};
+        if (iconSprite.enabled && !this.watchMode) {
+            await this.runStep('Icons', () => this.buildIconSprite(iconSprite));
+        }
+        
+        // Image dimensions, lazy loading and downscaled variants
+        const images = this.config.build.images || {};
+        if (images.enabled && !this.watchMode) {
+            await this.runStep('Images', () => this.optimizeImages(images));
+        }
+        
+        // Strip the CSS rules no page uses. Skipped while watching, since incremental
+        // rebuilds do not rescan every page.
+        const purgeCss = this.config.build.purgeCss || {};
+        if (purgeCss.enabled && !this.watchMode) {
+            await this.runStep('Purge', () => this.purgeCSS(purgeCss));
+        }
+        
+        // Inline the first viewport's CSS and defer the stylesheets (after purging, so the
+        // inlined rules come from the purged stylesheets)
+        const criticalCss = this.config.build.criticalCss || {};
+        if (criticalCss.enabled && !this.watchMode) {
+            await this.runStep('Critical', () => this.inlineCriticalCSS());
+        }
+        
+        // Content-hash filenames for long-term caching. Skipped while watching so
+        // incremental rebuilds can overwrite outputs in place.
+        if (this.config.build.fingerprint && !this.watchMode) {
+            await this.runStep('Fingerprint', () => this.fingerprintAssets());
+        }
+        
+        // Web app manifest and service worker, which precaches the fingerprinted outputs
+        await this.runStep('PWA', () => this.buildPWA());
+        
+        // Verify every reference in the finished output
+        const linkCheck = this.config.build.linkCheck || {};
+        if (linkCheck.mode && linkCheck.mode !== 'off') {
+            await this.runStep('Links', () => this.checkLinks(linkCheck));
+        }
+        
+        // Accessibility and HTML rules over the finished pages
+        const audit = this.config.build.audit || {};
+        if (audit.enabled) {
+            await this.runStep('Audit', () => this.auditPages(audit));
+        }
+        
+        // Measure outputs against the size budgets. Skipped while watching, since watch builds
+        // are not fingerprinted and would make a misleading baseline.
+        if (!this.watchMode) {
+            await this.runStep('Size', () => this.reportSizes(previousSizeReport));
+        }
+    }
+
+    /**
+     * Turn anything a build step threw into a BuildError tagged with the step
+     * @param {Error} error - Thrown error
+     * @returns {BuildError}
+     */
+    toBuildError(error) {
+        if (error instanceof BuildError) {
+            error.step = error.step || this.currentStep;
+            return error;
+        }
+        return new BuildError(error.message, { step: this.currentStep, cause: error });
+    }
+
+    /**
+     * Describe the finished build
+     * @param {number} duration - Build time in milliseconds
+     * @returns {Object} - Build result
+     */
+    createResult(duration) {
+        const files = listFiles(this.distDir).map(file => ({
+            path: file,
+            size: fs.statSync(path.join(this.distDir, file)).size
+        }));
+        
+        return {
+            distDir: this.distDir,
+            environment: this.environment,
+            brand: this.brand.brand,
+            languages: this.config.languages.supported,
+            files,
+            totalSize: files.reduce((total, file) => total + file.size, 0),
+            warnings: this.warnings,
+            timings: this.timings,
+            sizeReport: this.sizeReport,
+            duration
+        };
+    }
+
+    /**
+     * Report a problem that does not fail the build
+     * @param {string} message - Warning text
+     */
+    warn(message) {
+        this.warnings.push({ step: this.currentStep, message });
+        this.logger.warn(`⚠️  ${message}`);
+    }
+
+    /**
+     * Run a build step with its plugins and beforeStep/afterStep hooks
+     * @param {string} step - Step name, one of PluginManager.BUILD_STEPS
+     * @param {Function} [task] - Built-in work for the step, run before the step's plugins
+     */
+    async runStep(step, task) {
+        this.currentStep = step;
+        await this.timeStep(step, async () => {
+            await this.plugins.callHook('beforeStep', step, this.context);
+            if (task) await task();
+            await this.plugins.runStep(step, this.context);
+            await this.plugins.callHook('afterStep', step, this.context);
+        });
+    }
+
+    /**
+     * Write a file to dist after passing it through the plugins' transform hooks
+     * @param {string} file - Path relative to dist
+     * @param {string|Buffer} contents - File contents
+     */
+    emitFile(file, contents) {
+        const outputPath = path.join(this.distDir, file);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, this.plugins.transform(file, contents, this.context));
+    }
+
+    /**
+     * Bundle sources and emit the result (and its source map)
+     * @param {Array<Object>} sources - Sources to bundle
+     * @param {string} type - 'css' or 'js'
+     * @param {string} file - Output path relative to dist
+     */
+    emitBundle(sources, type, file) {
+        const { code, map } = this.bundler.bundle(sources, { type, outputPath: path.join(this.distDir, file) });
+        
+        this.emitFile(file, code);
+        if (map) {
+            this.emitFile(`${file}.map`, map);
         }
     }
 
+    /**
+     * Run a build step and report how long it took
+     * @param {string} label - Step name
+     * @param {Function} step - Step to run
+     */
+    async timeStep(label, step) {
+        const startTime = Date.now();
+        await step();
+        this.timings[label] = Date.now() - startTime;
+        this.logger.log(`   ⏱  ${label}: ${this.timings[label]}ms`);
+    }
+
     /**
      * Clean dist directory
      */
@@ -68,364 +464,1073 @@ class BuildSystem {
     }
 
     /**
-     * Build HTML by assembling components
+     * Build HTML by rendering every page in src/pages once per supported language
      */
     async buildHTML() {
-        console.log('📄 Building HTML...');
-        
-        // Read the original index.html as template
-        const originalIndexPath = path.join(__dirname, 'index.html');
-        let htmlContent = fs.readFileSync(originalIndexPath, 'utf8');
-        
-        // Read component files
-        const components = {
-            header: this.readComponent('header.html'),
-            services: this.readComponent('services.html'),
-            taskExamples: this.readComponent('task-examples.html'),
-            about: this.readComponent('about.html'),
-            testimonials: this.readComponent('testimonials.html')
+        this.logger.log('📄 Building HTML...');
+        
+        const pageFiles = this.getPageFiles();
+        this.siteData = this.brand.formatData(this.createDataLoader().loadAll());
+        this.legalDocuments = this.createLegalDocuments().loadAll();
+        this.structuredData = this.createStructuredData(this.siteData);
+        this.themeColor = this.getThemeColor();
+        if (pageFiles.length === 0) {
+            this.warn(`No pages found in ${this.pagesDir}`);
+        }
+        
+        this.config.languages.supported.forEach(languageCode => {
+            pageFiles.forEach(file => {
+                this.emitFile(this.getPagePath(file, languageCode), this.renderPage(file, languageCode));
+            });
+        });
+        
+        // The site root sends visitors to their preferred language
+        const languageIndex = this.createLanguageIndex();
+        this.emitFile('index.html', this.config.build.minify ? minifyHTML(languageIndex) : languageIndex);
+        
+        // Current legal document versions, for consent records and postbacks
+        if (Object.keys(this.legalDocuments).length > 0) {
+            this.emitFile(this.config.legal.versionsFile, `${JSON.stringify(this.createLegalVersions(pageFiles), null, 2)}\n`);
+        }
+        
+        // Brand names for the waitlist endpoint, which build.copy puts next to this file
+        this.emitFile(BRAND_FILE, `${JSON.stringify(this.brand.getServerData(this.config.languages.default), null, 2)}\n`);
+        
+        this.logger.log(`✅ HTML built successfully (${pageFiles.length} page(s) × ${this.config.languages.supported.length} languages)`);
+    }
+
+    /**
+     * Render a page in one language
+     * @param {string} file - Page filename relative to the pages directory
+     * @param {string} languageCode - Language to render
+     * @returns {string} - Complete, localized HTML document
+     */
+    renderPage(file, languageCode) {
+        const pagePath = this.getPagePath(file, languageCode);
+        const html = this.templateEngine.renderFile(
+            path.join(this.pagesDir, file),
+            this.getPageData(file, languageCode)
+        );
+        const localized = this.localizer.localize(html, languageCode, pagePath);
+        const output = this.config.build.minify ? minifyHTML(localized) : localized;
+        
+        // Pages live in per-language directories next to each other, so only
+        // links out to shared assets (css/, js/, assets/) need rebasing
+        const prefix = '../'.repeat(pagePath.split('/').length - 1);
+        return rewriteHtmlUrls(output, url => (
+            isLocalUrl(url) && !/\.html(?:[?#]|$)/.test(url) ? prefix + url : url
+        ));
+    }
+
+    /**
+     * Get a page's output path inside dist
+     * @param {string} file - Page filename
+     * @param {string} languageCode - Language code
+     * @returns {string} - Path such as `ar/index.html`
+     */
+    getPagePath(file, languageCode) {
+        return `${languageCode}/${file}`;
+    }
+
+    /**
+     * Get a page's public URL
+     * @param {string} file - Page filename
+     * @param {string} languageCode - Language code
+     * @returns {string} - Absolute URL such as `https://kenzapp.com/ar/`
+     */
+    getPageUrl(file, languageCode) {
+        const pagePath = this.getPagePath(file, languageCode).replace(/(^|\/)index\.html$/, '$1');
+        return `${this.config.site.url.replace(/\/$/, '')}/${pagePath}`;
+    }
+
+    /**
+     * Build the data passed to page templates
+     * @param {string} file - Page filename
+     * @param {string} languageCode - Language code
+     * @returns {Object} - Template data
+     */
+    getPageData(file, languageCode) {
+        const { site, languages } = this.config;
+        const isRTL = languages.rtl.includes(languageCode);
+        const meta = this.brand.formatData(this.templateEngine.readPageMeta(path.join(this.pagesDir, file)));
+        const siteTitle = this.localizeValue(site.title, languageCode);
+        const siteDescription = this.localizeValue(site.description, languageCode);
+        
+        return {
+            lang: languageCode,
+            dir: isRTL ? 'rtl' : 'ltr',
+            bodyClass: isRTL ? 'rtl' : '',
+            locale: languages.locales[languageCode] || languageCode,
+            brand: this.brand.getTemplateData(languageCode),
+            site: {
+                url: site.url,
+                title: siteTitle,
+                description: siteDescription,
+                favicon: site.favicon,
+                themeColor: this.themeColor
+            },
+            page: {
+                file,
+                url: this.getPageUrl(file, languageCode),
+                title: this.localizeValue(meta.title, languageCode) || siteTitle,
+                description: this.localizeValue(meta.description, languageCode) || siteDescription,
+                robots: meta.robots || 'index, follow',
+                image: `${site.url.replace(/\/$/, '')}/${site.image}`
+            },
+            alternates: this.createAlternateLinks(file),
+            structuredData: this.createStructuredDataScripts(file, languageCode, meta.structuredData),
+            data: this.createDataLoader().localize(this.siteData, languageCode),
+            legal: meta.legal ? this.getLegalDocument(meta.legal, file, languageCode) : null,
+            runtimeConfig: this.createRuntimeConfigScript()
         };
+    }
+
+    /**
+     * Create the script that exposes the resolved SiteConfig to the page's scripts
+     * @returns {string} - <script> element setting window.SiteConfig
+     */
+    createRuntimeConfigScript() {
+        const runtimeConfig = RUNTIME_CONFIG_SECTIONS.reduce((sections, name) => {
+            sections[name] = this.config[name];
+            return sections;
+        }, { environment: this.environment });
         
-        // Create the assembled HTML
-        const assembledHTML = this.createAssembledHTML(components);
+        // Keep "</script>" inside string values from ending the element
+        const json = JSON.stringify(runtimeConfig).replace(/</g, '\\u003c');
+        return `<script>window.SiteConfig = ${json};</script>`;
+    }
+
+    /**
+     * Create the loader for the content files in src/data
+     * @returns {DataLoader} - Loader
+     */
+    createDataLoader() {
+        return new DataLoader({
+            dataDir: this.dataDir,
+            languages: this.siteLanguages,
+            defaultLanguage: this.config.languages.default
+        });
+    }
+
+    /**
+     * Create the loader for the Markdown legal documents in src/legal
+     * @returns {LegalDocuments} - Loader
+     */
+    createLegalDocuments() {
+        return new LegalDocuments({
+            legalDir: this.legalDir,
+            languages: this.config.languages.supported,
+            format: (text, languageCode) => this.brand.format(text, languageCode)
+        });
+    }
+
+    /**
+     * Get the template data of the legal document a page shows
+     * @param {string} name - Document name from the page's @page metadata
+     * @param {string} file - Page filename
+     * @param {string} languageCode - Language code
+     * @returns {Object} - The translation's { title, version, effective, html, ... } plus
+     *                     `effectiveDate`, the effective date formatted for the language
+     */
+    getLegalDocument(name, file, languageCode) {
+        const document = this.legalDocuments[name];
+        if (!document) {
+            throw new ConfigError(`${file} shows the legal document "${name}", but src/legal/${name} does not exist`);
+        }
         
-        // Write to dist
-        fs.writeFileSync(path.join(this.distDir, 'index.html'), assembledHTML);
+        const translation = document[languageCode];
+        const locale = (this.config.languages.locales[languageCode] || languageCode).replace('_', '-');
+        const effectiveDate = new Intl.DateTimeFormat(locale, {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            numberingSystem: 'latn',
+            timeZone: 'UTC'
+        }).format(new Date(`${translation.effective}T00:00:00Z`));
         
-        console.log('✅ HTML built successfully');
+        return Object.assign({}, translation, { effectiveDate });
     }
 
     /**
-     * Read component file
-     * @param {string} filename - Component filename
-     * @returns {string} - Component content
+     * Create the legal versions file read by the consent managers and the postback builder
+     * @param {Array<string>} pageFiles - Page filenames
+     * @returns {Object} - The version of each document under its `legal.versionFields` name
+     *                     (e.g. `privacy_policy_version`), the default language under
+     *                     `defaultLanguage`, and every document's version, effective date and
+     *                     page URLs under `documents`
      */
-    readComponent(filename) {
-        const componentPath = path.join(this.componentsDir, filename);
-        if (fs.existsSync(componentPath)) {
-            return fs.readFileSync(componentPath, 'utf8');
+    createLegalVersions(pageFiles) {
+        const { versionFields = {} } = this.config.legal;
+        const versions = {};
+        const documents = {};
+        
+        Object.keys(this.legalDocuments).forEach(name => {
+            const translations = this.legalDocuments[name];
+            const { version, effective } = translations[this.config.languages.default];
+            const page = pageFiles.find(file => this.templateEngine.readPageMeta(path.join(this.pagesDir, file)).legal === name);
+            
+            if (versionFields[name]) {
+                versions[versionFields[name]] = version;
+            }
+            documents[name] = {
+                version,
+                effective,
+                urls: page
+                    ? this.config.languages.supported.reduce((urls, languageCode) => {
+                        urls[languageCode] = this.getPageUrl(page, languageCode);
+                        return urls;
+                    }, {})
+                    : {}
+            };
+        });
+        
+        return Object.assign(versions, { defaultLanguage: this.config.languages.default, documents });
+    }
+
+    /**
+     * Create the structured data builder from SiteConfig and src/data
+     * @param {Object} [siteData={}] - Loaded data files
+     * @returns {StructuredData} - Builder
+     */
+    createStructuredData(siteData = {}) {
+        return new StructuredData({
+            config: this.config,
+            faq: siteData.faq,
+            localize: (value, languageCode) => this.localizeValue(value, languageCode)
+        });
+    }
+
+    /**
+     * Create a page's JSON-LD script tags
+     * @param {string} file - Page filename
+     * @param {string} languageCode - Language code
+     * @param {Array<string>} [types=['Organization']] - Schema types from the page's @page metadata
+     * @returns {string} - Script tags
+     */
+    createStructuredDataScripts(file, languageCode, types = ['Organization']) {
+        try {
+            const nodes = this.structuredData.create(types, languageCode, this.getPageUrl(file, languageCode));
+            return this.structuredData.toScripts(nodes);
+        } catch (error) {
+            throw new Error(`Invalid structured data for ${this.getPagePath(file, languageCode)}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Pick a language's entry from a `{ en, ar }` config value
+     * @param {string|Object} value - Plain string or per-language object
+     * @param {string} languageCode - Language code
+     * @returns {string} - Localized value, falling back to the default language
+     */
+    localizeValue(value, languageCode) {
+        if (value === null || typeof value !== 'object') {
+            return value;
         }
-        console.warn(`⚠️  Component not found: ${filename}`);
-        return '';
+        return value[languageCode] !== undefined ? value[languageCode] : value[this.config.languages.default];
+    }
+
+    /**
+     * Create hreflang alternate links for every language version of a page
+     * @param {string} file - Page filename
+     * @returns {string} - `<link rel="alternate">` tags
+     */
+    createAlternateLinks(file) {
+        const { supported, names } = this.config.languages;
+        const links = supported.map(languageCode => 
+            `<link rel="alternate" hreflang="${languageCode}" href="${escapeHTML(this.getPageUrl(file, languageCode))}" title="${escapeHTML(names[languageCode] || languageCode)}" />`
+        );
+        links.push(`<link rel="alternate" hreflang="x-default" href="${escapeHTML(this.getDefaultPageUrl(file))}" />`);
+        return links.join('\n    ');
+    }
+
+    /**
+     * Get the URL for visitors whose language has no version of a page (hreflang x-default)
+     * @param {string} file - Page filename
+     * @returns {string} - The language-picking site root for the home page, otherwise the default language version
+     */
+    getDefaultPageUrl(file) {
+        return file === 'index.html'
+            ? `${this.config.site.url.replace(/\/$/, '')}/`
+            : this.getPageUrl(file, this.config.languages.default);
     }
 
     /**
-     * Create assembled HTML document
-     * @param {Object} components - Component contents
-     * @returns {string} - Complete HTML document
+     * Create the root index page that redirects to the visitor's language
+     * @returns {string} - HTML document
      */
-    createAssembledHTML(components) {
+    createLanguageIndex() {
+        const { supported, names } = this.config.languages;
+        const defaultLanguage = this.config.languages.default;
+        const title = this.localizeValue(this.config.site.title, defaultLanguage);
+        const links = supported.map(languageCode => 
+            `<li><a href="${languageCode}/" hreflang="${languageCode}" lang="${languageCode}">${escapeHTML(names[languageCode] || languageCode)}</a></li>`
+        ).join('\n            ');
+
         return `<!DOCTYPE html>
-<html class="no-js" lang="en">
+<html lang="${defaultLanguage}">
 <head>
     <meta charset="utf-8" />
-    <meta http-equiv="x-ua-compatible" content="ie=edge" />
-    <title>KenzApp - Earn Money with Simple Tasks</title>
-    <meta name="description" content="Complete micro-tasks and earn real money with KenzApp. Flexible timers, simple tasks, and secure platform." />
+    <title>${escapeHTML(title)}</title>
     <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <link rel="shortcut icon" type="image/x-icon" href="assets/images/favicon.svg" />
-    
-    <!-- CSS -->
-    <link rel="stylesheet" href="css/main.css" />
-    <link rel="stylesheet" href="assets/css/lineicons.css" />
-    <link rel="stylesheet" href="assets/css/animate.css" />
-    
-    <!-- Open Graph / Facebook -->
-    <meta property="og:type" content="website">
-    <meta property="og:url" content="https://kenzapp.com/">
-    <meta property="og:title" content="KenzApp - Earn Money with Simple Tasks">
-    <meta property="og:description" content="Complete micro-tasks and earn real money with KenzApp. Flexible timers, simple tasks, and secure platform.">
-    <meta property="og:image" content="assets/images/og-image.jpg">
-    
-    <!-- Twitter -->
-    <meta property="twitter:card" content="summary_large_image">
-    <meta property="twitter:url" content="https://kenzapp.com/">
-    <meta property="twitter:title" content="KenzApp - Earn Money with Simple Tasks">
-    <meta property="twitter:description" content="Complete micro-tasks and earn real money with KenzApp. Flexible timers, simple tasks, and secure platform.">
-    <meta property="twitter:image" content="assets/images/og-image.jpg">
+    ${this.createAlternateLinks('index.html')}
+    <noscript><meta http-equiv="refresh" content="0; url=${defaultLanguage}/" /></noscript>
+    <script>
+        (function () {
+            var supported = ${JSON.stringify(supported)};
+            var stored = null;
+            try { stored = localStorage.getItem('kenzapp-language'); } catch (e) {}
+            var preferred = (navigator.languages || [navigator.language || '']).map(function (code) {
+                return String(code).slice(0, 2).toLowerCase();
+            });
+            var language = [stored].concat(preferred).filter(function (code) {
+                return supported.indexOf(code) !== -1;
+            })[0] || ${JSON.stringify(defaultLanguage)};
+            window.location.replace(language + '/');
+        })();
+    </script>
 </head>
-
 <body>
-    <!-- Preloader -->
-    <div class="preloader">
-        <div class="preloader-inner">
-            <div class="preloader-icon">
-                <span></span>
-                <span></span>
-            </div>
-        </div>
-    </div>
-    <!-- /End Preloader -->
-
-    ${components.header}
-
-    ${components.services}
-
-    ${components.taskExamples}
-
-    ${components.about}
-
-    ${components.testimonials}
-
-    <!-- Start Footer Area -->
-    <footer class="footer-area footer-dark">
-        <div class="container">
-            <div class="row">
-                <div class="col-lg-4 col-md-6 col-12">
-                    <div class="single-footer">
-                        <div class="logo">
-                            <a href="index.html"><img src="assets/images/logo/white-logo.svg" alt="Logo"></a>
-                        </div>
-                        <div class="content">
-                            <p class="text">Earn money by completing simple tasks on your mobile device. Join thousands of users who are already earning with KenzApp.</p>
-                            <p class="text">
-                                <span>Phone: +1 (555) 123-4567</span>
-                                <span>Email: support@kenzapp.com</span>
-                            </p>
-                        </div>
-                    </div>
-                </div>
-                <div class="col-lg-2 col-md-6 col-12">
-                    <div class="single-footer">
-                        <h3>Company</h3>
-                        <ul>
-                            <li><a href="javascript:void(0)">About</a></li>
-                            <li><a href="javascript:void(0)">Careers</a></li>
-                            <li><a href="javascript:void(0)">Press</a></li>
-                            <li><a href="javascript:void(0)">Blog</a></li>
-                        </ul>
-                    </div>
-                </div>
-                <div class="col-lg-2 col-md-6 col-12">
-                    <div class="single-footer">
-                        <h3>Support</h3>
-                        <ul>
-                            <li><a href="javascript:void(0)">Help Center</a></li>
-                            <li><a href="javascript:void(0)">Contact Us</a></li>
-                            <li><a href="javascript:void(0)">FAQ</a></li>
-                            <li><a href="javascript:void(0)">Terms</a></li>
-                        </ul>
-                    </div>
-                </div>
-                <div class="col-lg-4 col-md-6 col-12">
-                    <div class="single-footer">
-                        <h3>Subscribe</h3>
-                        <div class="subscribe-form">
-                            <form action="#" method="get" target="_blank" class="newsletter-form">
-                                <input name="EMAIL" placeholder="Your email address" class="common-input" type="email">
-                                <button class="btn">Subscribe</button>
-                            </form>
-                        </div>
-                        <div class="social">
-                            <ul>
-                                <li><a href="javascript:void(0)"><i class="lni lni-facebook-filled"></i></a></li>
-                                <li><a href="javascript:void(0)"><i class="lni lni-twitter-original"></i></a></li>
-                                <li><a href="javascript:void(0)"><i class="lni lni-instagram-filled"></i></a></li>
-                                <li><a href="javascript:void(0)"><i class="lni lni-linkedin-original"></i></a></li>
-                            </ul>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-    </footer>
-    <!-- End Footer Area -->
-
-    <!-- Back to Top -->
-    <a href="#" class="scroll-top">
-        <i class="lni lni-chevron-up"></i>
-    </a>
-
-    <!-- JavaScript -->
-    <script src="assets/js/vendor/jquery-1.12.4.min.js"></script>
-    <script src="assets/js/bootstrap.min.js"></script>
-    <script src="assets/js/wow.min.js"></script>
-    <script src="js/main.js"></script>
+    <nav>
+        <ul>
+            ${links}
+        </ul>
+    </nav>
 </body>
-</html>`;
+</html>
+`;
     }
 
     /**
-     * Build CSS by concatenating all stylesheets
+     * List page entry files
+     * @returns {Array<string>} - Page filenames relative to the pages directory
      */
-    async buildCSS() {
-        console.log('🎨 Building CSS...');
+    getPageFiles() {
+        if (!fs.existsSync(this.pagesDir)) {
+            return [];
+        }
+        return fs.readdirSync(this.pagesDir).filter(file => file.endsWith('.html')).sort();
+    }
+
+    /**
+     * Write sitemap.xml and robots.txt for the built pages
+     */
+    async buildSitemap() {
+        this.logger.log('🗺  Building sitemap...');
         
-        // Always concatenate CSS files instead of using @import
-        const cssContent = this.concatenateCSS();
+        const { site, languages, seo = {} } = this.config;
+        const sitemapConfig = seo.sitemap || {};
+        const generator = new SitemapGenerator({ siteUrl: site.url });
+        // Pages such as the offline fallback opt out with `"sitemap": false` in their @page metadata
+        const pageFiles = this.getPageFiles().filter(file => 
+            this.templateEngine.readPageMeta(path.join(this.pagesDir, file)).sitemap !== false
+        );
+        const pages = pageFiles.map(file => {
+            const overrides = (sitemapConfig.pages || {})[file] || {};
+            return {
+                versions: languages.supported.map(languageCode => ({
+                    languageCode,
+                    url: this.getPageUrl(file, languageCode)
+                })),
+                defaultUrl: this.getDefaultPageUrl(file),
+                lastmod: fs.statSync(path.join(this.pagesDir, file)).mtime,
+                changefreq: overrides.changefreq || sitemapConfig.changefreq,
+                priority: overrides.priority !== undefined ? overrides.priority : sitemapConfig.priority
+            };
+        });
         
-        // Write to dist
-        fs.writeFileSync(path.join(this.distDir, 'css', 'main.css'), cssContent);
+        this.emitFile(SITEMAP_FILE, generator.createSitemap(pages));
+        this.emitFile(ROBOTS_FILE, generator.createRobots(seo.robots, SITEMAP_FILE));
         
-        console.log('✅ CSS built successfully');
+        this.logger.log(`✅ Sitemap built successfully (${pages.length * languages.supported.length} URLs)`);
     }
 
     /**
-     * Concatenate all CSS files
-     * @returns {string} - Combined CSS content
+     * Rename CSS, JS and assets to content-hashed filenames and write manifest.json
      */
-    concatenateCSS() {
-        let cssContent = '';
+    async fingerprintAssets() {
+        this.logger.log('🔑 Fingerprinting assets...');
         
-        // Add Google Fonts import
-        cssContent += '@import url("https://fonts.googleapis.com/css?family=Open+Sans:300,400,600,700|Poppins:300,400,500,600,700&display=swap");\n\n';
+        // Crawlers and the consent managers look for these at fixed paths, JSON-LD and the
+        // link preview tags point at their images by absolute URL, partners download the
+        // copied samples by name and the waitlist endpoint reads its brand file by name
+        const fingerprinter = new AssetFingerprinter({
+            distDir: this.distDir,
+            exclude: [SITEMAP_FILE, ROBOTS_FILE, this.config.legal.versionsFile, this.config.site.image, BRAND_FILE]
+                .concat(this.createStructuredData().getReferencedAssets(), this.config.build.copy || [])
+        });
+        const manifest = fingerprinter.run();
         
-        // Base styles
-        const baseDir = path.join(this.stylesDir, 'base');
-        if (fs.existsSync(baseDir)) {
-            const baseFiles = ['variables.css', 'reset.css'];
-            baseFiles.forEach(file => {
-                const filePath = path.join(baseDir, file);
-                if (fs.existsSync(filePath)) {
-                    cssContent += `/* ${file} */\n`;
-                    cssContent += fs.readFileSync(filePath, 'utf8') + '\n\n';
-                }
-            });
-        }
+        this.logger.log(`✅ Fingerprinted ${Object.keys(manifest).length} files`);
+    }
+
+    /**
+     * Replace the icon font with per-page SVG sprites
+     * A page keeps the font when it sets "iconFont": true in its @page metadata, or when it
+     * has icons the sprite cannot draw. The font's files are removed from dist once no page
+     * links its stylesheet.
+     * @param {Object} options - `build.iconSprite` config: { enabled, font, stylesheet, keepFont }
+     */
+    async buildIconSprite(options) {
+        this.logger.log('🖼  Building icon sprites...');
+        
+        const sprite = new IconSprite({ fontPath: path.join(__dirname, options.font) });
+        const icons = new Set();
+        let pagesUsingFont = 0;
         
-        // Component styles
-        const componentsDir = path.join(this.stylesDir, 'components');
-        if (fs.existsSync(componentsDir)) {
-            const componentFiles = fs.readdirSync(componentsDir);
-            componentFiles.forEach(file => {
-                if (file.endsWith('.css')) {
-                    const filePath = path.join(componentsDir, file);
-                    cssContent += `/* ${file} */\n`;
-                    cssContent += fs.readFileSync(filePath, 'utf8') + '\n\n';
+        this.getPageFiles().forEach(file => {
+            const meta = this.templateEngine.readPageMeta(path.join(this.pagesDir, file));
+            
+            this.config.languages.supported.forEach(languageCode => {
+                const page = this.getPagePath(file, languageCode);
+                const pagePath = path.join(this.distDir, page);
+                const result = sprite.rewritePage(fs.readFileSync(pagePath, 'utf8'), {
+                    fontStylesheet: path.posix.relative(path.posix.dirname(page), options.stylesheet),
+                    keepFont: options.keepFont || meta.iconFont === true
+                });
+                
+                fs.writeFileSync(pagePath, result.html);
+                result.icons.forEach(icon => icons.add(icon));
+                if (result.usesFont) pagesUsingFont++;
+                if (result.unresolved.length > 0) {
+                    this.warn(`${page}: ${result.unresolved.length} icon(s) left to the icon font, e.g. ${result.unresolved[0]}`);
                 }
             });
-        }
+        });
         
-        // Add utility classes from main.css
-        const mainCSSPath = path.join(this.stylesDir, 'main.css');
-        if (fs.existsSync(mainCSSPath)) {
-            const mainCSS = fs.readFileSync(mainCSSPath, 'utf8');
-            // Extract utility classes (everything after the imports)
-            const utilityStart = mainCSS.indexOf('/* Utility Classes */');
-            if (utilityStart !== -1) {
-                cssContent += '/* Utility Classes from main.css */\n';
-                cssContent += mainCSS.substring(utilityStart) + '\n\n';
+        if (pagesUsingFont === 0) {
+            // The stylesheet and every format of the font (LineIcons.eot, .woff2, ...)
+            const fontDir = path.posix.dirname(options.font);
+            const fontName = path.posix.basename(options.font, path.posix.extname(options.font));
+            const fontFiles = fs.existsSync(path.join(this.distDir, fontDir))
+                ? fs.readdirSync(path.join(this.distDir, fontDir))
+                    .filter(file => path.posix.basename(file, path.posix.extname(file)) === fontName)
+                    .map(file => `${fontDir}/${file}`)
+                : [];
+            [options.stylesheet].concat(fontFiles).forEach(file => {
+                fs.rmSync(path.join(this.distDir, file), { force: true });
+            });
+            if (fs.existsSync(path.join(this.distDir, fontDir)) && fs.readdirSync(path.join(this.distDir, fontDir)).length === 0) {
+                fs.rmdirSync(path.join(this.distDir, fontDir));
             }
+            this.logger.log(`✅ ${icons.size} icon(s) inlined as SVG; icon font removed from the build`);
+        } else {
+            this.logger.log(`✅ ${icons.size} icon(s) inlined as SVG; icon font kept for ${pagesUsingFont} page(s)`);
         }
+    }
+
+    /**
+     * Remove unused rules from the stylesheets linked by the built pages
+     * @param {Object} options - `build.purgeCss` config: { enabled, scripts, safelist }
+     */
+    async purgeCSS(options) {
+        this.logger.log('✂️  Purging unused CSS...');
+        
+        const { formatSize } = SizeReporter;
+        const purger = new CssPurger({ distDir: this.distDir, safelist: options.safelist, scripts: options.scripts });
+        const results = purger.run();
+        
+        results.forEach(({ file, before, after, removed }) => {
+            this.logger.log(`   ${file}: ${formatSize(before)} → ${formatSize(after)} (${removed} selectors removed)`);
+        });
         
-        return cssContent;
+        const saved = results.reduce((total, result) => total + result.before - result.after, 0);
+        this.logger.log(`✅ Purged ${results.length} stylesheet(s), saving ${formatSize(saved)}`);
     }
 
     /**
-     * Build JavaScript by concatenating all modules
+     * Inline critical CSS in every page
+     * A page opts out with "criticalCss": false in its @page metadata.
      */
-    async buildJavaScript() {
-        console.log('⚡ Building JavaScript...');
+    async inlineCriticalCSS() {
+        this.logger.log('🎯 Inlining critical CSS...');
         
-        let jsContent = '';
+        const { formatSize } = SizeReporter;
+        const critical = new CriticalCss({ distDir: this.distDir, minify: this.config.build.minify });
+        let inlined = 0;
         
-        // Add modules
-        const modulesDir = path.join(this.scriptsDir, 'modules');
-        if (fs.existsSync(modulesDir)) {
-            const moduleFiles = fs.readdirSync(modulesDir);
-            moduleFiles.forEach(file => {
-                if (file.endsWith('.js')) {
-                    const filePath = path.join(modulesDir, file);
-                    jsContent += `/* ${file} */\n`;
-                    jsContent += fs.readFileSync(filePath, 'utf8') + '\n\n';
+        this.getPageFiles().forEach(file => {
+            const meta = this.templateEngine.readPageMeta(path.join(this.pagesDir, file));
+            if (meta.criticalCss === false) return;
+            
+            const selectors = this.getAboveTheFold(file);
+            this.config.languages.supported.forEach(languageCode => {
+                const page = this.getPagePath(file, languageCode);
+                const result = critical.inline(page, selectors);
+                if (!result) {
+                    this.warn(`No critical CSS for ${page}: none of ${selectors.join(', ')} matched`);
+                    return;
                 }
+                inlined++;
+                this.logger.log(`   ${page}: ${formatSize(result.size)} inlined, ${result.stylesheets} stylesheet(s) deferred`);
             });
+        });
+        
+        this.logger.log(`✅ Critical CSS inlined in ${inlined} page(s)`);
+    }
+
+    /**
+     * Add dimensions, lazy loading and srcsets to the images of every page
+     * @param {Object} options - `build.images` config: { enabled, widths, sizes }
+     */
+    async optimizeImages(options) {
+        this.logger.log('🖼  Optimizing images...');
+        
+        const images = new ResponsiveImages({
+            distDir: this.distDir,
+            widths: options.widths,
+            sizes: options.sizes,
+            warn: message => this.warn(message)
+        });
+        const totals = { images: 0, lazy: 0 };
+        
+        this.getPageFiles().forEach(file => {
+            const aboveTheFold = this.getAboveTheFold(file).map(selector => parseSimpleSelector(selector));
+            this.config.languages.supported.forEach(languageCode => {
+                const stats = images.processPage(this.getPagePath(file, languageCode), aboveTheFold);
+                totals.images += stats.images;
+                totals.lazy += stats.lazy;
+            });
+        });
+        
+        // Variants are only written for PNGs wider than the smallest configured width; wider
+        // JPEGs are reported as warnings
+        const variants = images.countVariants();
+        this.logger.log(`✅ Updated ${totals.images} image(s) (${totals.lazy} lazy-loaded)${variants > 0 ? `, ${variants} variant(s) written` : ''}`);
+    }
+
+    /**
+     * Get the selectors of the elements a page shows in the first viewport
+     * @param {string} file - Page filename
+     * @returns {Array<string>} - "aboveTheFold" from the page's @page metadata, or `build.aboveTheFold`
+     */
+    getAboveTheFold(file) {
+        const meta = this.templateEngine.readPageMeta(path.join(this.pagesDir, file));
+        const selectors = meta.aboveTheFold || this.config.build.aboveTheFold || [];
+        const invalid = selectors.find(selector => !parseSimpleSelector(selector));
+        
+        if (invalid !== undefined) {
+            throw new ConfigError(`Above-the-fold selectors must be a tag, class or id (or a combination such as "header.main"): "${invalid}" (${file})`);
+        }
+        return selectors;
+    }
+
+    /**
+     * Write manifest.webmanifest and the service worker
+     * The service worker is skipped while watching, since its cache would hide edits.
+     */
+    async buildPWA() {
+        this.logger.log('📲 Building PWA files...');
+        
+        const { languages, pwa } = this.config;
+        const generator = new PwaGenerator({
+            distDir: this.distDir,
+            config: this.config,
+            localize: (value, languageCode) => this.localizeValue(value, languageCode),
+            assetManifest: this.readDistJSON(ASSET_MANIFEST_FILE) || {}
+        });
+        
+        const manifest = generator.createManifest(this.getThemeColor());
+        this.emitFile(WEB_MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n');
+        
+        if (this.watchMode) {
+            this.logger.log('✅ Web app manifest built (service worker skipped in watch mode)');
+            return;
         }
         
-        // Add main script
-        const mainJSPath = path.join(this.scriptsDir, 'main.js');
-        if (fs.existsSync(mainJSPath)) {
-            jsContent += '/* main.js */\n';
-            jsContent += fs.readFileSync(mainJSPath, 'utf8');
+        const offlinePages = languages.supported.map(languageCode => this.getPagePath(pwa.offlinePage, languageCode));
+        const missingPage = offlinePages.find(page => !fs.existsSync(path.join(this.distDir, page)));
+        if (missingPage) {
+            throw new ConfigError(`Offline page ${missingPage} was not built; check pwa.offlinePage in SiteConfig`);
         }
         
-        // Write to dist
-        fs.writeFileSync(path.join(this.distDir, 'js', 'main.js'), jsContent);
+        const source = fs.readFileSync(path.join(this.pwaDir, 'service-worker.js'), 'utf8');
+        this.emitFile(SERVICE_WORKER_FILE, generator.createServiceWorker(source, offlinePages));
         
-        console.log('✅ JavaScript built successfully');
+        this.logger.log('✅ PWA files built successfully');
     }
 
     /**
-     * Copy assets to dist directory
+     * Read the theme color from the CSS custom property named in SiteConfig, as set by the
+     * brand's palette
+     * @returns {string} - CSS color
      */
-    async copyAssets() {
-        console.log('📁 Copying assets...');
+    getThemeColor() {
+        const { themeColorVariable } = this.config.pwa;
+        const variables = BrandProfile.applyPalette(fs.readFileSync(this.variablesPath, 'utf8'), this.config.brand.palette);
+        const color = PwaGenerator.readCssVariable(variables, themeColorVariable);
         
-        if (fs.existsSync(this.assetsDir)) {
-            this.copyRecursive(this.assetsDir, path.join(this.distDir, 'assets'));
+        if (!color) {
+            throw new ConfigError(`${themeColorVariable} is not declared in ${path.relative(__dirname, this.variablesPath)}`);
         }
+        return color;
+    }
+
+    /**
+     * Check that every link and asset reference in dist resolves
+     * @param {Object} options - `build.linkCheck` config: { mode: 'warn'|'error', ignore }
+     */
+    async checkLinks(options) {
+        this.logger.log('🔗 Checking links...');
+        
+        const checker = new LinkChecker({
+            distDir: this.distDir,
+            siteUrl: this.config.site.url,
+            ignore: options.ignore
+        });
+        const { checked, issues } = checker.run();
+        const errors = issues.filter(issue => issue.severity === 'error');
         
-        console.log('✅ Assets copied successfully');
+        this.reportIssues(issues, {
+            describe: issue => `${issue.message}: ${issue.url}`,
+            errorsFail: options.mode === 'error'
+        });
+        
+        if (errors.length > 0 && options.mode === 'error') {
+            throw new LinkCheckError(`${errors.length} broken link(s) or missing asset(s) in ${this.distDir}`, { issues: errors });
+        }
+        
+        this.logger.log(`✅ Checked ${checked} references (${errors.length} broken, ${issues.length - errors.length} warnings)`);
     }
 
     /**
-     * Copy directory recursively
-     * @param {string} src - Source directory
-     * @param {string} dest - Destination directory
+     * Run the accessibility rules over every page in dist
+     * @param {Object} options - `build.audit` config: { rules, ignore }
      */
-    copyRecursive(src, dest) {
-        if (!fs.existsSync(dest)) {
-            fs.mkdirSync(dest, { recursive: true });
+    async auditPages(options) {
+        this.logger.log('♿ Auditing pages...');
+        
+        const auditor = new AccessibilityAuditor({
+            distDir: this.distDir,
+            rules: options.rules,
+            ignore: options.ignore
+        });
+        const { pages, issues } = auditor.run();
+        const errors = issues.filter(issue => issue.severity === 'error');
+        
+        this.reportIssues(issues, {
+            describe: issue => `${issue.message} [${issue.rule}]`,
+            errorsFail: true
+        });
+        
+        if (errors.length > 0) {
+            throw new AuditError(`${errors.length} accessibility error(s) in ${this.distDir}`, { issues: errors });
         }
         
-        const entries = fs.readdirSync(src, { withFileTypes: true });
+        this.logger.log(`✅ Audited ${pages} pages (${issues.length} warnings)`);
+    }
+
+    /**
+     * Print the issues a check found, each distinct one once
+     * Shared partials repeat the same problem on every page, so repeats are counted instead
+     * of printed. Warnings, and errors that do not fail the build, go into the build's warnings.
+     * @param {Array<Object>} issues - { severity: 'error'|'warning', file, line, ... } entries
+     * @param {Object} options - Reporting options
+     * @param {Function} options.describe - (issue) => text printed after its file and line;
+     *                                      issues with the same severity and text are repeats
+     * @param {boolean} options.errorsFail - Whether errors fail the build
+     */
+    reportIssues(issues, options) {
+        const groups = new Map();
+        issues.forEach(issue => {
+            const key = `${issue.severity}|${options.describe(issue)}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(issue);
+        });
         
-        entries.forEach(entry => {
-            const srcPath = path.join(src, entry.name);
-            const destPath = path.join(dest, entry.name);
+        groups.forEach(group => {
+            const [first] = group;
+            const more = group.length > 1 ? ` (+${group.length - 1} more)` : '';
+            const message = `${first.file}:${first.line} ${options.describe(first)}${more}`;
             
-            if (entry.isDirectory()) {
-                this.copyRecursive(srcPath, destPath);
+            if (first.severity === 'error') {
+                this.logger.error(`❌ ${message}`);
             } else {
-                fs.copyFileSync(srcPath, destPath);
+                this.logger.warn(`⚠️  ${message}`);
+            }
+            if (first.severity === 'warning' || !options.errorsFail) {
+                this.warnings.push({ step: this.currentStep, message });
             }
         });
     }
 
+    /**
+     * Save the size report, print the sizes and their change since the previous build,
+     * and fail the build when a size budget is exceeded
+     * @param {Object|null} previous - Previous build's report
+     */
+    async reportSizes(previous) {
+        this.logger.log('📦 Measuring output sizes...');
+        
+        const { formatSize } = SizeReporter;
+        const formatDelta = bytes => `${bytes > 0 ? '+' : ''}${formatSize(bytes)}`;
+        const reporter = new SizeReporter({
+            distDir: this.distDir,
+            budgets: this.config.build.budgets,
+            assetManifest: this.readDistJSON(ASSET_MANIFEST_FILE) || {}
+        });
+        const report = reporter.run(previous);
+        this.sizeReport = report;
+        fs.mkdirSync(path.dirname(this.sizeReportPath()), { recursive: true });
+        fs.writeFileSync(this.sizeReportPath(), JSON.stringify(report, null, 2) + '\n');
+        
+        // One line per output directory (assets split by type)
+        const groups = new Map();
+        Object.keys(report.files).forEach(file => {
+            const group = file.includes('/') ? file.split('/').slice(0, file.startsWith('assets/') ? 2 : 1).join('/') : '(root)';
+            groups.set(group, reporter.sum([groups.get(group) || { raw: 0, gzip: 0 }, report.files[file]]));
+        });
+        groups.forEach((size, group) => {
+            this.logger.log(`   ${group.padEnd(16)} ${formatSize(size.raw).padStart(10)} ${formatSize(size.gzip).padStart(10)} gzip`);
+        });
+        this.logger.log(`   ${'total'.padEnd(16)} ${formatSize(report.totals.raw).padStart(10)} ${formatSize(report.totals.gzip).padStart(10)} gzip`);
+        
+        if (report.diff) {
+            const { totals, files } = report.diff;
+            this.logger.log(`📈 Since the previous build: ${formatDelta(totals.raw)} (${formatDelta(totals.gzip)} gzip), ${files.length} file(s) changed`);
+            files
+                .slice()
+                .sort((a, b) => Math.abs(b.gzip) - Math.abs(a.gzip))
+                .slice(0, 10)
+                .forEach(({ file, status, raw, gzip }) => {
+                    const label = status === 'changed' ? '' : ` (${status})`;
+                    this.logger.log(`   ${file}${label}: ${formatDelta(raw)} (${formatDelta(gzip)} gzip)`);
+                });
+        }
+        
+        const violations = report.budgets.filter(budget => !budget.passed);
+        violations.forEach(budget => {
+            budget.results.filter(result => result.exceeded.length > 0).forEach(result => {
+                result.exceeded.forEach(measure => {
+                    this.logger.error(`❌ Size budget exceeded: ${result.file} is ${formatSize(result[measure])} ${measure} (budget ${formatSize(budget.limits[measure])})`);
+                });
+            });
+        });
+        
+        if (violations.length > 0) {
+            throw new BudgetError(`${violations.length} of ${report.budgets.length} size budget(s) exceeded`, { violations });
+        }
+        
+        this.logger.log(`✅ ${report.budgets.length} size budget(s) met`);
+    }
+
+    /**
+     * Path of the size report saved for this build's output directory, named after it so
+     * builds into other directories keep their own baseline
+     * @returns {string}
+     */
+    sizeReportPath() {
+        const hash = crypto.createHash('md5').update(this.distDir).digest('hex').slice(0, 8);
+        return path.join(__dirname, this.config.build.sizeReportDir, `${path.basename(this.distDir)}-${hash}.json`);
+    }
+
+    /**
+     * Read the size report of the previous build into this output directory
+     * @returns {Object|null} - The report, or null when there is none
+     */
+    readSizeReport() {
+        try {
+            return JSON.parse(fs.readFileSync(this.sizeReportPath(), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Read a JSON file from dist
+     * @param {string} file - Path relative to dist
+     * @returns {*} - Parsed contents, or null when the file is missing or unreadable
+     */
+    readDistJSON(file) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(this.distDir, file), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Extract every translatable string into per-language catalogs and report coverage
+     * @param {Object} [options={}] - Overrides for the `i18n` config, e.g. { minCoverage: 0.95 }
+     * @returns {boolean} - True when every language meets the coverage threshold
+     */
+    extractTranslations(options = {}) {
+        const settings = Object.assign({}, this.config.i18n, options);
+        const { minCoverage } = settings;
+        if (typeof minCoverage !== 'number' || !(minCoverage >= 0 && minCoverage <= 1)) {
+            throw new ConfigError(`The minimum translation coverage must be a number from 0 to 1 (got ${minCoverage})`);
+        }
+        
+        this.logger.log('🌐 Extracting translations...');
+        
+        const extractor = new TranslationExtractor({
+            rootDir: __dirname,
+            srcDir: this.srcDir,
+            assetsDir: this.assetsDir,
+            languages: this.config.languages.supported,
+            defaultLanguage: this.config.languages.default,
+            htmlSources: settings.sources
+        });
+        const { catalogs, languages, unused, conflicts } = extractor.run();
+        const outputDir = path.join(__dirname, settings.outputDir);
+        
+        fs.mkdirSync(outputDir, { recursive: true });
+        Object.keys(catalogs).forEach(languageCode => {
+            fs.writeFileSync(
+                path.join(outputDir, `${languageCode}.json`),
+                JSON.stringify(catalogs[languageCode], null, 2) + '\n'
+            );
+        });
+        
+        let passed = true;
+        Object.keys(languages).forEach(languageCode => {
+            const { total, translated, coverage, missing, untranslated } = languages[languageCode];
+            const belowThreshold = coverage < settings.minCoverage;
+            if (belowThreshold) passed = false;
+            
+            this.logger.log(`${belowThreshold ? '❌' : '✅'} ${languageCode}: ${translated}/${total} keys translated (${(coverage * 100).toFixed(1)}%)`);
+            missing.forEach(({ key, location }) => this.logger.warn(`   ⚠️  missing: ${key} (${location})`));
+            untranslated.forEach(({ key, location }) => this.logger.warn(`   ⚠️  untranslated: ${key} (${location})`));
+        });
+        
+        unused.forEach(({ key, location }) => this.logger.warn(`⚠️  unused: ${key} (${location})`));
+        conflicts.forEach(({ key, languageCode, location, first, second }) => 
+            this.logger.warn(`⚠️  conflicting ${languageCode} text for ${key} at ${location}: "${first}" vs "${second}"`)
+        );
+        
+        this.logger.log(`📁 Catalogs written to ${outputDir}`);
+        if (!passed) {
+            this.logger.error(`❌ Translation coverage is below ${+(settings.minCoverage * 100).toFixed(1)}%`);
+        }
+        return passed;
+    }
+
     /**
      * Watch for changes and rebuild (development mode)
      */
     watch() {
-        console.log('👀 Watching for changes...');
+        this.logger.log('👀 Watching for changes...');
         
-        const watchDirs = [this.srcDir];
+        const watchDirs = [this.srcDir, this.assetsDir];
         
         watchDirs.forEach(dir => {
             if (fs.existsSync(dir)) {
                 fs.watch(dir, { recursive: true }, (eventType, filename) => {
-                    if (filename && (filename.endsWith('.html') || filename.endsWith('.css') || filename.endsWith('.js'))) {
-                        console.log(`📝 File changed: ${filename}`);
-                        this.build();
+                    // Ignore OS metadata such as .DS_Store
+                    if (filename && !path.basename(filename).startsWith('.')) {
+                        this.queueChange(path.join(dir, filename));
                     }
                 });
             }
         });
+
+        if (fs.existsSync(this.pluginConfigPath)) {
+            fs.watch(this.pluginConfigPath, () => this.queueChange(this.pluginConfigPath));
+        }
+    }
+
+    /**
+     * Record a changed file and schedule a rebuild
+     * A single save often fires several events, so changes are coalesced.
+     * @param {string} filePath - Absolute path of the changed file
+     */
+    queueChange(filePath) {
+        this.pendingChanges.add(filePath);
+        clearTimeout(this.rebuildTimer);
+        this.rebuildTimer = setTimeout(() => this.flushChanges(), this.watchDebounce);
+    }
+
+    /**
+     * Rebuild for all queued changes, one rebuild at a time
+     */
+    async flushChanges() {
+        // Changes arriving mid-rebuild are picked up once it finishes
+        if (this.isRebuilding || this.pendingChanges.size === 0) return;
+        
+        const changes = Array.from(this.pendingChanges);
+        this.pendingChanges.clear();
+        this.isRebuilding = true;
+        
+        try {
+            await this.rebuild(changes);
+        } catch (error) {
+            this.logger.error('❌ Rebuild failed:', error.message);
+        } finally {
+            this.isRebuilding = false;
+            if (this.pendingChanges.size > 0) {
+                this.flushChanges();
+            }
+        }
+    }
+
+    /**
+     * Rebuild only the outputs affected by a set of changed files
+     * @param {Array<string>} changes - Absolute paths of changed files
+     */
+    async rebuild(changes) {
+        const startTime = Date.now();
+        const plan = this.planRebuild(changes);
+        
+        changes.forEach(file => this.logger.log(`📝 File changed: ${path.relative(__dirname, file)}`));
+        
+        if (plan.full) {
+            this.loadConfig();
+            await this.build();
+            return;
+        }
+        
+        this.warnings = [];
+        this.timings = {};
+        this.context = this.createContext(changes);
+        let failure = null;
+        
+        try {
+            await this.plugins.callHook('buildStart', this.context);
+            
+            if (plan.html) {
+                await this.runStep('HTML', () => this.buildHTML());
+                await this.runStep('Sitemap', () => this.buildSitemap());
+            }
+            if (plan.css) await this.runStep('CSS');
+            if (plan.js) await this.runStep('JavaScript');
+            if (plan.assets) await this.runStep('Assets');
+            if (plan.pwa) await this.runStep('PWA', () => this.buildPWA());
+        } catch (error) {
+            failure = this.toBuildError(error);
+            throw failure;
+        } finally {
+            // Plugins clean up after failed rebuilds too
+            await this.plugins.callHook('buildEnd', this.context, failure);
+            this.currentStep = null;
+        }
+        
+        this.logger.log(`✅ Rebuilt in ${Date.now() - startTime}ms`);
+    }
+
+    /**
+     * Work out which build steps a set of changes affects
+     * @param {Array<string>} changes - Absolute paths of changed files
+     * @returns {Object} - { full, html, css, js, assets, pwa } flags
+     */
+    planRebuild(changes) {
+        const plan = { full: false, html: false, css: false, js: false, assets: false, pwa: false };
+        const isWithin = (file, dir) => !path.relative(dir, file).startsWith('..');
+        
+        changes.forEach(file => {
+            if (file === this.variablesPath) {
+                // Also the source of the theme color in the pages and the web app manifest
+                plan.css = plan.html = plan.pwa = true;
+            } else if (isWithin(file, this.assetsDir)) {
+                plan.assets = true;
+            } else if (isWithin(file, path.dirname(this.configPath)) || file === this.pluginConfigPath) {
+                plan.full = true;
+            } else if (isWithin(file, this.stylesDir)) {
+                plan.css = true;
+            } else if (isWithin(file, this.scriptsDir)) {
+                plan.js = true;
+            } else if (file.endsWith('.html') || isWithin(file, this.dataDir) || isWithin(file, this.legalDir)) {
+                plan.html = true;
+            }
+        });
+        
+        return plan;
     }
 }
 
-// CLI interface
-if (require.main === module) {
-    const buildSystem = new BuildSystem();
+/**
+ * Print a failed build's error
+ * @param {Error} error - Rejection from build()
+ */
+function reportFailure(error) {
+    console.error(`❌ Build failed${error.step ? ` in ${error.step}` : ''}: ${error.message}`);
+    
+    // Unexpected exceptions keep their stack trace; the typed errors explain themselves
+    if (error.constructor === BuildError && error.cause) {
+        console.error(error.cause.stack);
+    }
+}
+
+/**
+ * Read `--src=`, `--dist=`, `--env=`, `--brand=` and `--languages=` arguments into build options
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} - Build options
+ */
+function parseOptions(args) {
+    const value = name => {
+        const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const languages = value('languages');
     
+    return {
+        srcDir: value('src'),
+        distDir: value('dist'),
+        environment: value('env'),
+        brand: value('brand'),
+        languages: languages ? languages.split(',').map(code => code.trim()) : undefined
+    };
+}
+
+// CLI interface: a thin wrapper around the BuildSystem API
+if (require.main === module) {
     const args = process.argv.slice(2);
-    const command = args[0] || 'build';
+    const command = args[0] && !args[0].startsWith('--') ? args[0] : 'build';
+    let buildSystem;
+    
+    try {
+        buildSystem = new BuildSystem(parseOptions(args));
+    } catch (error) {
+        reportFailure(error);
+        process.exit(1);
+    }
     
     switch (command) {
         case 'build':
-            buildSystem.build();
+            buildSystem.build().catch(error => {
+                reportFailure(error);
+                process.exitCode = 1;
+            });
             break;
         case 'watch':
-            buildSystem.build().then(() => {
+            buildSystem.watchMode = true;
+            // A broken initial build should not stop the watcher from picking up the fix
+            buildSystem.build().catch(reportFailure).then(() => {
                 buildSystem.watch();
             });
             break;
+        case 'i18n': {
+            const coverageArg = args.find(arg => arg.startsWith('--min-coverage='));
+            const coverage = coverageArg ? coverageArg.slice('--min-coverage='.length).trim() : undefined;
+            // Number() rather than parseFloat(), which accepts "0.9abc"; an empty value is invalid too
+            const options = coverage !== undefined ? { minCoverage: coverage === '' ? NaN : Number(coverage) } : {};
+            try {
+                process.exitCode = buildSystem.extractTranslations(options) ? 0 : 1;
+            } catch (error) {
+                reportFailure(error);
+                process.exitCode = 1;
+            }
+            break;
+        }
+        case 'audit':
+            // Audits the pages of the last build in dist without rebuilding
+            if (!fs.existsSync(buildSystem.distDir)) {
+                console.error(`❌ ${buildSystem.distDir} does not exist; run \`node build.js build\` first`);
+                process.exit(1);
+            }
+            buildSystem.auditPages(buildSystem.config.build.audit || {}).catch(error => {
+                reportFailure(error);
+                process.exitCode = 1;
+            });
+            break;
         case 'clean':
             buildSystem.cleanDist();
             console.log('✅ Cleaned dist directory');
             break;
         default:
-            console.log('Usage: node build.js [build|watch|clean]');
+            console.log('Usage: node build.js [build|watch|clean|audit|i18n [--min-coverage=0.9]] [--src=dir] [--dist=dir] [--env=name] [--brand=name] [--languages=en,ar]');
     }
 }
 
-module.exports = BuildSystem;
\ No newline at end of file
+// Error types build() rejects with, for `instanceof` checks by callers
+Object.assign(BuildSystem, buildErrors);
+
+module.exports = BuildSystem;
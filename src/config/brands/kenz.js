@@ -0,0 +1,40 @@
+/**
+ * Kenz brand (the default)
+ * Applied by the build; see build-tools/brand-profile.js
+ */
+
+module.exports = {
+    name: {
+        en: "Kenz",
+        ar: "كنز"
+    },
+    // Party named in agreements and partner documents
+    legalName: {
+        en: "Kenz Tasks",
+        ar: "كنز تاسكس"
+    },
+    logo: {
+        icon: "assets/images/kenz-favicon.svg",
+        appIcon: "assets/images/favicon.png",
+        footer: "assets/images/logo/white-logo.svg",
+        screenshot: "assets/images/kenz-home-screen.jpg"
+    },
+    // Values for the custom properties in src/styles/base/variables.css
+    palette: {
+        "--primary-color": "#6C5CE7",
+        "--secondary-color": "#A29BFE",
+        "--accent-color": "#74B9FF"
+    },
+    emails: {
+        support: "support@kenztasks.com",
+        partners: "partners@kenztasks.com",
+        privacy: "privacy@kenztasks.com",
+        legal: "legal@kenztasks.com",
+        dpo: "dpo@kenztasks.com"
+    },
+    // Store URLs are empty until the app is published
+    stores: {
+        appStore: "",
+        googlePlay: ""
+    }
+};
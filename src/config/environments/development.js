@@ -0,0 +1,19 @@
+/**
+ * Development environment (`node build.js watch --env=development`)
+ * Merged over site-config.js; see build-tools/environment-config.js
+ */
+
+module.exports = {
+    site: {
+        url: "http://localhost:3000"
+    },
+    seo: {
+        robots: {
+            allow: [],
+            disallow: ["/"]
+        }
+    },
+    build: {
+        sourceMaps: true
+    }
+};
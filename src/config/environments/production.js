@@ -0,0 +1,8 @@
+/**
+ * Production environment (the default)
+ * Merged over site-config.js; see build-tools/environment-config.js
+ *
+ * The base SiteConfig is already the production config, so nothing is overridden.
+ */
+
+module.exports = {};
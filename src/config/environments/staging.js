@@ -0,0 +1,17 @@
+/**
+ * Staging environment (`node build.js build --env=staging`)
+ * Merged over site-config.js; see build-tools/environment-config.js
+ */
+
+module.exports = {
+    site: {
+        url: "https://staging.kenzapp.com"
+    },
+    // Keep staging out of search results
+    seo: {
+        robots: {
+            allow: [],
+            disallow: ["/"]
+        }
+    }
+};
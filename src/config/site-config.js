@@ -1,30 +1,48 @@
 /**
  * Site Configuration
- * Centralized configuration for the Kenz landing page
+ * Centralized configuration for the landing page
  * Following SOLID principles - Single Responsibility
+ *
+ * Names, logos, colors, emails and store links belong to the brand profile in
+ * src/config/brands (see build-tools/brand-profile.js); the build fills in the settings
+ * below that are marked as coming from it.
  */
 
 const SiteConfig = {
     // Site Information
     site: {
         title: {
-            en: "Kenz - Professional Task Completion Platform",
-            ar: "كنز  - منصة إنجاز المهام المهنية"
+            en: "{{ brand.name }} - Professional Task Completion Platform",
+            ar: "{{ brand.name }}  - منصة إنجاز المهام المهنية"
+        },
+        description: {
+            en: "{{ brand.name }} is a professional task completion platform being developed with planned integrations to top offerwall and survey networks. Join our beta community and prepare for future earning opportunities through legitimate micro-tasks with secure payouts upon full launch.",
+            ar: "{{ brand.name }} منصة مهنية لإنجاز المهام قيد التطوير مع تكاملات مخططة مع أفضل شبكات العروض والاستطلاعات. انضم إلى مجتمعنا التجريبي واستعد لفرص الربح المستقبلية من خلال مهام صغيرة مشروعة ومدفوعات آمنة عند الإطلاق الكامل."
         },
-        description: "Kenz is a professional task completion platform being developed with planned integrations to top offerwall and survey networks. Join our beta community and prepare for future earning opportunities through legitimate micro-tasks with secure payouts upon full launch.",
         url: "https://kenzapp.com",
-        favicon: "assets/images/kenz-favicon.svg"
+        // Preview image for shared links (og:image and twitter:image), 1200×630
+        image: "assets/images/og-image.png"
+        // favicon: the brand's logo.icon
     },
 
-    // API Configuration
-    api: {
-        baseUrl: "https://api.kenzapp.com/v1",
-        endpoints: {
-            userRegister: "/users/register",
-            taskComplete: "/tasks/complete",
-            webhookCallback: "/webhook/callback"
-        },
-        timeout: 30000
+    // Organization behind the site (used for structured data). Its name, logo and
+    // email are the brand's name, logo.icon and emails.support.
+    organization: {
+        sameAs: []
+    },
+
+    // Mobile app listing (used for structured data). Its name and image are the brand's
+    // name and logo.screenshot.
+    app: {
+        operatingSystem: "Android, iOS",
+        category: "FinanceApplication",
+        price: "0",
+        priceCurrency: "USD",
+        // URLs are the brand's store links
+        stores: {
+            appStore: { name: "App Store" },
+            googlePlay: { name: "Google Play" }
+        }
     },
 
     // UI Configuration
@@ -32,7 +50,9 @@ const SiteConfig = {
         animations: {
             preloaderDelay: 500,
             fadeOutDuration: 500,
-            scrollOffset: 73
+            scrollOffset: 73,
+            // Visible fraction of an element that starts its scroll animation
+            scrollThreshold: 0.1
         },
         breakpoints: {
             mobile: 575,
@@ -46,7 +66,25 @@ const SiteConfig = {
     languages: {
         default: "en",
         supported: ["en", "ar"],
-        rtl: ["ar"]
+        rtl: ["ar"],
+        names: {
+            en: "English",
+            ar: "العربية"
+        },
+        locales: {
+            en: "en_US",
+            ar: "ar_EG"
+        }
+    },
+
+    // Translation catalogs (`node build.js i18n`)
+    i18n: {
+        // HTML files and directories scanned for data-{lang} attributes, relative to src
+        sources: ["pages", "components", "partials", "layouts"],
+        // Generated catalogs for translators to review; not committed (see .gitignore)
+        outputDir: ".cache/i18n",
+        // Fail when a supported language has fewer translated keys than this
+        minCoverage: 0.9
     },
 
     // Component Configuration
@@ -65,22 +103,152 @@ const SiteConfig = {
         }
     },
 
-    // External Services
-    services: {
-        analytics: {
-            enabled: false,
-            trackingId: ""
+    // Legal documents, written in Markdown in src/legal/<document>/<language>.md
+    legal: {
+        // Written to dist on every build with the current version of each document
+        versionsFile: "legal-versions.json",
+        // Name each document's version is reported under in consent records and postbacks
+        versionFields: {
+            "privacy-policy": "privacy_policy_version",
+            "terms-of-service": "terms_version",
+            "data-processing-agreement": "dpa_version"
+        }
+    },
+
+    // Search Engine Configuration
+    seo: {
+        sitemap: {
+            changefreq: "monthly",
+            priority: 0.5,
+            // Per-page overrides, keyed by page filename
+            pages: {
+                "index.html": { changefreq: "weekly", priority: 1.0 }
+            }
         },
-        maps: {
-            enabled: false,
-            apiKey: ""
+        robots: {
+            allow: ["/"],
+            disallow: []
+        }
+    },
+
+    // Installable app (manifest.webmanifest) and offline support (sw.js). The app is named
+    // after the brand and uses its logo.appIcon and logo.icon as icons.
+    pwa: {
+        display: "standalone",
+        backgroundColor: "#ffffff",
+        // CSS custom property in src/styles/base/variables.css used as the theme color
+        themeColorVariable: "--primary-color",
+        // Page in src/pages shown for navigations that fail while offline
+        offlinePage: "offline.html",
+        // Build output directories whose fingerprinted files are cached on install
+        precache: ["css/", "js/"],
+        // Form submissions made while offline are stored and re-sent once back online
+        offlineQueue: {
+            endpoints: ["api/waitlist.php"],
+            message: {
+                en: "You're offline. Your request has been saved and will be sent automatically when you're back online.",
+                ar: "أنت غير متصل بالإنترنت. تم حفظ طلبك وسيتم إرساله تلقائيًا عند عودة الاتصال."
+            }
         }
     },
 
     // Build Configuration
     build: {
+        // Brand profile in src/config/brands; `--brand=name` builds another one
+        brand: "kenz",
         minify: true,
         sourceMaps: false,
+        fingerprint: true,
+        // Files in the repository root copied into dist unchanged: the compliance checklist's
+        // demo and sample links, and the waitlist endpoint the pages post to
+        copy: ["user-consent-demo.html", "tracking-samples.html", "sample-postback.json", "sample-export.csv", "api/waitlist.php"],
+        // Verify links and asset references in dist: "off", "warn" (report only)
+        // or "error" (fail the build on missing files or anchors)
+        linkCheck: {
+            mode: "error",
+            ignore: []
+        },
+        // Accessibility and HTML rules run over every built page, also available as
+        // `npm run a11y` (see build-tools/accessibility-auditor.js). Each rule is "off",
+        // "warn" or "error"; errors fail the build. ignore lists page path prefixes in dist.
+        audit: {
+            enabled: true,
+            rules: {
+                "html-lang": "error",
+                "document-title": "error",
+                "duplicate-id": "error",
+                "img-alt": "error",
+                "heading-order": "warn",
+                "input-label": "error",
+                "link-name": "error",
+                "button-name": "error"
+            },
+            ignore: []
+        },
+        // Draw LineIcons icons from an inline SVG sprite instead of the icon font (see
+        // build-tools/icon-sprite.js). The font is only shipped with keepFont, or to pages
+        // that set "iconFont": true in their @page metadata.
+        iconSprite: {
+            enabled: true,
+            font: "assets/fonts/LineIcons.svg",
+            stylesheet: "assets/css/lineicons.css",
+            keepFont: false
+        },
+        // Remove the CSS rules no built page can match (see build-tools/css-purger.js).
+        // Class names in the string literals of our own scripts (paths in dist, or
+        // directories ending in "/") count as used; vendor libraries are not scanned, so
+        // the safelist names the classes they, and anything else at runtime, add.
+        purgeCss: {
+            enabled: true,
+            scripts: [
+                "js/",
+                "assets/js/main.js",
+                "assets/js/waitlist.js",
+                "assets/js/language-switcher.js",
+                "assets/js/user-consent-form.js",
+                "assets/js/scrolling-nav.js"
+            ],
+            safelist: ["sticky", "rtl", "show", "loading", "collapsing", "animated"]
+        },
+        // Elements shown in the first viewport (tags, classes or ids): their CSS is inlined
+        // and their images load eagerly. A page overrides them with "aboveTheFold" in its
+        // @page metadata.
+        aboveTheFold: [".preloader", "header"],
+        // Inline the CSS of the first viewport and load the stylesheets without blocking
+        // rendering (see build-tools/critical-css.js). A page opts out with
+        // "criticalCss": false in its @page metadata.
+        criticalCss: {
+            enabled: true
+        },
+        // Image dimensions, lazy loading below the fold and downscaled PNG variants for
+        // srcset (see build-tools/responsive-images.js). There is no JPEG encoder, so a JPEG
+        // wider than the smallest width is reported as a warning instead of getting variants.
+        images: {
+            enabled: true,
+            widths: [480, 960],
+            // Used for images with a srcset unless their markup sets sizes
+            sizes: "100vw"
+        },
+        // Size budgets, checked after every build (see build-tools/size-reporter.js). A budget
+        // caps the total of the files its glob matches, or each of them with "each": true;
+        // "raw" and "gzip" limits are bytes or sizes such as "25 KB". The limits sit just
+        // above the current output (home pages ~18.5 KB gzip, the four app screenshots
+        // ~700 KB each, 3.4 MB in all), so growth fails the build until a budget is raised
+        // on purpose.
+        budgets: [
+            { files: "*/*.html", each: true, gzip: "20 KB" },
+            { files: "css/*.css", gzip: "8 KB" },
+            { files: "js/*.js", gzip: "10 KB" },
+            { files: "assets/css/**", gzip: "64 KB" },
+            { files: "assets/js/**", gzip: "88 KB" },
+            { files: "assets/fonts/**", raw: "1 MB" },
+            { files: "assets/images/**", each: true, raw: "720 KB" },
+            { files: "assets/images/**", raw: "2.5 MB" },
+            { files: "**", raw: "3.5 MB" }
+        ],
+        // Each build's size report, kept outside dist so it is not deployed; the next build
+        // into the same directory compares against it. Not committed (see .gitignore).
+        sizeReportDir: ".cache/size-reports",
         outputDir: "dist"
     }
 };
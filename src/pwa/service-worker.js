@@ -0,0 +1,247 @@
+/**
+ * Service Worker
+ * Built into dist/sw.js by build.js, which defines SW_CONFIG ahead of this file:
+ *   version         - hash of the precached files, names the cache
+ *   precache        - URLs (relative to the site root) cached on install
+ *   offlinePages    - language code → offline fallback page
+ *   defaultLanguage - language used when a request's language is unknown
+ *   queue           - { endpoints, messages } for POSTs that are queued while offline
+ */
+
+/* global SW_CONFIG */
+
+const CACHE_PREFIX = 'kenzapp-';
+const CACHE_NAME = `${CACHE_PREFIX}${SW_CONFIG.version}`;
+const QUEUE_DB_NAME = 'kenzapp-offline-queue';
+const QUEUE_STORE = 'requests';
+const SYNC_TAG = 'replay-queued-requests';
+const HASHED_FILE_PATTERN = /\.[0-9a-f]{8}\.\w+$/;
+
+/**
+ * Resolve a site-relative path against the service worker's scope
+ * @param {string} path - Path relative to the site root
+ * @returns {string} - Absolute URL
+ */
+function toScopeUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Work out which language a request belongs to from its (or its referrer's) path
+ * @param {Request} request - Request
+ * @returns {string} - Language code
+ */
+function getRequestLanguage(request) {
+    const scopePath = new URL(self.registration.scope).pathname;
+    const candidates = [request.url, request.referrer].filter(Boolean);
+
+    for (const candidate of candidates) {
+        const languageCode = new URL(candidate).pathname.slice(scopePath.length).split('/')[0];
+        if (SW_CONFIG.offlinePages[languageCode]) return languageCode;
+    }
+
+    return SW_CONFIG.defaultLanguage;
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SW_CONFIG.precache.map(toScopeUrl)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+            .then(() => replayQueue().catch(() => {}))
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) return;
+
+    if (request.method === 'POST' && isQueuedEndpoint(url)) {
+        event.respondWith(sendOrQueue(request));
+    } else if (request.method !== 'GET') {
+        return;
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request).catch(() => offlineFallback(request)));
+    } else if (HASHED_FILE_PATTERN.test(url.pathname)) {
+        // Fingerprinted files never change, so the cached copy is always right
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(replayQueue());
+    }
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'replay-queue') {
+        event.waitUntil(replayQueue().catch(() => {}));
+    }
+});
+
+/**
+ * Serve from the cache, falling back to (and caching) the network
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve from the network, keeping a copy for offline use
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>} - Rejects when offline and nothing is cached
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Offline page in the language of the requested page
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+async function offlineFallback(request) {
+    const page = SW_CONFIG.offlinePages[getRequestLanguage(request)];
+    return (await caches.match(toScopeUrl(page))) || Response.error();
+}
+
+/**
+ * @param {URL} url - Request URL
+ * @returns {boolean} - Whether POSTs to this URL are queued while offline
+ */
+function isQueuedEndpoint(url) {
+    return SW_CONFIG.queue.endpoints.some(endpoint => new URL(toScopeUrl(endpoint)).pathname === url.pathname);
+}
+
+/**
+ * Send a form submission, or store it for later when the network is unavailable
+ * @param {Request} request - POST request
+ * @returns {Promise<Response>} - The server's response, or a 202 saying the submission was queued
+ */
+async function sendOrQueue(request) {
+    const body = await request.clone().text();
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        await addToQueue({
+            url: request.url,
+            method: request.method,
+            headers: { 'Content-Type': request.headers.get('Content-Type') || 'application/json' },
+            body,
+            queuedAt: new Date().toISOString()
+        });
+
+        if (self.registration.sync) {
+            await self.registration.sync.register(SYNC_TAG).catch(() => {});
+        }
+
+        const message = SW_CONFIG.queue.messages[getRequestLanguage(request)];
+        return new Response(JSON.stringify({ success: true, queued: true, message }), {
+            status: 202,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+/**
+ * Re-send queued submissions in the order they were made
+ * Stops at the first network failure so the rest stay queued.
+ */
+async function replayQueue() {
+    const entries = await readQueue();
+
+    for (const entry of entries) {
+        const response = await fetch(entry.url, {
+            method: entry.method,
+            headers: entry.headers,
+            body: entry.body
+        });
+
+        // Server errors may be temporary; anything else is final, so drop the entry
+        if (response.status >= 500) {
+            throw new Error(`Replay failed with status ${response.status}`);
+        }
+        await removeFromQueue(entry.id);
+    }
+}
+
+/**
+ * Open the queue database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openQueue() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one operation against the queue store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} - The request's result
+ */
+async function withQueue(mode, operation) {
+    const db = await openQueue();
+
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(QUEUE_STORE, mode).objectStore(QUEUE_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).finally(() => db.close());
+}
+
+function addToQueue(entry) {
+    return withQueue('readwrite', store => store.add(entry));
+}
+
+function readQueue() {
+    return withQueue('readonly', store => store.getAll());
+}
+
+function removeFromQueue(id) {
+    return withQueue('readwrite', store => store.delete(id));
+}
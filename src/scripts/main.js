@@ -3,14 +3,18 @@
  * Initializes all modules and handles global functionality
  */
 
-// Import modules (if using ES6 modules)
-// import NavigationManager from './modules/navigation.js';
-// import UIEffectsManager from './modules/ui-effects.js';
-// import LanguageSwitcher from './modules/language-switcher.js';
-// import AnimationsManager from './modules/animations.js';
+import Navigation from './modules/navigation.js';
+import UIEffects from './modules/ui-effects.js';
+import LanguageSwitcher from './modules/language-switcher.js';
+import AnimationsManager from './modules/animations.js';
 
 class KenzApp {
-    constructor() {
+    /**
+     * @param {Object} [options] - Per-module options, keyed like this.modules (e.g. { navigation: { stickyOffset: 40 } });
+     *                             anything not given is read from SiteConfig
+     */
+    constructor(options = {}) {
+        this.options = options;
         this.modules = {};
         this.isInitialized = false;
         this.init();
@@ -39,24 +43,16 @@ class KenzApp {
     initializeModules() {
         try {
             // Initialize Navigation Module
-            if (typeof NavigationManager !== 'undefined') {
-                this.modules.navigation = new NavigationManager();
-            }
+            this.modules.navigation = new Navigation(this.options.navigation);
 
             // Initialize UI Effects Module
-            if (typeof UIEffectsManager !== 'undefined') {
-                this.modules.uiEffects = new UIEffectsManager();
-            }
+            this.modules.uiEffects = new UIEffects(this.options.uiEffects);
 
             // Initialize Language Switcher Module
-            if (typeof LanguageSwitcher !== 'undefined') {
-                this.modules.languageSwitcher = new LanguageSwitcher();
-            }
+            this.modules.languageSwitcher = new LanguageSwitcher(this.options.languageSwitcher);
 
             // Initialize Animations Module
-            if (typeof AnimationsManager !== 'undefined') {
-                this.modules.animations = new AnimationsManager();
-            }
+            this.modules.animations = new AnimationsManager(this.options.animations);
 
             console.log('All modules initialized:', Object.keys(this.modules));
         } catch (error) {
@@ -122,6 +118,9 @@ class KenzApp {
         
         // Setup performance monitoring
         this.setupPerformanceMonitoring();
+        
+        // Enable offline support
+        this.registerServiceWorker();
     }
 
     /**
@@ -253,30 +252,62 @@ class KenzApp {
 
     /**
      * Initialize lazy loading for images
+     * The build adds data-srcset/data-sizes next to data-src when it generates image variants.
      */
     initializeLazyLoading() {
-        if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const img = entry.target;
-                        const src = img.dataset.src;
-                        
-                        if (src) {
-                            img.src = src;
-                            img.classList.remove('lazy');
-                            img.classList.add('loaded');
-                            imageObserver.unobserve(img);
-                        }
-                    }
-                });
-            });
-            
-            document.querySelectorAll('img[data-src]').forEach(img => {
-                img.classList.add('lazy');
-                imageObserver.observe(img);
+        const loadImage = (img) => {
+            if (img.dataset.sizes) {
+                img.sizes = img.dataset.sizes;
+            }
+            if (img.dataset.srcset) {
+                img.srcset = img.dataset.srcset;
+            }
+            img.src = img.dataset.src;
+            img.classList.remove('lazy');
+            img.classList.add('loaded');
+        };
+        const images = document.querySelectorAll('img[data-src]');
+        
+        if (!('IntersectionObserver' in window)) {
+            images.forEach(loadImage);
+            return;
+        }
+        
+        const imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    loadImage(entry.target);
+                    imageObserver.unobserve(entry.target);
+                }
             });
+        });
+        
+        images.forEach(img => {
+            img.classList.add('lazy');
+            imageObserver.observe(img);
+        });
+    }
+
+    /**
+     * Register the service worker built into the site root
+     * Form submissions queued while offline are re-sent when the connection returns.
+     */
+    registerServiceWorker() {
+        const manifestLink = document.querySelector('link[rel="manifest"]');
+        
+        if (!('serviceWorker' in navigator) || !manifestLink || window.location.protocol === 'file:') {
+            return;
         }
+        
+        // sw.js sits next to the manifest, in the site root
+        navigator.serviceWorker.register(new URL('sw.js', manifestLink.href).href)
+            .catch(error => console.warn('Service worker registration failed:', error));
+        
+        window.addEventListener('online', () => {
+            if (navigator.serviceWorker.controller) {
+                navigator.serviceWorker.controller.postMessage({ type: 'replay-queue' });
+            }
+        });
     }
 
     /**
@@ -403,7 +434,4 @@ class KenzApp {
 // Initialize the application
 window.kenzApp = new KenzApp();
 
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = KenzApp;
-}
\ No newline at end of file
+export default KenzApp;
\ No newline at end of file
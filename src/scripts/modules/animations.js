@@ -3,10 +3,19 @@
  * Handles scroll animations, interactive effects, and visual enhancements
  */
 
-class AnimationsManager {
-    constructor() {
+import { getSetting } from './config.js';
+
+export default class AnimationsManager {
+    /**
+     * @param {Object} [options] - Overrides for the SiteConfig defaults
+     * @param {number} [options.scrollThreshold] - Visible fraction of an element that starts its animation
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({
+            scrollThreshold: getSetting('ui.animations.scrollThreshold', 0.1) // 10% of element visible
+        }, options);
         this.animatedElements = [];
-        this.scrollThreshold = 0.1; // 10% of element visible
+        this.scrollThreshold = this.options.scrollThreshold;
         this.init();
     }
 
@@ -332,15 +341,3 @@ class AnimationsManager {
         $('.animate-on-scroll').removeClass('animate-on-scroll animated');
     }
 }
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = AnimationsManager;
-}
-
-// Auto-initialize if jQuery is available
-if (typeof $ !== 'undefined') {
-    $(document).ready(() => {
-        window.animationsManager = new AnimationsManager();
-    });
-}
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * Config Module
+ * Reads settings from the SiteConfig the build exposes to every page as window.SiteConfig
+ * (the runtime sections of src/config/site-config.js, with the environment overlay applied)
+ */
+
+/**
+ * Look up a setting by its dotted path
+ * @param {string} path - Path such as 'components.navbar.stickyOffset'
+ * @param {*} fallback - Value used when the setting (or window.SiteConfig) is missing
+ * @returns {*} - The setting's value
+ */
+export function getSetting(path, fallback) {
+    const value = path.split('.').reduce(
+        (current, key) => (current !== undefined && current !== null ? current[key] : undefined),
+        window.SiteConfig
+    );
+
+    return value === undefined ? fallback : value;
+}
@@ -3,16 +3,34 @@
  * Handles language switching functionality and RTL support
  */
 
-class LanguageSwitcher {
-    constructor() {
-        this.currentLanguage = this.getStoredLanguage() || 'en';
+import { getSetting } from './config.js';
+
+export default class LanguageSwitcher {
+    /**
+     * @param {Object} [options] - Overrides for the SiteConfig defaults
+     * @param {string} [options.defaultLanguage] - Language used when none has been chosen
+     * @param {Array<string>} [options.rtlLanguages] - Languages written right to left
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({
+            defaultLanguage: getSetting('languages.default', 'en'),
+            rtlLanguages: getSetting('languages.rtl', ['ar', 'he', 'fa', 'ur'])
+        }, options);
+        this.alternates = this.getAlternatePages();
+        this.currentLanguage = this.hasStaticPages()
+            ? document.documentElement.lang
+            : this.getStoredLanguage() || this.options.defaultLanguage;
         this.translations = {};
-        this.rtlLanguages = ['ar', 'he', 'fa', 'ur'];
+        this.rtlLanguages = this.options.rtlLanguages;
         this.init();
     }
 
     init() {
         this.setupLanguageSwitcher();
+
+        // Static pages already contain their translated copy
+        if (this.hasStaticPages()) return;
+
         this.loadTranslations();
         this.applyLanguage(this.currentLanguage);
     }
@@ -40,6 +58,15 @@ class LanguageSwitcher {
      * Create language switcher HTML
      */
     createLanguageSwitcher() {
+        if (this.hasStaticPages()) {
+            const options = Object.keys(this.alternates).map(languageCode => 
+                `<option value="${languageCode}">${this.alternates[languageCode].name}</option>`
+            ).join('');
+
+            $('body').append(`<div class="language-switcher"><select id="languageSelect">${options}</select></div>`);
+            return;
+        }
+
         const languageSwitcher = `
             <div class="language-switcher">
                 <select id="languageSelect">
@@ -63,8 +90,17 @@ class LanguageSwitcher {
      * @param {string} languageCode - Language code (e.g., 'en', 'ar', 'es')
      */
     switchLanguage(languageCode) {
-        this.currentLanguage = languageCode;
         this.storeLanguage(languageCode);
+
+        // Each language is a separate pre-rendered page when the build emitted alternates
+        if (this.alternates[languageCode]) {
+            if (languageCode !== this.currentLanguage) {
+                window.location.href = this.alternates[languageCode].url + window.location.hash;
+            }
+            return;
+        }
+
+        this.currentLanguage = languageCode;
         this.applyLanguage(languageCode);
         this.updateDirection(languageCode);
         
@@ -126,12 +162,12 @@ class LanguageSwitcher {
             'nav.features': 'Features',
             'nav.download': 'Download',
             'hero.title': 'Earn Money with Simple Tasks',
-            'hero.subtitle': 'Complete micro-tasks and earn real money with KenzApp',
+            'hero.subtitle': 'Complete micro-tasks and earn real money with {brand}',
             'hero.cta': 'Get Started',
             'services.title': 'Our Services',
             'services.subtitle': 'Discover various ways to earn money',
-            'about.title': 'How KenzApp Works',
-            'footer.copyright': '© 2025 KenzApp. All rights reserved.'
+            'about.title': 'How {brand} Works',
+            'footer.copyright': '© 2025 {brand}. All rights reserved.'
         };
 
         // Arabic translations
@@ -142,12 +178,12 @@ class LanguageSwitcher {
             'nav.features': 'المميزات',
             'nav.download': 'تحميل',
             'hero.title': 'اربح المال من المهام البسيطة',
-            'hero.subtitle': 'أكمل المهام الصغيرة واربح أموال حقيقية مع كينز آب',
+            'hero.subtitle': 'أكمل المهام الصغيرة واربح أموال حقيقية مع {brand}',
             'hero.cta': 'ابدأ الآن',
             'services.title': 'خدماتنا',
             'services.subtitle': 'اكتشف طرق مختلفة لكسب المال',
-            'about.title': 'كيف يعمل كينز آب',
-            'footer.copyright': '© 2025 كينز آب. جميع الحقوق محفوظة.'
+            'about.title': 'كيف يعمل {brand}',
+            'footer.copyright': '© 2025 {brand}. جميع الحقوق محفوظة.'
         };
 
         // Try to load additional translations from external files
@@ -160,6 +196,53 @@ class LanguageSwitcher {
         } catch (error) {
             console.log('External translations not found, using default translations');
         }
+
+        this.applyBrandName();
+    }
+
+    /**
+     * Replace the {brand} token in the translations with the product name from the brand profile
+     */
+    applyBrandName() {
+        const brandName = getSetting('brand.name', { en: 'Kenz', ar: 'كنز' });
+
+        Object.keys(this.translations).forEach(languageCode => {
+            const translations = this.translations[languageCode];
+            const name = brandName[languageCode] || brandName[this.options.defaultLanguage];
+            Object.keys(translations).forEach(key => {
+                translations[key] = String(translations[key]).replace(/\{brand\}/g, name);
+            });
+        });
+    }
+
+    /**
+     * Read the per-language page URLs from the hreflang alternate links
+     * @returns {Object} - Map of language code to { url, name }
+     */
+    getAlternatePages() {
+        const alternates = {};
+
+        $('link[rel="alternate"][hreflang]').each(function() {
+            const languageCode = $(this).attr('hreflang');
+            if (languageCode === 'x-default') return;
+
+            // Stay on the current host (e.g. the dev server) rather than the canonical domain
+            const url = new URL($(this).attr('href'), window.location.href);
+            alternates[languageCode] = {
+                url: url.pathname + url.search,
+                name: $(this).attr('title') || languageCode
+            };
+        });
+
+        return alternates;
+    }
+
+    /**
+     * Check if the build generated a static page per language
+     * @returns {boolean} - True if language alternates are available
+     */
+    hasStaticPages() {
+        return Object.keys(this.alternates).length > 0;
     }
 
     /**
@@ -221,15 +304,3 @@ class LanguageSwitcher {
         return translations && translations[key] ? translations[key] : key;
     }
 }
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = LanguageSwitcher;
-}
-
-// Auto-initialize if jQuery is available
-if (typeof $ !== 'undefined') {
-    $(document).ready(() => {
-        window.languageSwitcherModule = new LanguageSwitcher();
-    });
-}
\ No newline at end of file
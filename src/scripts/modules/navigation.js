@@ -3,8 +3,21 @@
  * Handles navbar sticky behavior, menu active states, and mobile navigation
  */
 
-class Navigation {
-    constructor() {
+import { getSetting } from './config.js';
+
+export default class Navigation {
+    /**
+     * @param {Object} [options] - Overrides for the SiteConfig defaults
+     * @param {number} [options.stickyOffset] - Scroll distance (px) after which the navbar sticks
+     * @param {number} [options.scrollOffset] - Height (px) of the sticky navbar, kept clear above sections
+     * @param {boolean} [options.collapseOnClick] - Close the mobile menu when a link is clicked
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({
+            stickyOffset: getSetting('components.navbar.stickyOffset', 20),
+            scrollOffset: getSetting('ui.animations.scrollOffset', 73),
+            collapseOnClick: getSetting('components.navbar.collapseOnClick', true)
+        }, options);
         this.init();
     }
 
@@ -22,7 +35,7 @@ class Navigation {
             const scroll = $(window).scrollTop();
             const navbar = $(".navbar-area");
             
-            if (scroll < 20) {
+            if (scroll < this.options.stickyOffset) {
                 navbar.removeClass("sticky");
             } else {
                 navbar.addClass("sticky");
@@ -35,12 +48,13 @@ class Navigation {
      */
     setupActiveMenuLinks() {
         const scrollLinks = $('.page-scroll');
+        const { scrollOffset } = this.options;
         
         $(window).scroll(() => {
             const scrollbarLocation = $(window).scrollTop();
 
             scrollLinks.each(function() {
-                const sectionOffset = $(this.hash).offset().top - 73;
+                const sectionOffset = $(this.hash).offset().top - scrollOffset;
 
                 if (sectionOffset <= scrollbarLocation) {
                     $(this).parent().addClass('active');
@@ -55,10 +69,12 @@ class Navigation {
      */
     setupMobileNavigation() {
         // Close navbar-collapse when a link is clicked
-        $(".navbar-nav a").on('click', () => {
-            $(".navbar-collapse").removeClass("show");
-            $(".navbar-toggler").removeClass('active');
-        });
+        if (this.options.collapseOnClick) {
+            $(".navbar-nav a").on('click', () => {
+                $(".navbar-collapse").removeClass("show");
+                $(".navbar-toggler").removeClass('active');
+            });
+        }
 
         // Toggle navbar-toggler active state
         $(".navbar-toggler").on('click', function() {
@@ -108,15 +124,3 @@ class Navigation {
         $(`.navbar-nav a[href="${activeSection}"]`).parent().addClass('active');
     }
 }
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Navigation;
-}
-
-// Auto-initialize if jQuery is available
-if (typeof $ !== 'undefined') {
-    $(document).ready(() => {
-        window.navigationModule = new Navigation();
-    });
-}
\ No newline at end of file
@@ -3,8 +3,25 @@
  * Handles preloader, back-to-top button, SVG replacement, and animations
  */
 
-class UIEffects {
-    constructor() {
+import { getSetting } from './config.js';
+
+export default class UIEffects {
+    /**
+     * @param {Object} [options] - Overrides for the SiteConfig defaults
+     * @param {boolean} [options.preloader] - Show the preloader until the page has loaded
+     * @param {number} [options.preloaderMinDisplayTime] - Time (ms) the preloader stays after load
+     * @param {number} [options.fadeOutDuration] - Preloader fade-out time (ms)
+     * @param {number} [options.backToTopOffset] - Scroll distance (px) after which the back-to-top button shows
+     * @param {number} [options.backToTopDuration] - Scroll-to-top animation time (ms)
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({
+            preloader: getSetting('components.preloader.enabled', true),
+            preloaderMinDisplayTime: getSetting('components.preloader.minDisplayTime', 500),
+            fadeOutDuration: getSetting('ui.animations.fadeOutDuration', 500),
+            backToTopOffset: getSetting('components.backToTop.showOffset', 600),
+            backToTopDuration: getSetting('components.backToTop.scrollDuration', 1500)
+        }, options);
         this.init();
     }
 
@@ -19,8 +36,13 @@ class UIEffects {
      * Setup preloader functionality
      */
     setupPreloader() {
+        if (!this.options.preloader) {
+            $('.preloader').hide();
+            return;
+        }
+
         $(window).on('load', (event) => {
-            $('.preloader').delay(500).fadeOut(500);
+            $('.preloader').delay(this.options.preloaderMinDisplayTime).fadeOut(this.options.fadeOutDuration);
         });
     }
 
@@ -33,7 +55,7 @@ class UIEffects {
             const scrollTop = $(window).scrollTop();
             const backToTopButton = $('.back-to-top');
 
-            if (scrollTop > 600) {
+            if (scrollTop > this.options.backToTopOffset) {
                 backToTopButton.fadeIn(200);
             } else {
                 backToTopButton.fadeOut(200);
@@ -51,7 +73,7 @@ class UIEffects {
      * Smooth scroll to top of page
      * @param {number} duration - Animation duration in milliseconds
      */
-    scrollToTop(duration = 1500) {
+    scrollToTop(duration = this.options.backToTopDuration) {
         $('html, body').animate({
             scrollTop: 0,
         }, duration);
@@ -203,15 +225,3 @@ class UIEffects {
         });
     }
 }
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = UIEffects;
-}
-
-// Auto-initialize if jQuery is available
-if (typeof $ !== 'undefined') {
-    $(document).ready(() => {
-        window.uiEffectsModule = new UIEffects();
-    });
-}
\ No newline at end of file
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AccessibilityAuditor = require('../build-tools/accessibility-auditor');
+const { ConfigError } = require('../build-tools/build-errors');
+const { createFixture, removeFixture } = require('./helpers');
+
+/**
+ * Audit a single page
+ * @param {string} html - Page markup
+ * @param {Object} [rules] - Rule severities
+ * @returns {Array<string>} - `line rule severity: message` per issue
+ */
+function audit(html, rules) {
+    const distDir = createFixture({ 'en/index.html': html, 'drafts/page.html': '<html><img src="x.png"></html>' });
+    try {
+        const { pages, issues } = new AccessibilityAuditor({ distDir, rules, ignore: ['drafts/'] }).run();
+        assert.equal(pages, 1);
+        return issues.map(({ line, rule, severity, message }) => `${line} ${rule} ${severity}: ${message}`);
+    } finally {
+        removeFixture(distDir);
+    }
+}
+
+test('passes an accessible page', () => {
+    assert.deepEqual(audit([
+        '<html lang="en"><head><title>Home</title></head><body>',
+        '<h1>Home</h1><h2>Features</h2><h3>Tasks</h3><h2>FAQ</h2>',
+        '<img src="logo.png" alt=""><img src="app.png" alt="The app">',
+        '<label for="email">Email</label><input id="email" type="email">',
+        '<label>Name <input name="name"></label><input type="hidden" name="token"><input type="submit" value="Join">',
+        '<a href="/"><img src="home.svg" alt="Home"></a><a href="#top" aria-label="Back to top"><i class="icon"></i></a>',
+        '<button title="Close"><span aria-hidden="true">×</span></button>',
+        '<template><img src="later.png"></template>',
+        '</body></html>'
+    ].join('\n')), []);
+});
+
+test('reports each rule with the line of the offending element', () => {
+    assert.deepEqual(audit([
+        '<html><head><title> </title></head><body>',
+        '<h1 id="top">Home</h1><h3 id="top">Tasks</h3>',
+        '<img src="app.png">',
+        '<input name="email" placeholder="Email"><select></select>',
+        '<a href="/go"><span aria-hidden="true">→</span></a>',
+        '<button><i class="icon"></i></button><input type="image" src="go.png">',
+        '</body></html>'
+    ].join('\n')), [
+        '1 html-lang warning: <html> has no lang attribute',
+        '1 document-title warning: <title> is empty',
+        '2 duplicate-id warning: id "top" is used more than once',
+        '3 img-alt warning: <img> has no alt attribute: app.png',
+        '2 heading-order warning: <h3> follows <h1>, skipping heading level 2',
+        '4 input-label warning: <input name="email"> has no label (a placeholder is not a label)',
+        '4 input-label warning: <select> has no label',
+        '5 link-name warning: link has no accessible name: /go',
+        '6 button-name warning: <button> button has no accessible name',
+        '6 button-name warning: <input> button has no accessible name'
+    ]);
+});
+
+test('applies the configured severities', () => {
+    const issues = audit('<html><head></head><body><img src="a.png"><h1>A</h1><h4>B</h4></body></html>', {
+        'img-alt': 'error',
+        'heading-order': 'off'
+    });
+
+    assert.deepEqual(issues, [
+        '1 html-lang warning: <html> has no lang attribute',
+        '1 document-title warning: page has no <title>',
+        '1 img-alt error: <img> has no alt attribute: a.png'
+    ]);
+});
+
+test('rejects unknown rules and severities with a ConfigError', () => {
+    assert.throws(() => new AccessibilityAuditor({ distDir: '.', rules: { contrast: 'error' } }), error => (
+        error instanceof ConfigError && /Unknown audit rule "contrast" \(expected one of html-lang, /.test(error.message)
+    ));
+    assert.throws(() => new AccessibilityAuditor({ distDir: '.', rules: { 'img-alt': 'fail' } }), {
+        name: 'ConfigError',
+        message: 'Audit rule "img-alt" must be off, warn, error (got "fail")'
+    });
+});
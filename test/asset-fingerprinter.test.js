@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AssetFingerprinter = require('../build-tools/asset-fingerprinter');
+const { listFiles } = require('../build-tools/build-utils');
+const { createFixture, removeFixture } = require('./helpers');
+
+const hash = content => crypto.createHash('md5').update(content).digest('hex').slice(0, 8);
+
+const distDir = createFixture({
+    'en/index.html': [
+        '<link rel="stylesheet" href="../css/main.css">',
+        '<img src="../assets/images/logo.png?v=2" srcset="../assets/images/logo.png 1x">',
+        '<a href="https://example.com/js/main.js">External</a>',
+        '<script src="../js/main.js"></script>'
+    ].join('\n'),
+    'css/main.css': '.logo { background: url("../assets/images/logo.png"); }\n/*# sourceMappingURL=main.css.map */',
+    'css/main.css.map': '{"version":3,"file":"main.css","mappings":""}',
+    'js/main.js': 'console.log(1);\n//# sourceMappingURL=main.js.map',
+    'js/main.js.map': '{"version":3,"file":"main.js","mappings":""}',
+    'assets/images/logo.png': 'png',
+    'robots.txt': 'User-agent: *'
+});
+const manifest = new AssetFingerprinter({ distDir, exclude: ['robots.txt'] }).run();
+const read = file => fs.readFileSync(path.join(distDir, file), 'utf8');
+
+test.after(() => removeFixture(distDir));
+
+test('renames assets to content hashes and lists them in manifest.json', () => {
+    const imageHash = hash('png');
+
+    assert.equal(manifest['assets/images/logo.png'], `assets/images/logo.${imageHash}.png`);
+    assert.equal(manifest['js/main.js'], `js/main.${hash('console.log(1);\n//# sourceMappingURL=')}.js`);
+    assert.deepEqual(JSON.parse(read('manifest.json')), manifest);
+    assert.deepEqual(listFiles(distDir), [
+        `assets/images/logo.${imageHash}.png`,
+        manifest['css/main.css'],
+        manifest['css/main.css.map'],
+        'en/index.html',
+        manifest['js/main.js'],
+        manifest['js/main.js.map'],
+        'manifest.json',
+        'robots.txt'
+    ].sort());
+});
+
+test('rewrites references in pages and stylesheets', () => {
+    const html = read('en/index.html');
+    const css = read(manifest['css/main.css']);
+
+    assert.match(html, new RegExp(`href="\\.\\./${manifest['css/main.css']}"`));
+    assert.match(html, new RegExp(`src="\\.\\./${manifest['assets/images/logo.png']}\\?v=2" srcset="\\.\\./${manifest['assets/images/logo.png']} 1x"`));
+    assert.match(html, new RegExp(`<script src="\\.\\./${manifest['js/main.js']}">`));
+    assert.match(html, /href="https:\/\/example\.com\/js\/main\.js"/);
+    assert.match(css, new RegExp(`url\\("\\.\\./${manifest['assets/images/logo.png']}"\\)`));
+});
+
+test('moves source maps along with their files', () => {
+    const script = read(manifest['js/main.js']);
+    const map = JSON.parse(read(manifest['js/main.js.map']));
+
+    assert.equal(manifest['js/main.js.map'], `${manifest['js/main.js']}.map`);
+    assert.ok(script.endsWith(`//# sourceMappingURL=${path.posix.basename(manifest['js/main.js.map'])}`));
+    assert.equal(map.file, path.posix.basename(manifest['js/main.js']));
+});
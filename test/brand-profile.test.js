@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BrandProfile = require('../build-tools/brand-profile');
+const { ConfigError } = require('../build-tools/build-errors');
+const { createFixture, removeFixture } = require('./helpers');
+
+const acme = {
+    name: { en: 'Acme', ar: 'أكمي' },
+    legalName: { en: 'Acme Ltd', ar: 'أكمي المحدودة' },
+    logo: { icon: 'assets/acme.svg', appIcon: 'assets/acme.png', footer: 'assets/acme-white.svg', screenshot: 'assets/acme.jpg' },
+    palette: { '--primary-color': '#ff0000' },
+    emails: { support: 'help@acme.test' },
+    stores: { appStore: 'https://apps.example.com/acme', googlePlay: '' }
+};
+const brandsDir = createFixture({
+    'acme.js': `module.exports = ${JSON.stringify(acme)};`,
+    'broken.js': `module.exports = ${JSON.stringify(Object.assign({}, acme, {
+        name: { en: 'Broken' },
+        palette: { primary: '#000' },
+        emails: { support: 'nobody' },
+        stores: { appStore: 'apps.example.com', googlePlay: '' }
+    }))};`
+});
+const baseConfig = {
+    site: { title: '{{ brand.name }} | Tasks', description: 'Earn with {{ brand.name }}' },
+    organization: { url: 'https://example.com' },
+    app: { stores: { appStore: { name: 'App Store' }, googlePlay: { name: 'Google Play' } } },
+    pwa: { display: 'standalone' }
+};
+
+/**
+ * @returns {BrandProfile} - Profile set up for English and Arabic
+ */
+function createProfile() {
+    return new BrandProfile({ brandsDir, languages: ['en', 'ar'] });
+}
+
+test.after(() => removeFixture(brandsDir));
+
+test('derives the branded settings of SiteConfig from the profile', () => {
+    const config = createProfile().apply(baseConfig, 'acme');
+
+    assert.equal(config.brand.name.en, 'Acme');
+    assert.deepEqual(config.site, { title: 'Acme | Tasks', description: 'Earn with Acme', favicon: 'assets/acme.svg' });
+    assert.deepEqual(config.organization, { url: 'https://example.com', name: acme.name, logo: 'assets/acme.svg', email: 'help@acme.test' });
+    assert.equal(config.app.stores.appStore.url, 'https://apps.example.com/acme');
+    assert.equal(config.app.stores.appStore.name, 'App Store');
+    assert.deepEqual(config.pwa.icons, ['assets/acme.png', 'assets/acme.svg']);
+    assert.equal(baseConfig.site.title, '{{ brand.name }} | Tasks');
+});
+
+test('lists every problem of an invalid profile', () => {
+    assert.throws(() => createProfile().apply(baseConfig, 'broken'), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.message, [
+            'Invalid broken brand profile:',
+            '  - name.ar is missing',
+            '  - palette.primary must be named after a CSS custom property, such as --primary-color',
+            '  - emails.support must be an email address (got "nobody")',
+            '  - stores.appStore must be an http(s) URL or empty (got "apps.example.com")'
+        ].join('\n'));
+        return true;
+    });
+    assert.throws(() => createProfile().apply(baseConfig, 'other'), {
+        name: 'ConfigError',
+        message: 'Unknown brand "other" (expected one of acme, broken)'
+    });
+});
+
+test('formats placeholders in the language of the text', () => {
+    const profile = createProfile();
+    profile.apply(baseConfig, 'acme');
+
+    assert.equal(profile.format('{{ brand.legalName }} <{{brand.emails.support}}>', 'ar'), 'أكمي المحدودة <help@acme.test>');
+    assert.deepEqual(
+        profile.formatData({ title: { en: 'Join {{ brand.name }}', ar: 'انضم إلى {{ brand.name }}' }, tags: ['{{ brand.name }}'], count: 3 }),
+        { title: { en: 'Join Acme', ar: 'انضم إلى أكمي' }, tags: ['Acme'], count: 3 }
+    );
+    assert.throws(() => profile.format('{{ brand.phone }}', 'en'), { name: 'ConfigError', message: /Unknown brand placeholder "\{\{ brand\.phone \}\}"/ });
+});
+
+test('gives the server code the names and emails in every language', () => {
+    const profile = createProfile();
+    profile.apply(baseConfig, 'acme');
+
+    assert.deepEqual(profile.getServerData('ar'), {
+        brand: 'acme',
+        defaultLanguage: 'ar',
+        name: acme.name,
+        legalName: acme.legalName,
+        emails: acme.emails
+    });
+});
+
+test('sets the palette in the stylesheet that declares it', () => {
+    const css = ':root {\n    --primary-color: #6C5CE7;\n    --text-color: #333;\n}';
+
+    assert.equal(BrandProfile.applyPalette(css, acme.palette), ':root {\n    --primary-color: #ff0000;\n    --text-color: #333;\n}');
+    assert.throws(() => BrandProfile.applyPalette(css, { '--accent-color': '#fff' }), {
+        name: 'ConfigError',
+        message: 'The brand palette sets --accent-color, which is not declared in variables.css'
+    });
+});
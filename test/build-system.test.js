@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const BuildSystem = require('../build');
+const { ConfigError } = require('../build-tools/build-errors');
+const { createFixture, removeFixture } = require('./helpers');
+
+const tempDir = createFixture();
+const distDir = path.join(tempDir, 'dist');
+const buildSystem = new BuildSystem({ silent: true, distDir });
+
+test.after(() => {
+    fs.rmSync(buildSystem.sizeReportPath(), { force: true });
+    removeFixture(tempDir);
+});
+
+test('build() resolves to a description of the finished build', async () => {
+    const result = await buildSystem.build({ silent: true, distDir, languages: ['ar'] });
+
+    assert.equal(result.distDir, distDir);
+    assert.equal(result.environment, 'production');
+    assert.equal(result.brand, 'kenz');
+    assert.deepEqual(result.languages, ['ar']);
+    assert.equal(typeof result.duration, 'number');
+
+    const paths = result.files.map(file => file.path);
+    assert.ok(paths.includes('ar/index.html'));
+    assert.ok(!paths.some(file => file.startsWith('en/')), 'only the requested language is built');
+    assert.equal(result.totalSize, result.files.reduce((total, file) => total + file.size, 0));
+    assert.equal(result.files.find(file => file.path === 'ar/index.html').size, fs.statSync(path.join(distDir, 'ar/index.html')).size);
+
+    assert.ok(result.warnings.length > 0);
+    result.warnings.forEach(warning => {
+        assert.equal(typeof warning.step, 'string');
+        assert.equal(typeof warning.message, 'string');
+    });
+    assert.deepEqual(Object.keys(result.timings).slice(0, 2), ['HTML', 'Sitemap']);
+    assert.ok(result.sizeReport.budgets.every(budget => budget.passed));
+    assert.ok(result.sizeReport.totals.raw > 0);
+});
+
+test('builds a single language from content translated into every language', () => {
+    const html = fs.readFileSync(path.join(distDir, 'ar/index.html'), 'utf8');
+
+    assert.match(html, /<html class="no-js" lang="ar" dir="rtl">/);
+    assert.doesNotMatch(html, /\[object Object\]/);
+    assert.doesNotMatch(html, /hreflang="en"/);
+});
+
+test('build() rejects invalid options with a ConfigError', async () => {
+    const cases = [
+        [{ environment: 'nowhere' }, /Unknown environment "nowhere"/],
+        [{ brand: 'nobody' }, /Unknown brand "nobody"/],
+        [{ srcDir: path.join(tempDir, 'missing') }, /SiteConfig not found/],
+        [{ distDir: path.join(__dirname, '..') }, /which cleaning it would delete/],
+        [{ distDir: path.join(buildSystem.srcDir, '..', '..') }, /which cleaning it would delete/],
+        [{ languages: ['fr'] }, /languages must be a non-empty subset of en, ar \(got fr\)/]
+    ];
+
+    for (const [options, message] of cases) {
+        await assert.rejects(buildSystem.build(Object.assign({ silent: true, distDir }, options)), error => {
+            assert.ok(error instanceof ConfigError, `${error.name} for ${JSON.stringify(options)}`);
+            assert.equal(error.step, null);
+            assert.match(error.message, message);
+            return true;
+        });
+    }
+});
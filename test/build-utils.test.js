@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listFiles, isPlainObject } = require('../build-tools/build-utils');
+const { createFixture, removeFixture } = require('./helpers');
+
+test('lists nested files as sorted POSIX paths', () => {
+    const dir = createFixture({
+        'index.html': '',
+        'css/main.css': '',
+        'assets/images/logo/logo.svg': '',
+        'assets/a.txt': ''
+    });
+    try {
+        assert.deepEqual(listFiles(dir), ['assets/a.txt', 'assets/images/logo/logo.svg', 'css/main.css', 'index.html']);
+    } finally {
+        removeFixture(dir);
+    }
+});
+
+test('recognizes object literals only', () => {
+    assert.equal(isPlainObject({ a: 1 }), true);
+    assert.equal(isPlainObject(Object.create(null)), false);
+    assert.equal(isPlainObject([]), false);
+    assert.equal(isPlainObject(null), false);
+    assert.equal(isPlainObject(new Date()), false);
+    assert.equal(isPlainObject('text'), false);
+});
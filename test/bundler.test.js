@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const vm = require('vm');
+const ModuleBundler = require('../build-tools/module-bundler');
+const CodeBundler = require('../build-tools/code-bundler');
+const { createFixture, removeFixture } = require('./helpers');
+
+const MODULES = {
+    'scripts/main.js': [
+        "import Greeter, { PUNCTUATION as mark } from './modules/greeter.js';",
+        "import * as format from './modules/format.js';",
+        '',
+        "window.result = new Greeter('Kenz').greet() + mark + format.upper('ok');"
+    ].join('\n'),
+    'scripts/modules/greeter.js': [
+        "import { upper } from './format.js';",
+        '',
+        'export const PUNCTUATION = "!";',
+        '',
+        'export default class Greeter {',
+        '    constructor(name) { this.name = name; }',
+        '    greet() { return `Hello ${upper(this.name)}`; }',
+        '}'
+    ].join('\n'),
+    'scripts/modules/format.js': 'export function upper(text) {\n    return text.toUpperCase();\n}\n'
+};
+
+/**
+ * Bundle the fixture modules and run the result
+ * @param {Object} options - CodeBundler options
+ * @returns {Object} - { code, map, window }
+ */
+function bundleFixture(options) {
+    const srcDir = createFixture(MODULES);
+    try {
+        const sources = new ModuleBundler({ rootDir: srcDir }).createSources(path.join(srcDir, 'scripts/main.js'));
+        const { code, map } = new CodeBundler(options).bundle(sources, {
+            type: 'js',
+            outputPath: path.join(srcDir, 'dist/js/main.js')
+        });
+        const window = {};
+        vm.runInNewContext(code, { window });
+        return { code, map, window };
+    } finally {
+        removeFixture(srcDir);
+    }
+}
+
+test('bundles ES modules in dependency order with working bindings', () => {
+    const { window } = bundleFixture({});
+
+    assert.equal(window.result, 'Hello KENZ!OK');
+});
+
+test('keeps working when minified', () => {
+    const { code, window } = bundleFixture({ minify: true });
+
+    assert.equal(window.result, 'Hello KENZ!OK');
+    assert.ok(!code.includes('    '), 'indentation is stripped');
+});
+
+test('emits a source map pointing back at every module', () => {
+    const { code, map } = bundleFixture({ minify: true, sourceMaps: true });
+    const sourceMap = JSON.parse(map);
+
+    assert.equal(sourceMap.file, 'main.js');
+    assert.deepEqual(sourceMap.sources.slice().sort(), [
+        '../../scripts/main.js',
+        '../../scripts/modules/format.js',
+        '../../scripts/modules/greeter.js'
+    ]);
+    assert.equal(sourceMap.sourcesContent[sourceMap.sources.indexOf('../../scripts/modules/format.js')], MODULES['scripts/modules/format.js']);
+    assert.match(code, /\n\/\/# sourceMappingURL=main\.js\.map\n$/);
+});
+
+test('omits the source map unless asked for', () => {
+    const { code, map } = bundleFixture({ minify: true });
+
+    assert.equal(map, null);
+    assert.ok(!code.includes('sourceMappingURL'));
+});
+
+test('reports unresolved and circular imports', () => {
+    const srcDir = createFixture({
+        'scripts/missing.js': "import './nowhere.js';\n",
+        'scripts/a.js': "import './b.js';\n",
+        'scripts/b.js': "import './a.js';\n"
+    });
+    try {
+        const bundler = new ModuleBundler({ rootDir: srcDir });
+        assert.throws(() => bundler.createSources(path.join(srcDir, 'scripts/missing.js')), /Unresolved import "\.\/nowhere\.js" in scripts\/missing\.js/);
+        assert.throws(() => bundler.createSources(path.join(srcDir, 'scripts/a.js')), /Circular import: scripts\/a\.js -> scripts\/b\.js -> scripts\/a\.js/);
+    } finally {
+        removeFixture(srcDir);
+    }
+});
+
+test('bundles stylesheets with a CSS source map comment', () => {
+    const { code, map } = new CodeBundler({ minify: true, sourceMaps: true }).bundle([
+        { name: 'base.css', path: '/src/styles/base.css', content: '.a {\n  color: red;\n}\n' },
+        { name: 'theme.css', path: '/src/styles/theme.css', content: '.b { color: blue; }\n' }
+    ], { type: 'css', outputPath: '/dist/css/main.css' });
+
+    assert.equal(code, '.a{color:red}\n.b{color:blue}\n/*# sourceMappingURL=main.css.map */\n');
+    assert.deepEqual(JSON.parse(map).sources, ['../../src/styles/base.css', '../../src/styles/theme.css']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const CssPurger = require('../build-tools/css-purger');
+const { createFixture, removeFixture } = require('./helpers');
+
+const STYLESHEET = [
+    '.card { padding: 0; }',
+    '.unused { color: red; }',
+    '.card .title, .unused .title { margin: 0; }',
+    '#hero:hover { opacity: 1; }',
+    '.open { display: block; }',
+    '.vendor-only { display: none; }',
+    '.dynamic-1, .dynamic-2 { color: blue; }',
+    '@media (min-width: 768px) {',
+    '    .unused { color: green; }',
+    '}',
+    '@keyframes spin { to { transform: rotate(1turn); } }',
+    '@keyframes fade { to { opacity: 0; } }',
+    '.spinner { animation: spin 1s; }',
+    '.ghost { animation: fade 1s; }',
+    '@font-face { font-family: "Icons"; src: url(icons.woff2); }'
+].join('\n');
+
+/**
+ * Purge the fixture site's stylesheet
+ * @param {Object} options - CssPurger options besides distDir
+ * @returns {Object} - { css, result } with the purged stylesheet and the run's result
+ */
+function purgeFixture(options = {}) {
+    const distDir = createFixture({
+        'en/index.html': [
+            '<html><head><link rel="stylesheet" href="../css/main.css"></head>',
+            '<body><div id="hero" class="card"><h3 class="title">Hi</h3><span class="spinner"></span></div>',
+            '<script src="../js/main.js"></script><script src="../assets/js/vendor.min.js"></script>',
+            "<script>document.body.classList.add('open');</script></body></html>"
+        ].join('\n'),
+        'css/main.css': STYLESHEET,
+        'js/main.js': "el.classList.toggle('dynamic-1');\n",
+        'assets/js/vendor.min.js': "el.className = 'vendor-only';\n"
+    });
+    try {
+        const result = new CssPurger(Object.assign({ distDir }, options)).run();
+        return { css: fs.readFileSync(path.join(distDir, 'css/main.css'), 'utf8'), result };
+    } finally {
+        removeFixture(distDir);
+    }
+}
+
+test('keeps rules the markup, inline scripts and scripts can match', () => {
+    const { css } = purgeFixture();
+
+    assert.match(css, /\.card \{ padding: 0; \}/);
+    assert.match(css, /#hero:hover/);
+    assert.match(css, /\.open \{/);
+    assert.match(css, /\.dynamic-1\s*\{/);
+});
+
+test('removes unused rules, selectors, groups and keyframes', () => {
+    const { css, result } = purgeFixture();
+
+    assert.doesNotMatch(css, /\.unused/);
+    assert.doesNotMatch(css, /\.dynamic-2/);
+    assert.doesNotMatch(css, /@media/);
+    assert.doesNotMatch(css, /@keyframes fade/);
+    assert.match(css, /\.card \.title\s*\{ margin: 0; \}/);
+    assert.match(css, /@keyframes spin/);
+    assert.match(css, /@font-face/);
+    assert.deepEqual(result.map(({ file, removed }) => ({ file, removed })), [{ file: 'css/main.css', removed: 5 }]);
+});
+
+test('keeps the line of every remaining rule', () => {
+    const { css } = purgeFixture();
+    const lines = css.split('\n');
+
+    assert.equal(lines.length, STYLESHEET.split('\n').length);
+    assert.equal(lines[12], '.spinner { animation: spin 1s; }');
+});
+
+test('only scans the listed scripts', () => {
+    assert.match(purgeFixture().css, /\.vendor-only/);
+
+    const { css } = purgeFixture({ scripts: ['js/'] });
+    assert.doesNotMatch(css, /\.vendor-only/);
+    assert.match(css, /\.dynamic-1\s*\{/);
+});
+
+test('keeps safelisted names and patterns', () => {
+    const { css } = purgeFixture({ scripts: ['js/main.js'], safelist: ['vendor-only', /^dynamic-/] });
+
+    assert.match(css, /\.vendor-only/);
+    assert.match(css, /\.dynamic-1, \.dynamic-2 \{/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const EnvironmentConfig = require('../build-tools/environment-config');
+const { ConfigError } = require('../build-tools/build-errors');
+const { createFixture, removeFixture } = require('./helpers');
+
+const environmentsDir = createFixture({
+    'schema.json': JSON.stringify({
+        'site.url': { type: 'url' },
+        'seo.robots.disallow': { type: 'array' },
+        'build.linkCheck.mode': { type: 'string', enum: ['off', 'warn', 'error'] }
+    }),
+    'staging.js': 'module.exports = { site: { url: "https://staging.example.com" }, seo: { robots: { disallow: ["/"] } } };',
+    'broken.js': 'module.exports = { site: { url: "staging.example.com", name: "Other" }, build: { linkCheck: { mode: "loud" } } };',
+    'failing.js': 'throw new Error("missing secret");'
+});
+const environments = new EnvironmentConfig({ environmentsDir });
+const baseConfig = {
+    site: { url: 'https://example.com', name: 'Example' },
+    seo: { robots: { allow: ['/'], disallow: [] } }
+};
+
+test.after(() => removeFixture(environmentsDir));
+
+test('merges the overlay over the base config without modifying it', () => {
+    const config = environments.apply(baseConfig, 'staging');
+
+    assert.deepEqual(config, {
+        site: { url: 'https://staging.example.com', name: 'Example' },
+        seo: { robots: { allow: ['/'], disallow: ['/'] } }
+    });
+    assert.equal(baseConfig.site.url, 'https://example.com');
+});
+
+test('lists every problem of an overlay that breaks the schema', () => {
+    assert.throws(() => environments.apply(baseConfig, 'broken'), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.message, [
+            'Invalid broken environment config:',
+            '  - site.url must be an http(s) URL (got "staging.example.com")',
+            '  - site.name cannot be set per environment',
+            '  - build.linkCheck.mode must be one of off, warn, error (got "loud")'
+        ].join('\n'));
+        return true;
+    });
+});
+
+test('rejects unknown environments and overlays that fail to load', () => {
+    assert.throws(() => environments.apply(baseConfig, 'qa'), {
+        name: 'ConfigError',
+        message: 'Unknown environment "qa" (expected one of broken, failing, staging)'
+    });
+    assert.throws(() => environments.apply(baseConfig, 'failing'), {
+        name: 'ConfigError',
+        message: 'Could not load the failing environment: missing secret'
+    });
+});
+
+test('only lets the shipped overlays set settings the site reads', () => {
+    const shipped = new EnvironmentConfig({ environmentsDir: path.join(__dirname, '..', 'src/config/environments') });
+    const schema = shipped.readSchema();
+
+    assert.deepEqual(shipped.listEnvironments(), ['development', 'production', 'staging']);
+    assert.ok(!Object.keys(schema).some(setting => /^(api|services)\./.test(setting)));
+    shipped.listEnvironments().forEach(environment => {
+        assert.deepEqual(shipped.validate(require(path.join(shipped.environmentsDir, `${environment}.js`)), schema), []);
+    });
+});
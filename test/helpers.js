@@ -0,0 +1,36 @@
+/**
+ * Test Helpers
+ * Temporary directories with fixture files for the build-tools tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create a temporary directory holding the given files
+ * @param {Object} files - Contents keyed by POSIX path relative to the directory
+ * @returns {string} - Absolute path of the directory
+ */
+function createFixture(files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kenzapp-test-'));
+    Object.keys(files).forEach(file => {
+        const filePath = path.join(dir, file);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, files[file]);
+    });
+    return dir;
+}
+
+/**
+ * Delete a directory created by createFixture
+ * @param {string} dir - Directory
+ */
+function removeFixture(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+    createFixture,
+    removeFixture
+};
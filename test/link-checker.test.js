@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LinkChecker = require('../build-tools/link-checker');
+const BuildSystem = require('../build');
+const { createFixture, removeFixture } = require('./helpers');
+
+const distDir = createFixture({
+    'index.html': '<a href="en/">English</a>',
+    'en/index.html': [
+        '<section id="faq"><a name="legacy"></a></section>',
+        '<a href="#faq">FAQ</a> <a href="#legacy">Old</a> <a href="#nowhere">Gone</a>',
+        '<a href="privacy.html#data">Privacy</a> <a href="privacy.html#missing">Privacy</a>',
+        '<img src="../img/logo.png" srcset="../img/logo.png 1x, ../img/logo-2x.png 2x">',
+        '<a href="https://example.com/en/privacy.html">Canonical</a> <a href="https://example.com/en/gone.html">Gone</a>',
+        '<a href="https://other.example/missing.html">External</a> <a href="mailto:hi@example.com">Mail</a>',
+        '<a href="/drafts/old.html">Ignored</a>',
+        '<a href="javascript:void(0)">Menu</a> <a href="#">Top</a>',
+        '<div style="background: url(../img/missing-bg.png)"></div>',
+        '<meta property="og:image" content="https://example.com/img/share.png">',
+        '<style>.hero { background: url("../img/logo.png"); }</style>'
+    ].join('\n'),
+    'en/privacy.html': '<h2 id="data">Data</h2>',
+    'css/main.css': '.a { background: url(../img/logo.png); }\n.b { background: url(../fonts/missing.woff2); }',
+    'img/logo.png': 'png'
+});
+const { checked, issues } = new LinkChecker({ distDir, siteUrl: 'https://example.com/', ignore: ['/drafts/'] }).run();
+
+test.after(() => removeFixture(distDir));
+
+test('reports missing files and anchors as errors', () => {
+    const errors = issues.filter(issue => issue.severity === 'error').map(({ file, line, message }) => `${file}:${line} ${message}`);
+
+    assert.deepEqual(errors, [
+        'en/index.html:2 missing anchor #nowhere in en/index.html (<a href>)',
+        'en/index.html:3 missing anchor #missing in en/privacy.html (<a href>)',
+        'en/index.html:4 missing file img/logo-2x.png (<img srcset>)',
+        'en/index.html:5 missing file en/gone.html (<a href>)',
+        'en/index.html:9 missing file img/missing-bg.png (<div style>)',
+        'en/index.html:10 missing file img/share.png (<meta property="og:image">)',
+        'css/main.css:2 missing file fonts/missing.woff2 (url())'
+    ]);
+});
+
+test('reports placeholder links as warnings', () => {
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+
+    assert.deepEqual(warnings.map(({ url, message }) => [url, message]), [
+        ['javascript:void(0)', 'placeholder link in <a href>'],
+        ['#', 'placeholder link in <a href>']
+    ]);
+    assert.ok(checked > issues.length);
+});
+
+test('reports each kind of issue once with a count of the repeats', () => {
+    const buildSystem = new BuildSystem({ silent: true });
+    const logged = [];
+    buildSystem.logger = { log() {}, warn: message => logged.push(message), error: message => logged.push(message) };
+    buildSystem.warnings = [];
+
+    const issue = (severity, file, line) => ({ severity, file, line, url: '#', message: 'placeholder link in <a href>' });
+    buildSystem.reportIssues([issue('warning', 'en/a.html', 3), issue('warning', 'en/b.html', 7), issue('error', 'en/c.html', 1)], {
+        describe: ({ message, url }) => `${message}: ${url}`,
+        errorsFail: true
+    });
+
+    assert.equal(logged.length, 2);
+    assert.match(logged.find(message => message.includes('en/a.html')), /en\/a\.html:3 placeholder link in <a href>: # \(\+1 more\)/);
+    assert.match(logged.find(message => message.includes('en/c.html')), /^❌ en\/c\.html:1 /);
+    assert.deepEqual(buildSystem.warnings, [{ step: null, message: 'en/a.html:3 placeholder link in <a href>: # (+1 more)' }]);
+});
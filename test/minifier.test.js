@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { minifyJS, minifyCSS, minifyHTML } = require('../build-tools/minifier');
+const SourceMapGenerator = require('../build-tools/source-map');
+
+test('minifyJS strips comments and whitespace but keeps line breaks', () => {
+    const { code } = minifyJS('// header\nconst a = 1;  /* note */\nfunction half ( b ) {\n  return b / 2; // divide\n}\n');
+
+    assert.equal(code, 'const a=1;\nfunction half(b){\nreturn b/2;\n}');
+});
+
+test('minifyJS leaves strings and regular expressions alone', () => {
+    const { code } = minifyJS("const s = 'a  //  b';\nconst r = /a\\/ +b/g;\n");
+
+    assert.equal(code, "const s='a  //  b';\nconst r=/a\\/ +b/g;");
+});
+
+test('minifyJS maps every output line back to its source line', () => {
+    const { mappings } = minifyJS('\n\nconst a = 1;\n\n  const b = 2;\n');
+
+    assert.deepEqual(mappings.map(({ generatedLine, originalLine }) => [generatedLine, originalLine]), [[0, 2], [1, 4]]);
+});
+
+test('minifyCSS drops comments and collapses rules onto one line', () => {
+    const { code } = minifyCSS('/* base */\n.a {\n  margin: 0 auto;\n}\n\n.b > .c { padding: 0; }\n');
+
+    assert.equal(code, '.a{margin:0 auto}.b>.c{padding:0}');
+});
+
+test('minifyCSS maps rules and declarations to their source lines', () => {
+    const { mappings } = minifyCSS('.a {\n  margin: 0;\n}\n.b { padding: 0 }\n');
+
+    assert.deepEqual(mappings.map(({ originalLine }) => originalLine), [0, 1, 2, 3, 3]);
+});
+
+test('minifyHTML drops comments and collapses whitespace, keeping line breaks', () => {
+    const html = minifyHTML('<!-- note -->\n<div   class="a"\n     id="b">\n    Hello    world\n</div>\n');
+
+    assert.equal(html, '<div class="a"\nid="b">\nHello world\n</div>\n');
+});
+
+test('minifyHTML leaves pre, textarea and script contents untouched', () => {
+    const source = '<pre>  a\n    b </pre>\n<textarea>  x  </textarea>\n<script>\n  if (a  <  b) {}\n</script>';
+
+    assert.equal(minifyHTML(source), `${source}\n`);
+});
+
+test('minifyHTML keeps conditional comments', () => {
+    assert.equal(minifyHTML('<!--[if lt IE 9]><p>Old</p><![endif]-->'), '<!--[if lt IE 9]><p>Old</p><![endif]-->\n');
+});
+
+test('SourceMapGenerator encodes mappings relative to the previous segment', () => {
+    const generator = new SourceMapGenerator('main.js');
+    const first = generator.addSource('a.js', 'a');
+    const second = generator.addSource('b.js', 'b');
+
+    generator.addMapping({ generatedLine: 0, generatedColumn: 0, sourceIndex: first, originalLine: 0, originalColumn: 0 });
+    generator.addMapping({ generatedLine: 0, generatedColumn: 4, sourceIndex: first, originalLine: 1, originalColumn: 2 });
+    generator.addMapping({ generatedLine: 2, generatedColumn: 0, sourceIndex: second, originalLine: 0, originalColumn: 0 });
+
+    assert.deepEqual(generator.toJSON(), {
+        version: 3,
+        file: 'main.js',
+        sources: ['a.js', 'b.js'],
+        sourcesContent: ['a', 'b'],
+        names: [],
+        mappings: 'AAAA,IACE;;ACDF'
+    });
+});
+
+test('SourceMapGenerator registers each source once', () => {
+    const generator = new SourceMapGenerator('main.css');
+
+    assert.equal(generator.addSource('a.css', 'a'), 0);
+    assert.equal(generator.addSource('a.css', 'a'), 0);
+    assert.deepEqual(generator.toJSON().sources, ['a.css']);
+});
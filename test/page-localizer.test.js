@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PageLocalizer = require('../build-tools/page-localizer');
+
+test('replaces element content with the language copy', () => {
+    const html = new PageLocalizer().localize('<h3 data-en="<span>Kenz</span> Platform" data-ar="منصة <span>كنز</span>">Kenz</h3>', 'ar');
+
+    assert.equal(html, '<h3 data-en="<span>Kenz</span> Platform" data-ar="منصة <span>كنز</span>">منصة <span>كنز</span></h3>');
+});
+
+test('sets localized attributes, adding them when missing', () => {
+    const html = new PageLocalizer().localize(
+        '<input placeholder="Email" data-en-placeholder="Email" data-ar-placeholder="البريد"><img data-ar-alt="شعار">',
+        'ar'
+    );
+
+    assert.match(html, /<input placeholder="البريد"/);
+    assert.match(html, /<img data-ar-alt="شعار" alt="شعار">/);
+});
+
+test('replaces nested translatable elements along with their parent', () => {
+    const html = new PageLocalizer().localize(
+        '<p data-en="Hello" data-ar="مرحبا"><b data-en="x" data-ar="س">x</b></p><i data-en="a" data-ar="ب">a</i>',
+        'ar'
+    );
+
+    assert.equal(html, '<p data-en="Hello" data-ar="مرحبا">مرحبا</p><i data-en="a" data-ar="ب">ب</i>');
+});
+
+test('reports unclosed elements through warn and leaves them untranslated', () => {
+    const warnings = [];
+    const localizer = new PageLocalizer({ warn: message => warnings.push(message) });
+    const source = '<div><p data-en="Hi" data-ar="أهلا">Hi</div>';
+
+    assert.equal(localizer.localize(source, 'ar', 'ar/index.html'), source);
+    assert.deepEqual(warnings, ['ar/index.html: unclosed <p> with data-ar, left untranslated']);
+});
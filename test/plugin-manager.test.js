@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PluginManager = require('../build-tools/plugin-manager');
+const { PluginError } = require('../build-tools/build-errors');
+
+test('rejects plugins without a name, with non-function hooks or an unknown step', () => {
+    const plugins = new PluginManager();
+
+    [
+        [{}, 'Build plugins must have a name'],
+        [{ name: 'a', buildEnd: true }, 'Plugin "a": buildEnd must be a function'],
+        [{ name: 'b', step: 'Deploy', run() {} }, /^Plugin "b": unknown step "Deploy" \(expected one of HTML, Sitemap, /],
+        [{ name: 'c', step: 'CSS' }, 'Plugin "c": implements the CSS step but has no run()']
+    ].forEach(([plugin, message]) => {
+        assert.throws(() => plugins.register(plugin), error => {
+            assert.ok(error instanceof PluginError);
+            if (typeof message === 'string') assert.equal(error.message, message);
+            else assert.match(error.message, message);
+            return true;
+        });
+    });
+    assert.equal(plugins.plugins.length, 0);
+});
+
+test('runs the plugins of a step and the hooks in registration order', async () => {
+    const plugins = new PluginManager();
+    const calls = [];
+
+    plugins.register({ name: 'first', step: 'CSS', run: async () => calls.push('first run'), beforeStep: step => calls.push(`first before ${step}`) });
+    plugins.register({ name: 'second', step: 'CSS', run: () => calls.push('second run') });
+    plugins.register({ name: 'other', step: 'JavaScript', run: () => calls.push('other run'), beforeStep: step => calls.push(`other before ${step}`) });
+
+    await plugins.callHook('beforeStep', 'CSS', {});
+    await plugins.runStep('CSS', {});
+
+    assert.deepEqual(calls, ['first before CSS', 'other before CSS', 'first run', 'second run']);
+    assert.equal(plugins.hasHook('beforeStep'), true);
+    assert.equal(plugins.hasHook('generate'), false);
+});
+
+test('names the plugin and hook in the errors hooks throw', async () => {
+    const plugins = new PluginManager();
+    plugins.register({ name: 'flaky', afterStep: async () => { throw new Error('disk full'); } });
+
+    await assert.rejects(plugins.callHook('afterStep', 'CSS', {}), error => {
+        assert.ok(error instanceof PluginError);
+        assert.equal(error.message, 'Plugin "flaky" failed in afterStep: disk full');
+        assert.equal(error.plugin, 'flaky');
+        assert.equal(error.hook, 'afterStep');
+        assert.equal(error.cause.message, 'disk full');
+        return true;
+    });
+});
+
+test('passes files through every transform in turn', () => {
+    const plugins = new PluginManager();
+    plugins.register({ name: 'banner', transform: file => (file.path.endsWith('.js') ? `/* banner */\n${file.contents}` : undefined) });
+    plugins.register({ name: 'upper', transform: file => file.contents.toUpperCase() });
+
+    assert.equal(plugins.transform('js/main.js', 'run()', {}), '/* BANNER */\nRUN()');
+    assert.equal(plugins.transform('css/main.css', 'a{}', {}), 'A{}');
+});
+
+test('rejects transforms that throw or return a promise', () => {
+    const plugins = new PluginManager();
+    plugins.register({ name: 'async', transform: async file => file.contents });
+    assert.throws(() => plugins.transform('a.js', '', {}), { name: 'PluginError', message: 'Plugin "async": transform must return contents synchronously' });
+
+    plugins.clear();
+    plugins.register({ name: 'broken', transform: () => { throw new Error('bad input'); } });
+    assert.throws(() => plugins.transform('a.js', '', {}), { name: 'PluginError', message: 'Plugin "broken" failed to transform a.js: bad input' });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { resizePNG, decodePNG, encodePNG } = require('../build-tools/png-resizer');
+const { readImageSize } = require('../build-tools/image-size');
+
+/**
+ * Create an RGBA image from a pixel function
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {Function} pixel - (x, y) => [r, g, b, a]
+ * @returns {Object} - { width, height, data }
+ */
+function createImage(width, height, pixel) {
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(pixel(x, y), (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Encode an 8-bit palette PNG by hand, since encodePNG only writes RGBA.
+ * The CRCs are left zero; decodePNG does not verify them.
+ * @returns {Buffer} - 2×1 PNG with an opaque red and a transparent blue pixel
+ */
+function createPalettePNG() {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        return Buffer.concat([length, Buffer.from(type), data, Buffer.alloc(4)]);
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(2, 0);
+    header.writeUInt32BE(1, 4);
+    header[8] = 8;
+    header[9] = 3;
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('PLTE', Buffer.from([255, 0, 0, 0, 0, 255])),
+        chunk('tRNS', Buffer.from([255, 0])),
+        chunk('IDAT', zlib.deflateSync(Buffer.from([0, 0, 1]))),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+test('encodes and decodes RGBA pixels losslessly', () => {
+    const image = createImage(7, 5, (x, y) => [x * 30, y * 50, (x + y) * 10, x === 0 ? 0 : 255]);
+    const png = encodePNG(image);
+
+    assert.deepEqual(readImageSize(png), { type: 'png', width: 7, height: 5 });
+    assert.deepEqual(decodePNG(png), image);
+});
+
+test('expands palette images with transparency to RGBA', () => {
+    assert.deepEqual(Array.from(decodePNG(createPalettePNG()).data), [255, 0, 0, 255, 0, 0, 255, 0]);
+});
+
+test('downscales to a width, keeping the aspect ratio', () => {
+    const image = createImage(8, 4, x => (x < 4 ? [0, 0, 0, 255] : [255, 255, 255, 255]));
+    const resized = decodePNG(resizePNG(encodePNG(image), 2));
+
+    assert.equal(resized.width, 2);
+    assert.equal(resized.height, 1);
+    assert.deepEqual(Array.from(resized.data), [0, 0, 0, 255, 255, 255, 255, 255]);
+});
+
+test('averages with alpha premultiplied so transparent pixels do not darken edges', () => {
+    const image = createImage(2, 1, x => (x === 0 ? [255, 0, 0, 255] : [0, 0, 0, 0]));
+    const resized = decodePNG(resizePNG(encodePNG(image), 1));
+
+    assert.deepEqual(Array.from(resized.data), [255, 0, 0, 128]);
+});
+
+test('returns null for files that are not PNGs', () => {
+    assert.equal(resizePNG(Buffer.from('GIF89a'), 10), null);
+    assert.equal(decodePNG(Buffer.from([0xff, 0xd8, 0xff])), null);
+});
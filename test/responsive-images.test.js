@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ResponsiveImages = require('../build-tools/responsive-images');
+const { encodePNG } = require('../build-tools/png-resizer');
+const { parseSimpleSelector } = require('../build-tools/html-parser');
+const { createFixture, removeFixture } = require('./helpers');
+
+/**
+ * Encode a PNG of noise, which downscales to a smaller file
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Buffer}
+ */
+function createPNG(width, height) {
+    const data = new Uint8Array(width * height * 4);
+    let seed = 1;
+    for (let index = 0; index < data.length; index++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        data[index] = index % 4 === 3 ? 255 : seed >>> 23;
+    }
+    return encodePNG({ width, height, data });
+}
+
+/**
+ * Build the frame header of a baseline JPEG, which is all readImageSize needs
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Buffer}
+ */
+function createJPEG(width, height) {
+    const frame = Buffer.from([0xff, 0xc0, 0, 17, 8, 0, 0, 0, 0, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+    frame.writeUInt16BE(height, 5);
+    frame.writeUInt16BE(width, 7);
+    return Buffer.concat([Buffer.from([0xff, 0xd8]), frame, Buffer.from([0xff, 0xd9])]);
+}
+
+/**
+ * Process a page of a fixture dist
+ * @param {string} html - Page markup; `header` is the first viewport
+ * @returns {Object} - { html, stats, warnings, variants, files } after processing
+ */
+function processPage(html) {
+    const distDir = createFixture({
+        'en/index.html': html,
+        'assets/images/wide.png': createPNG(40, 20),
+        'assets/images/narrow.png': createPNG(10, 10),
+        'assets/images/photo.jpg': createJPEG(1200, 800)
+    });
+    try {
+        const warnings = [];
+        const images = new ResponsiveImages({ distDir, widths: [20], sizes: '50vw', warn: message => warnings.push(message) });
+        const stats = images.processPage('en/index.html', [parseSimpleSelector('header')]);
+        return {
+            html: fs.readFileSync(path.join(distDir, 'en/index.html'), 'utf8'),
+            stats,
+            warnings,
+            variants: images.countVariants(),
+            files: fs.readdirSync(path.join(distDir, 'assets/images')).sort()
+        };
+    } finally {
+        removeFixture(distDir);
+    }
+}
+
+test('sets dimensions and writes a srcset of smaller PNG variants', () => {
+    const { html, variants, files } = processPage('<header><img src="../assets/images/wide.png" alt=""></header>');
+
+    assert.equal(html, '<header><img src="../assets/images/wide.png" alt="" width="40" height="20" srcset="../assets/images/wide-20w.png 20w, ../assets/images/wide.png 40w" sizes="50vw"></header>');
+    assert.equal(variants, 1);
+    assert.ok(files.includes('wide-20w.png'));
+});
+
+test('lazy-loads images below the fold and keeps attributes set in the markup', () => {
+    const { html, stats } = processPage('<header></header><img src="../assets/images/narrow.png" width="5" loading="eager" alt="">');
+
+    assert.match(html, /<img src="\.\.\/assets\/images\/narrow\.png" width="5" loading="eager" alt="" decoding="async">/);
+    assert.deepEqual(stats, { images: 1, lazy: 0 });
+});
+
+test('gives data-src images a data-srcset for initializeLazyLoading()', () => {
+    const { html } = processPage('<main><img data-src="../assets/images/wide.png" alt=""></main>');
+
+    assert.match(html, /<img data-src="\.\.\/assets\/images\/wide\.png" alt="" width="40" height="20" data-srcset="\.\.\/assets\/images\/wide-20w\.png 20w, \.\.\/assets\/images\/wide\.png 40w" data-sizes="50vw">/);
+    assert.doesNotMatch(html, /loading=/);
+});
+
+test('warns about JPEGs that are too wide to ship without variants', () => {
+    const { html, warnings, variants } = processPage('<header><img src="../assets/images/photo.jpg" alt=""></header>');
+
+    assert.match(html, /width="1200" height="800"/);
+    assert.doesNotMatch(html, /srcset/);
+    assert.equal(variants, 0);
+    assert.deepEqual(warnings, ['assets/images/photo.jpg: 1200px wide JPEG has no srcset, variants are only generated for PNGs']);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const SizeReporter = require('../build-tools/size-reporter');
+const BuildSystem = require('../build');
+const { ConfigError } = require('../build-tools/build-errors');
+const { createFixture, removeFixture } = require('./helpers');
+
+const distDir = createFixture({
+    'en/index.html': 'x'.repeat(300),
+    'en/faq.html': 'x'.repeat(100),
+    'js/main.1a2b3c4d.js': 'y'.repeat(200),
+    'sitemap.xml': '<urlset/>'
+});
+
+test.after(() => removeFixture(distDir));
+
+/**
+ * Measure the fixture dist
+ * @param {Array<Object>} budgets - Size budgets
+ * @param {Object|null} [previous=null] - Previous report
+ * @returns {Object} - SizeReporter report
+ */
+function report(budgets, previous = null) {
+    return new SizeReporter({
+        distDir,
+        budgets,
+        assetManifest: { 'js/main.js': 'js/main.1a2b3c4d.js' },
+        exclude: ['sitemap.xml']
+    }).run(previous);
+}
+
+test('reports files under their source names', () => {
+    const { files, totals } = report([]);
+
+    assert.deepEqual(Object.keys(files), ['en/faq.html', 'en/index.html', 'js/main.js']);
+    assert.equal(files['js/main.js'].output, 'js/main.1a2b3c4d.js');
+    assert.equal(files['en/index.html'].raw, 300);
+    assert.ok(files['en/index.html'].gzip < 300);
+    assert.equal(totals.raw, 600);
+});
+
+test('checks budgets against the total or each matching file', () => {
+    const { budgets } = report([
+        { files: '*/*.html', each: true, raw: 250 },
+        { files: '**', raw: '1 KB' },
+        { files: 'js/**', raw: 100, gzip: '1 KB' }
+    ]);
+
+    assert.deepEqual(budgets.map(budget => [budget.matched, budget.passed]), [[2, false], [3, true], [1, false]]);
+    assert.deepEqual(budgets[0].results.map(result => [result.file, result.exceeded]), [['en/faq.html', []], ['en/index.html', ['raw']]]);
+    assert.deepEqual(budgets[1].limits, { raw: 1024 });
+    assert.deepEqual(budgets[2].results[0].exceeded, ['raw']);
+});
+
+test('compares with the previous report', () => {
+    const previous = {
+        totals: { raw: 500, gzip: 50 },
+        files: {
+            'en/index.html': report([]).files['en/index.html'],
+            'en/faq.html': { raw: 150, gzip: 20 },
+            'en/old.html': { raw: 50, gzip: 10 }
+        }
+    };
+    const { diff } = report([], previous);
+
+    assert.equal(diff.totals.raw, 100);
+    assert.deepEqual(diff.files.map(({ file, status, raw }) => [file, status, raw]), [
+        ['en/faq.html', 'changed', -50],
+        ['en/old.html', 'removed', -50],
+        ['js/main.js', 'added', 200]
+    ]);
+    assert.equal(report([]).diff, null);
+});
+
+test('rejects invalid budgets with a ConfigError', () => {
+    [
+        [{ raw: 100 }, /need a "files" glob/],
+        [{ files: '**' }, /sets neither "raw" nor "gzip"/],
+        [{ files: '**', raw: '2 GB' }, /Invalid size "2 GB"/]
+    ].forEach(([budget, message]) => {
+        assert.throws(() => report([budget]), error => error instanceof ConfigError && message.test(error.message));
+    });
+});
+
+test('formats sizes and parses globs', () => {
+    const reporter = new SizeReporter({ distDir });
+
+    assert.equal(SizeReporter.formatSize(512), '512 B');
+    assert.equal(SizeReporter.formatSize(-1536), '-1.5 KB');
+    assert.equal(SizeReporter.formatSize(2.5 * 1024 * 1024), '2.50 MB');
+    assert.equal(reporter.parseSize('1.5 MB'), 1572864);
+    assert.ok(reporter.globToRegExp('assets/**/*.png').test('assets/images/logo/logo.png'));
+    assert.ok(reporter.globToRegExp('assets/**/*.png').test('assets/logo.png'));
+    assert.ok(!reporter.globToRegExp('*/*.html').test('en/legal/terms.html'));
+});
+
+test('keeps the size report outside dist, one per output directory', () => {
+    const config = { build: { sizeReportDir: '.cache/size-reports' } };
+    const first = Object.assign(new BuildSystem({ silent: true, distDir: path.join(distDir, 'a', 'dist') }), { config });
+    const second = Object.assign(new BuildSystem({ silent: true, distDir: path.join(distDir, 'b', 'dist') }), { config });
+
+    assert.equal(path.dirname(first.sizeReportPath()), path.join(__dirname, '..', '.cache', 'size-reports'));
+    assert.match(path.basename(first.sizeReportPath()), /^dist-[0-9a-f]{8}\.json$/);
+    assert.notEqual(first.sizeReportPath(), second.sizeReportPath());
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StructuredData = require('../build-tools/structured-data');
+
+/**
+ * Create a builder over a small SiteConfig
+ * @param {Object} overrides - Config sections to replace
+ * @returns {StructuredData} - Builder
+ */
+function createBuilder(overrides = {}) {
+    const config = Object.assign({
+        site: { url: 'https://example.com/', description: { en: 'Tasks', ar: 'مهام' } },
+        languages: { supported: ['en', 'ar'], names: { en: 'English', ar: 'العربية' } },
+        organization: { name: { en: 'Kenz', ar: 'كنز' }, logo: '/assets/images/logo.svg', email: 'hi@example.com' },
+        app: {
+            name: 'Kenz',
+            operatingSystem: 'Android, iOS',
+            category: 'BusinessApplication',
+            price: '0',
+            priceCurrency: 'USD',
+            image: 'assets/images/app.png',
+            stores: { ios: { url: 'https://apps.example.com/kenz' }, android: {} }
+        },
+        build: { minify: false }
+    }, overrides);
+
+    return new StructuredData({
+        config,
+        faq: [{ question: { en: 'Free?', ar: 'مجاني؟' }, answer: { en: 'Yes', ar: 'نعم' } }],
+        localize: (value, languageCode) => (value && typeof value === 'object' ? value[languageCode] : value)
+    });
+}
+
+test('builds localized Organization, MobileApplication and FAQPage nodes', () => {
+    const [organization, app, faq] = createBuilder().create(
+        ['Organization', 'MobileApplication', 'FAQPage'], 'ar', 'https://example.com/ar/index.html'
+    );
+
+    assert.equal(organization['@context'], 'https://schema.org');
+    assert.equal(organization.name, 'كنز');
+    assert.equal(organization.logo, 'https://example.com/assets/images/logo.svg');
+    assert.deepEqual(organization.contactPoint.availableLanguage, ['English', 'العربية']);
+    assert.equal(app.url, 'https://example.com/ar/index.html');
+    assert.equal(app.image, 'https://example.com/assets/images/app.png');
+    assert.deepEqual(app.downloadUrl, ['https://apps.example.com/kenz']);
+    assert.deepEqual(faq.mainEntity, [{
+        '@type': 'Question',
+        name: 'مجاني؟',
+        acceptedAnswer: { '@type': 'Answer', text: 'نعم' }
+    }]);
+});
+
+test('rejects unsupported types', () => {
+    assert.throws(() => createBuilder().create(['Recipe'], 'en', ''), /Unsupported structured data type "Recipe"/);
+});
+
+test('reports missing required properties by their path', () => {
+    const builder = createBuilder();
+
+    assert.throws(
+        () => builder.validate({ '@type': 'Organization', url: 'https://example.com/' }),
+        /^Error: Organization is missing required schema.org property: name$/
+    );
+    assert.throws(
+        () => builder.validate({ '@type': 'FAQPage', mainEntity: [{ '@type': 'Question', name: 'Q', acceptedAnswer: { '@type': 'Answer' } }] }),
+        /FAQPage\.mainEntity\[0\]\.acceptedAnswer is missing required schema.org property: text/
+    );
+    assert.throws(
+        () => createBuilder({ app: { name: 'Kenz', offers: {} } }).create(['MobileApplication'], 'en', ''),
+        /MobileApplication is missing required schema.org properties: operatingSystem, applicationCategory/
+    );
+});
+
+test('renders script tags, compact when minifying, with < escaped', () => {
+    const node = { '@type': 'Answer', text: '</script>' };
+
+    assert.equal(
+        createBuilder().toScripts([node]),
+        '<script type="application/ld+json">\n{\n  "@type": "Answer",\n  "text": "\\u003c/script>"\n}\n</script>'
+    );
+    assert.equal(
+        createBuilder({ build: { minify: true } }).toScripts([node, node]),
+        '<script type="application/ld+json">\n{"@type":"Answer","text":"\\u003c/script>"}\n</script>\n    ' +
+        '<script type="application/ld+json">\n{"@type":"Answer","text":"\\u003c/script>"}\n</script>'
+    );
+});
+
+test('lists the assets linked by absolute URL', () => {
+    assert.deepEqual(createBuilder().getReferencedAssets(), ['/assets/images/logo.svg', 'assets/images/app.png']);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TemplateEngine = require('../build-tools/template-engine');
+const { BuildError, TemplateError } = require('../build-tools/build-errors');
+const { createFixture, removeFixture } = require('./helpers');
+
+const LAYOUT = [
+    '<html lang="{{ lang }}">',
+    '<head><!-- @slot head --></head>',
+    '<body><!-- @content --></body>',
+    '</html>'
+].join('\n');
+
+/**
+ * Render a page source against a fixture src directory
+ * @param {Object} files - Extra files in the src directory
+ * @param {string} page - Page source
+ * @param {Object} data - Render data
+ * @returns {string} - Rendered HTML
+ */
+function render(files, page, data = {}) {
+    const srcDir = createFixture(Object.assign({ 'layouts/default.html': LAYOUT }, files));
+    try {
+        const engine = new TemplateEngine({ rootDir: srcDir, layoutsDir: path.join(srcDir, 'layouts') });
+        return engine.render(page, path.join(srcDir, 'pages/index.html'), data);
+    } finally {
+        removeFixture(srcDir);
+    }
+}
+
+test('wraps a page in its layout and fills named slots', () => {
+    const html = render({}, [
+        '<!-- @layout default -->',
+        '<!-- @block head --><title>Home</title><!-- @endblock -->',
+        '<main>Hello</main>'
+    ].join('\n'), { lang: 'en' });
+
+    assert.equal(html, '<html lang="en">\n<head><title>Home</title></head>\n<body><main>Hello</main></body>\n</html>');
+});
+
+test('resolves nested includes relative to the src directory', () => {
+    const html = render({
+        'components/card.html': '<div class="card"><!-- @include partials/title.html --></div>',
+        'partials/title.html': '<h3>{{ title }}</h3>'
+    }, '<!-- @include components/card.html -->', { title: 'Tasks' });
+
+    assert.equal(html, '<div class="card"><h3>Tasks</h3></div>');
+});
+
+test('throws a BuildError naming the including file when an include is missing', () => {
+    assert.throws(
+        () => render({ 'components/card.html': '<div>\n<!-- @include components/missing.html -->\n</div>' }, '<!-- @include components/card.html -->'),
+        error => error instanceof BuildError && error.message === 'Include not found: components/missing.html (components/card.html, line 2)'
+    );
+});
+
+test('rejects circular includes', () => {
+    assert.throws(
+        () => render({
+            'partials/a.html': '<!-- @include partials/b.html -->',
+            'partials/b.html': '<!-- @include partials/a.html -->'
+        }, '<!-- @include partials/a.html -->'),
+        /Circular include: .*partials\/a\.html -> partials\/b\.html -> partials\/a\.html/
+    );
+});
+
+test('escapes {{ }} values and leaves {{{ }}} values raw', () => {
+    const html = render({}, '<p>{{ text }}</p>{{{ markup }}}', { text: '<b>&</b>', markup: '<hr>' });
+
+    assert.equal(html, '<p>&lt;b&gt;&amp;&lt;/b&gt;</p><hr>');
+});
+
+test('throws on unknown template variables', () => {
+    assert.throws(() => render({}, '{{ page.missing }}', { page: {} }), /Unknown template variable "page\.missing"/);
+});
+
+test('refuses to print objects and lists, naming the template, line and expression', () => {
+    const files = { 'partials/quote.html': '<blockquote>\n  <cite>{{ item.name }}</cite>\n</blockquote>' };
+    const page = '<!-- @each item in items --><!-- @include partials/quote.html --><!-- @endeach -->';
+
+    assert.throws(() => render(files, page, { items: [{ name: { en: 'Sara', ar: 'سارة' } }] }), error => {
+        assert.ok(error instanceof TemplateError);
+        assert.equal(error.message, 'Template variable "item.name" is an object, not a string, number or boolean (partials/quote.html, line 2)');
+        assert.deepEqual([error.template, error.line, error.expression], ['partials/quote.html', 2, 'item.name']);
+        return true;
+    });
+    assert.throws(() => render({}, '<p>{{ tags }}</p>', { tags: ['a'] }), /"tags" is a list/);
+});
+
+test('reports malformed templates as TemplateErrors', () => {
+    const cases = [
+        [{}, '<!-- @layout missing -->', /^Layout not found: missing \(pages\/index\.html, line 1\)$/],
+        [{ 'layouts/bare.html': '<html></html>' }, '<!-- @layout bare -->', /^Layout "bare" has no <!-- @content --> slot \(layouts\/bare\.html\)$/],
+        [{}, 'a\n<!-- @endeach -->', /^Unexpected <!-- @endeach --> \(pages\/index\.html, line 2\)$/],
+        [{}, '<!-- @each item in items -->', /^Unclosed <!-- @each item in items -->/],
+        [{}, '<!-- @each item in count --><!-- @endeach -->', /^@each needs a list or a count, but "count" is string/]
+    ];
+
+    cases.forEach(([files, page, message]) => {
+        assert.throws(() => render(files, page, { items: [], count: 'three' }), error => error instanceof TemplateError && message.test(error.message));
+    });
+});
+
+test('repeats @each bodies with loop metadata', () => {
+    const html = render({}, [
+        '<ul>',
+        '<!-- @each item in items -->',
+        '<li>{{ loop.number }}. {{ item.name }}{{ loop.last }}</li>',
+        '<!-- @endeach -->',
+        '</ul>'
+    ].join('\n'), { items: [{ name: 'a' }, { name: 'b' }] });
+
+    assert.equal(html, '<ul>\n<li>1. afalse</li>\n<li>2. btrue</li>\n</ul>');
+});
+
+test('repeats @each bodies a number of times', () => {
+    const html = render({}, '<!-- @each star in rating -->*<!-- @endeach -->', { rating: 3 });
+
+    assert.equal(html, '***');
+});
+
+test('reads @page metadata without rendering the page', () => {
+    const srcDir = createFixture({
+        'pages/about.html': '<!-- @page { "title": { "en": "About" } } -->\n<main></main>'
+    });
+    try {
+        const engine = new TemplateEngine({ rootDir: srcDir, layoutsDir: path.join(srcDir, 'layouts') });
+        assert.deepEqual(engine.readPageMeta(path.join(srcDir, 'pages/about.html')), { title: { en: 'About' } });
+    } finally {
+        removeFixture(srcDir);
+    }
+});
+
+test('reports invalid @page metadata with its line', () => {
+    const srcDir = createFixture({ 'pages/about.html': '\n<!-- @page { title: "About" } -->' });
+    try {
+        const engine = new TemplateEngine({ rootDir: srcDir, layoutsDir: path.join(srcDir, 'layouts') });
+        assert.throws(
+            () => engine.readPageMeta(path.join(srcDir, 'pages/about.html')),
+            error => error instanceof TemplateError && /^Invalid @page metadata: .* \(pages\/about\.html, line 2\)$/.test(error.message)
+        );
+    } finally {
+        removeFixture(srcDir);
+    }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TranslationExtractor = require('../build-tools/translation-extractor');
+const BuildSystem = require('../build');
+const { ConfigError } = require('../build-tools/build-errors');
+const { createFixture, removeFixture } = require('./helpers');
+
+/**
+ * Extract the strings of a fixture repository
+ * @param {Object} files - Fixture files; HTML under site/src, scripts under site/src and site/assets
+ * @returns {Object} - TranslationExtractor result
+ */
+function extract(files) {
+    const rootDir = createFixture(files);
+    try {
+        return new TranslationExtractor({
+            rootDir,
+            srcDir: path.join(rootDir, 'site/src'),
+            assetsDir: path.join(rootDir, 'site/assets'),
+            languages: ['en', 'ar'],
+            defaultLanguage: 'en',
+            htmlSources: ['pages', 'components/hero.html']
+        }).run();
+    } finally {
+        removeFixture(rootDir);
+    }
+}
+
+test('collects data-{lang} strings from the HTML sources under srcDir', () => {
+    const { catalogs, languages } = extract({
+        'site/src/pages/index.html': '<h1 data-en="Welcome" data-ar="أهلا">Welcome</h1>\n<input data-en-placeholder="Email" data-ar-placeholder="البريد">',
+        'site/src/components/hero.html': '<p data-en="Earn rewards" data-ar="Earn rewards">Earn rewards</p>',
+        'site/src/components/footer.html': '<p data-en="Not scanned" data-ar="لا">Not scanned</p>',
+        'index.html': '<p data-en="Outside src" data-ar="خارج">Outside src</p>'
+    });
+
+    assert.deepEqual(catalogs.en, { 'html.earn-rewards': 'Earn rewards', 'html.email': 'Email', 'html.welcome': 'Welcome' });
+    assert.equal(catalogs.ar['html.welcome'], 'أهلا');
+    assert.deepEqual(languages.ar.untranslated, [{ key: 'html.earn-rewards', location: 'site/src/components/hero.html:1' }]);
+    assert.equal(languages.ar.coverage, 2 / 3);
+    assert.equal(languages.en.coverage, 1);
+});
+
+test('reads the switcher and waitlist tables and reports missing, unused and conflicting keys', () => {
+    const { catalogs, languages, unused, conflicts } = extract({
+        'site/src/pages/index.html': [
+            '<span data-translate="nav.home"></span><span data-translate="nav.gone"></span>',
+            '<b data-en="Join" data-ar="انضم"></b><b data-en="Join" data-ar="اشترك"></b>'
+        ].join('\n'),
+        'site/src/scripts/modules/language-switcher.js': [
+            "this.translations.en = { 'nav.home': 'Home', 'nav.old': 'Old' };",
+            "this.translations.ar = { 'nav.home': 'الرئيسية' };"
+        ].join('\n'),
+        'site/assets/js/waitlist.js': [
+            "const WaitlistTranslations = { en: { title: 'Join {x}' }, ar: { title: 'انضم' } };",
+            'el.textContent = WaitlistTranslations[lang].title;'
+        ].join('\n')
+    });
+
+    assert.equal(catalogs.ar['switcher.nav.home'], 'الرئيسية');
+    assert.equal(catalogs.en['waitlist.title'], 'Join {x}');
+    assert.deepEqual(languages.ar.missing.map(({ key }) => key), ['switcher.nav.old', 'switcher.nav.gone']);
+    assert.deepEqual(unused, [{ key: 'switcher.nav.old', location: 'site/src/scripts/modules/language-switcher.js:1' }]);
+    assert.deepEqual(conflicts, [{ key: 'html.join', languageCode: 'ar', location: 'site/src/pages/index.html:2', first: 'انضم', second: 'اشترك' }]);
+});
+
+test('rejects a minimum coverage that is not a number from 0 to 1', () => {
+    const buildSystem = new BuildSystem({ silent: true });
+
+    [NaN, 1.5, -0.1, '0.9'].forEach(minCoverage => {
+        assert.throws(() => buildSystem.extractTranslations({ minCoverage }), ConfigError);
+    });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const BuildSystem = require('../build');
+const { createFixture, removeFixture } = require('./helpers');
+
+const buildSystem = new BuildSystem({ silent: true, distDir: path.join(createFixture(), 'dist') });
+const srcFile = file => path.join(buildSystem.srcDir, file);
+
+test.after(() => removeFixture(path.dirname(buildSystem.distDir)));
+
+/**
+ * Plan a rebuild and list the steps it runs
+ * @param {Array<string>} changes - Changed files
+ * @returns {Array<string>} - Names of the flags that are set
+ */
+function plannedSteps(changes) {
+    const plan = buildSystem.planRebuild(changes);
+    return Object.keys(plan).filter(step => plan[step]);
+}
+
+test('rebuilds only the step a changed file feeds', () => {
+    assert.deepEqual(plannedSteps([srcFile('styles/components/header.css')]), ['css']);
+    assert.deepEqual(plannedSteps([srcFile('scripts/modules/navigation.js')]), ['js']);
+    assert.deepEqual(plannedSteps([srcFile('components/header.html')]), ['html']);
+    assert.deepEqual(plannedSteps([srcFile('data/faq.json')]), ['html']);
+    assert.deepEqual(plannedSteps([path.join(buildSystem.assetsDir, 'images/logo/white-logo.svg')]), ['assets']);
+});
+
+test('rebuilds the pages and web app manifest when the theme variables change', () => {
+    assert.deepEqual(plannedSteps([srcFile('styles/base/variables.css')]), ['html', 'css', 'pwa']);
+});
+
+test('rebuilds everything when the configuration changes', () => {
+    assert.deepEqual(plannedSteps([srcFile('config/site-config.js')]), ['full']);
+    assert.deepEqual(plannedSteps([buildSystem.pluginConfigPath]), ['full']);
+});
+
+test('merges the steps of several changes', () => {
+    assert.deepEqual(plannedSteps([srcFile('styles/main.css'), srcFile('scripts/main.js')]), ['css', 'js']);
+});
+
+test('runs the buildEnd hook when an incremental rebuild fails', async () => {
+    const calls = [];
+    buildSystem.watchMode = true;
+    buildSystem.plugins.register({
+        name: 'broken-css',
+        step: 'CSS',
+        run() {
+            throw new Error('boom');
+        },
+        buildEnd(context, error) {
+            calls.push({ changes: context.changes, error });
+        }
+    });
+
+    const change = srcFile('styles/main.css');
+    await assert.rejects(buildSystem.rebuild([change]), { name: 'PluginError', step: 'CSS' });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].changes, [change]);
+    assert.match(calls[0].error.message, /Plugin "broken-css" failed in run: boom/);
+});